@@ -3,9 +3,12 @@ import * as Logger from '../common/logger.js';
 import * as Prefs from '../common/prefs.js';
 import * as Const from '../common/constants.js';
 import * as State from '../common/state.js';
+import * as Snooze from '../common/snooze.js';
+import * as GlobalPause from '../common/global-pause.js';
 
 import * as Scheduling from './scheduling.js';
 import * as Listeners from './listeners.js';
+import * as ExternalApi from './external-api.js';
 
 Logger.log("Starting TheOneSuspender Service Worker...", Logger.LogComponent.BACKGROUND);
 
@@ -31,6 +34,7 @@ async function initialize() {
         Logger.log(`Found ${windows.length} window(s)`, Logger.LogComponent.BACKGROUND);
 
         const focusedWindows = windows.filter(w => w.focused);
+        State.setBrowserFocused(focusedWindows.length > 0);
         if (focusedWindows.length > 0) {
             State.updateLastFocusedWindow(focusedWindows[0].id);
         }
@@ -38,14 +42,23 @@ async function initialize() {
         const activeTabs = await chrome.tabs.query({ active: true });
         Logger.log(`Found ${activeTabs.length} active tab(s)`, Logger.LogComponent.BACKGROUND);
 
+        await State.loadTabActivationTimes();
         for (const tab of activeTabs) {
             if (tab.windowId != null && tab.id != null) {
                 State.setActiveTabForWindow(tab.windowId, tab.id);
+                State.markTabActivated(tab.id);
             }
         }
 
+        // Load snoozes before anything checks whether tabs may be suspended
+        await Snooze.loadSnoozes();
+        await Listeners.updateSnoozeExpiryAlarm();
+        await GlobalPause.loadGlobalPause();
+
         // Restore scheduling state before creating alarms or rescheduling
         await Scheduling.initializeSchedulingState();
+        await Scheduling.updateGlobalPauseAlarm();
+        await Scheduling.updateWhitelistExpiryAlarm();
 
         // Set up necessary alarms
         await setupNecessaryAlarms();
@@ -139,6 +152,8 @@ chrome.runtime.onStartup.addListener(async () => {
 
 // Set up message handler immediately
 chrome.runtime.onMessage.addListener(Listeners.handleMessage);
+// Requests from other extensions; only those in the externalApiAllowlist preference are served
+chrome.runtime.onMessageExternal.addListener(ExternalApi.handleExternalMessage);
 
 // ===================== Start the Extension =====================
 // Initialize immediately when the service worker starts
@@ -0,0 +1,199 @@
+// badge.js - Toolbar badge showing the suspension countdown, suspended tab count or tab state
+import * as Const from '../common/constants.js';
+import * as Logger from '../common/logger.js';
+import * as Prefs from '../common/prefs.js';
+import * as TabClassifier from '../common/tab-classifier.js';
+import * as BadgeUtils from '../common/badge-utils.js';
+import * as GlobalPause from '../common/global-pause.js';
+
+import * as SuspensionUtils from '../suspension/suspension-utils.js';
+
+import * as Scheduling from './scheduling.js';
+
+const REFRESH_DEBOUNCE_MS = 300;
+const ICON_SIZES = [16, 32];
+const BASE_ICON_PATHS = { 16: 'icons/icon16.png', 48: 'icons/icon48.png', 128: 'icons/icon128.png' };
+
+let refreshTimeoutId = null;
+// Icons with a colored dot per badge state, drawn once per service worker
+const stateIconCache = new Map(); // state -> { 16: ImageData, 32: ImageData }
+
+/**
+ * Work out what the badge should show for a tab.
+ * Active tabs are judged as if they were in the background, so the badge explains what happens
+ * once the user leaves the tab rather than just saying it is active.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<{state: string|null, reason: string|false, remainingMs: number|null, delayMinutes: number|null}>}
+ */
+async function getTabBadgeInfo(tab) {
+    if (!Prefs.prefs.autoSuspendEnabled) {
+        return { state: 'paused', reason: 'turned off in settings', remainingMs: null, delayMinutes: null };
+    }
+    if (GlobalPause.isPaused()) {
+        const { until } = GlobalPause.getPause();
+        const reason = until === null ? 'until browser restart' : `until ${new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        return { state: 'paused', reason, remainingMs: null, delayMinutes: null };
+    }
+    const reason = await TabClassifier.shouldSkipTab({ ...tab, active: false }, true);
+    const state = BadgeUtils.classifySkipReason(reason);
+    if (reason) return { state, reason, remainingMs: null, delayMinutes: null };
+
+    const schedule = await Scheduling.getTabSuspendTime(tab.id);
+    if (schedule) {
+        return { state: null, reason: false, remainingMs: schedule.scheduledTime - Date.now(), delayMinutes: null };
+    }
+    // Not counting down yet (e.g. the focused tab): the countdown starts when the user leaves the tab
+    return { state: null, reason: false, remainingMs: null, delayMinutes: await TabClassifier.getSuspendDelayForTab(tab) };
+}
+
+// Helper: draw the extension icon with a colored dot in the corner for a badge state
+async function getStateIcon(state) {
+    if (stateIconCache.has(state)) return stateIconCache.get(state);
+    const response = await fetch(chrome.runtime.getURL(BASE_ICON_PATHS[48]));
+    const bitmap = await createImageBitmap(await response.blob());
+    const imageData = {};
+    for (const size of ICON_SIZES) {
+        const canvas = new OffscreenCanvas(size, size);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0, size, size);
+        const radius = size * 0.22;
+        ctx.beginPath();
+        ctx.arc(size - radius - 0.5, size - radius - 0.5, radius, 0, 2 * Math.PI);
+        ctx.fillStyle = BadgeUtils.BADGE_STATES[state].color;
+        ctx.fill();
+        ctx.lineWidth = Math.max(1, size / 16);
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+        imageData[size] = ctx.getImageData(0, 0, size, size);
+    }
+    stateIconCache.set(state, imageData);
+    return imageData;
+}
+
+/**
+ * Update the badge text, color, tooltip and icon of the active tab of a window.
+ * @param {chrome.tabs.Tab} tab - The active tab.
+ * @returns {Promise<void>}
+ */
+async function updateBadgeForTab(tab) {
+    const mode = Prefs.prefs.badgeMode;
+    const tabId = tab.id;
+    let text = '';
+    let color = BadgeUtils.BADGE_INFO_COLOR;
+    let title = '';
+    let iconState = null;
+
+    if (mode !== 'off' || Prefs.prefs.badgeReasonIcon) {
+        const info = await getTabBadgeInfo(tab);
+        const stateInfo = info.state ? BadgeUtils.BADGE_STATES[info.state] : null;
+
+        if (stateInfo) {
+            iconState = info.state;
+            title = info.reason ? `${stateInfo.title} (${info.reason})` : stateInfo.title;
+        } else if (info.remainingMs !== null) {
+            title = `Suspends in ${BadgeUtils.formatBadgeDuration(info.remainingMs)}`;
+        } else if (info.delayMinutes !== null) {
+            title = `Suspends ${BadgeUtils.formatBadgeDuration(info.delayMinutes * 60000)} after you leave this tab`;
+        }
+
+        if (mode === 'suspendedCount') {
+            const windowTabs = await chrome.tabs.query({ windowId: tab.windowId });
+            text = BadgeUtils.formatBadgeCount(windowTabs.filter(SuspensionUtils.isTabSuspended).length);
+        } else if (stateInfo && (mode === 'status' || mode === 'countdown')) {
+            text = stateInfo.text;
+            color = stateInfo.color;
+        } else if (mode === 'countdown' && info.remainingMs !== null) {
+            text = BadgeUtils.formatBadgeDuration(info.remainingMs);
+        } else if (mode === 'countdown' && info.delayMinutes !== null) {
+            text = BadgeUtils.formatBadgeDuration(info.delayMinutes * 60000);
+        }
+    }
+
+    await chrome.action.setBadgeText({ tabId, text });
+    if (text) await chrome.action.setBadgeBackgroundColor({ tabId, color });
+    const extensionName = chrome.runtime.getManifest().name;
+    await chrome.action.setTitle({ tabId, title: title ? `${extensionName}\n${title}` : extensionName });
+    if (Prefs.prefs.badgeReasonIcon && iconState) {
+        await chrome.action.setIcon({ tabId, imageData: await getStateIcon(iconState) });
+    } else {
+        await chrome.action.setIcon({ tabId, path: BASE_ICON_PATHS });
+    }
+}
+
+// Helper: reset the badge, tooltip and icon of every tab, after the badge was turned off
+async function clearAllBadges() {
+    const extensionName = chrome.runtime.getManifest().name;
+    try {
+        const tabs = await chrome.tabs.query({});
+        for (const tab of tabs) {
+            try {
+                await chrome.action.setBadgeText({ tabId: tab.id, text: '' });
+                await chrome.action.setTitle({ tabId: tab.id, title: extensionName });
+                await chrome.action.setIcon({ tabId: tab.id, path: BASE_ICON_PATHS });
+            } catch (e) {
+                Logger.detailedLog(`clearAllBadges: Could not clear badge for tab ${tab.id}: ${e.message}`, Logger.LogComponent.BACKGROUND);
+            }
+        }
+    } catch (e) {
+        Logger.logError('clearAllBadges', e, Logger.LogComponent.BACKGROUND);
+    }
+}
+
+/**
+ * Update the badge of the active tab in every window. Does nothing while the badge is off.
+ * @returns {Promise<void>}
+ */
+export async function refreshBadges() {
+    if (BadgeUtils.isBadgeOff(Prefs.prefs)) return;
+    try {
+        const activeTabs = await chrome.tabs.query({ active: true });
+        for (const tab of activeTabs) {
+            try {
+                await updateBadgeForTab(tab);
+            } catch (e) {
+                // The tab may have closed while its badge was being worked out
+                Logger.detailedLog(`refreshBadges: Could not update badge for tab ${tab.id}: ${e.message}`, Logger.LogComponent.BACKGROUND);
+            }
+        }
+    } catch (e) {
+        Logger.logError('refreshBadges', e, Logger.LogComponent.BACKGROUND);
+    }
+}
+
+/**
+ * Refresh the badges shortly, coalescing bursts of events (tab switches, schedule writes).
+ */
+export function requestBadgeRefresh() {
+    if (refreshTimeoutId) clearTimeout(refreshTimeoutId);
+    refreshTimeoutId = setTimeout(() => {
+        refreshTimeoutId = null;
+        refreshBadges();
+    }, REFRESH_DEBOUNCE_MS);
+}
+
+// Storage keys whose changes can alter what the badge shows
+const WATCHED_STORAGE_KEYS = [Prefs.PREFS_KEY, Prefs.WHITELIST_KEY, Const.STORAGE_KEYS.SNOOZES, Const.STORAGE_KEYS.GLOBAL_PAUSE, Scheduling.SCHEDULES_STORAGE_KEY];
+
+function handleStorageChanged(changes, areaName) {
+    if (areaName !== 'local') return;
+    const prefsChange = changes[Prefs.PREFS_KEY];
+    if (prefsChange && BadgeUtils.isBadgeOff(prefsChange.newValue) && !BadgeUtils.isBadgeOff(prefsChange.oldValue)) {
+        // Badges were just turned off: clear what they showed once, after which refreshes do nothing
+        if (refreshTimeoutId) clearTimeout(refreshTimeoutId);
+        refreshTimeoutId = null;
+        clearAllBadges();
+        return;
+    }
+    if (WATCHED_STORAGE_KEYS.some(key => key in changes)) {
+        requestBadgeRefresh();
+    }
+}
+
+/**
+ * Start following schedule, preference, whitelist, snooze and pause changes, and draw the initial badges.
+ */
+export function initBadge() {
+    chrome.storage.onChanged.removeListener(handleStorageChanged);
+    chrome.storage.onChanged.addListener(handleStorageChanged);
+    requestBadgeRefresh();
+}
@@ -0,0 +1,202 @@
+// external-api.js - Versioned messaging API for other extensions (chrome.runtime.onMessageExternal)
+import * as Logger from '../common/logger.js';
+import * as Preferences from '../common/prefs.js';
+import * as ExistenceUtils from '../common/existence-utils.js';
+import * as WhitelistUtils from '../common/whitelist-utils.js';
+import * as ExternalApiUtils from '../common/external-api-utils.js';
+import * as GlobalPause from '../common/global-pause.js';
+
+import * as Suspension from '../suspension/suspension.js';
+import * as SuspensionUtils from '../suspension/suspension-utils.js';
+
+import * as Scheduling from './scheduling.js';
+
+const { ERROR_CODES } = ExternalApiUtils;
+
+// Thrown by actions to return a specific error code instead of INTERNAL_ERROR
+class ExternalApiError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Helper: require an integer argument
+function requireId(request, name) {
+    const value = request[name];
+    if (!Number.isInteger(value) || value < 0) {
+        throw new ExternalApiError(ERROR_CODES.INVALID_ARGUMENT, `${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+// Helper: fetch a tab or fail with NOT_FOUND
+async function requireTab(request) {
+    const tabId = requireId(request, 'tabId');
+    const tab = await ExistenceUtils.safeGetTab(tabId, 'externalApi');
+    if (!tab) throw new ExternalApiError(ERROR_CODES.NOT_FOUND, `No tab with id ${tabId}`);
+    return tab;
+}
+
+// Helper: validate a window id and fail with NOT_FOUND if it is gone
+async function requireWindow(request) {
+    const windowId = requireId(request, 'windowId');
+    if (!await ExistenceUtils.windowExists(windowId, 'externalApi')) {
+        throw new ExternalApiError(ERROR_CODES.NOT_FOUND, `No window with id ${windowId}`);
+    }
+    return windowId;
+}
+
+// Helper: validate a whitelist pattern argument
+function requirePattern(request) {
+    if (!WhitelistUtils.isValidPattern(request.pattern)) {
+        throw new ExternalApiError(ERROR_CODES.INVALID_ARGUMENT, 'pattern must be a valid URL, domain or whitelist rule');
+    }
+    return request.pattern;
+}
+
+// Helper: validate an optional pause duration; missing or null means "until browser restart"
+function requireDuration(request) {
+    const minutes = request.minutes ?? null;
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes <= 0)) {
+        throw new ExternalApiError(ERROR_CODES.INVALID_ARGUMENT, 'minutes must be a positive integer or null');
+    }
+    return minutes;
+}
+
+// Helper: read the whitelist from storage; the in-memory copy may not be loaded yet if this
+// request woke the service worker, and saving an edit on top of it would drop entries
+async function loadStoredWhitelist() {
+    const stored = await chrome.storage.local.get(Preferences.WHITELIST_KEY);
+    return WhitelistUtils.migrateWhitelist(stored[Preferences.WHITELIST_KEY] || []);
+}
+
+// Helper: persist a changed whitelist and reschedule, like the options page does
+async function saveWhitelist(entries) {
+    await Preferences.saveWhitelist(entries);
+    await Scheduling.updateWhitelistExpiryAlarm();
+    Scheduling.debouncedScheduleAllTabsAlarmBacked();
+}
+
+/**
+ * Operations available to other extensions, keyed by action name.
+ * Each receives the request and resolves to the `result` of a successful response.
+ * Actions triggered by another extension count as manual for the suspension rules.
+ */
+const ACTIONS = {
+    getVersion: async () => ({
+        apiVersion: ExternalApiUtils.EXTERNAL_API_VERSION,
+        extensionVersion: chrome.runtime.getManifest().version,
+        actions: Object.keys(ACTIONS)
+    }),
+
+    suspendTab: async (request) => {
+        const tab = await requireTab(request);
+        return { suspended: await Suspension.suspendTab(tab.id, true) };
+    },
+
+    unsuspendTab: async (request) => {
+        const tab = await requireTab(request);
+        return { unsuspended: await Suspension.unsuspendTab(tab.id) };
+    },
+
+    suspendWindow: async (request) => {
+        await Suspension.suspendAllTabsInWindow(await requireWindow(request), true);
+        return {};
+    },
+
+    unsuspendWindow: async (request) => {
+        await Suspension.unsuspendAllTabsInWindow(await requireWindow(request));
+        return {};
+    },
+
+    suspendAll: async () => {
+        await Suspension.suspendAllTabsAllSpecs(true);
+        return {};
+    },
+
+    unsuspendAll: async () => {
+        await Suspension.unsuspendAllTabsAllSpecs();
+        return {};
+    },
+
+    getTabStatus: async (request) => {
+        const tab = await requireTab(request);
+        const schedule = await Scheduling.getTabSuspendTime(tab.id);
+        return {
+            tabId: tab.id,
+            suspended: SuspensionUtils.isTabSuspended(tab),
+            scheduledTime: schedule ? schedule.scheduledTime : null
+        };
+    },
+
+    getSchedule: async () => Scheduling.getSchedulingSnapshot(),
+
+    getWhitelist: async () => ({ entries: await loadStoredWhitelist() }),
+
+    addToWhitelist: async (request) => {
+        const pattern = requirePattern(request);
+        const whitelist = await loadStoredWhitelist();
+        const added = !WhitelistUtils.isWhitelisted(whitelist, pattern);
+        if (added) await saveWhitelist(WhitelistUtils.addToWhitelist(whitelist, pattern));
+        return { added };
+    },
+
+    removeFromWhitelist: async (request) => {
+        const pattern = requirePattern(request);
+        const whitelist = await loadStoredWhitelist();
+        const removed = WhitelistUtils.isWhitelisted(whitelist, pattern);
+        if (removed) await saveWhitelist(WhitelistUtils.removeFromWhitelist(whitelist, pattern));
+        return { removed };
+    },
+
+    pauseAutoSuspend: async (request) => {
+        const pause = await Scheduling.pauseAutoSuspend(requireDuration(request));
+        return { paused: true, pausedAt: pause.pausedAt, until: pause.until };
+    },
+
+    resumeAutoSuspend: async () => ({ resumed: await Scheduling.resumeAutoSuspend() }),
+
+    getPauseState: async () => {
+        const pause = GlobalPause.isPaused() ? GlobalPause.getPause() : null;
+        return { paused: !!pause, pausedAt: pause ? pause.pausedAt : null, until: pause ? pause.until : null };
+    }
+};
+
+/**
+ * Handles messages from other extensions. Only extensions listed in the externalApiAllowlist
+ * preference are served. Requests look like `{ apiVersion: 1, action: 'suspendTab', tabId: 12 }`;
+ * responses are `{ ok: true, result }` or `{ ok: false, error: { code, message } }`.
+ * @param {object} request
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {Function} sendResponse
+ * @returns {boolean} True, as the response is always sent asynchronously.
+ */
+export function handleExternalMessage(request, sender, sendResponse) {
+    const context = `handleExternalMessage(${request?.action}, from ${sender?.id})`;
+
+    (async () => {
+        // Read the allowlist from storage, as this may be the message that woke the service worker
+        const stored = await chrome.storage.local.get(Preferences.PREFS_KEY);
+        const allowlist = stored[Preferences.PREFS_KEY]?.externalApiAllowlist || [];
+
+        const rejection = ExternalApiUtils.checkExternalRequest(request, sender, allowlist, Object.keys(ACTIONS));
+        if (rejection) {
+            Logger.logWarning(`${context}: Rejected with ${rejection.error.code}`, Logger.LogComponent.BACKGROUND);
+            return rejection;
+        }
+
+        Logger.log(`${context}: Handling request`, Logger.LogComponent.BACKGROUND);
+        return { ok: true, result: await ACTIONS[request.action](request) };
+    })()
+        .then(sendResponse)
+        .catch(error => {
+            if (error instanceof ExternalApiError) {
+                sendResponse(ExternalApiUtils.errorResponse(error.code, error.message));
+                return;
+            }
+            Logger.logError(context, error, Logger.LogComponent.BACKGROUND);
+            sendResponse(ExternalApiUtils.errorResponse(ERROR_CODES.INTERNAL_ERROR, error.message || 'Unknown error'));
+        });
+    return true;
+}
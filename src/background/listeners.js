@@ -4,15 +4,34 @@ import * as Logger from '../common/logger.js';
 import * as Preferences from '../common/prefs.js';
 import * as State from '../common/state.js';
 import * as SessionManager from '../common/session-manager.js';
+import * as Snooze from '../common/snooze.js';
+import * as GlobalPause from '../common/global-pause.js';
+import * as WhitelistUtils from '../common/whitelist-utils.js';
 
 import * as Suspension from '../suspension/suspension.js';
+import * as SuspensionUtils from '../suspension/suspension-utils.js';
+import * as ScreenshotCapture from '../suspension/screenshot-capture.js';
+import * as ScrollPosition from '../suspension/scroll-position.js';
+import * as FormPreserve from '../suspension/form-preserve.js';
+import * as RestoreData from '../suspension/restore-data.js';
+import * as OpenSuspended from '../suspension/open-suspended.js';
 
 import * as Scheduling from './scheduling.js';
+import * as Badge from './badge.js';
 
 // ===================== Constants and Global State =====================
 
 // Global state initialization removed - now using State module
 
+// Preferences that decide when or whether tabs are suspended; changing any of them reschedules all tabs
+const SCHEDULING_PREF_KEYS = ['suspendAfter', 'unsavedFormHandling', 'siteTimeoutRules', 'suspensionPolicies', 'tabGroupRules', 'alwaysSuspendSites', 'alwaysSuspendDelaySeconds'];
+const LIVE_TAB_CAP_PREF_KEYS = ['maxLiveTabs', 'maxLiveTabsScope'];
+
+// Helper: comparable snapshot of some preferences, to tell whether a save changed them
+function getPrefsSnapshot(keys) {
+    return JSON.stringify(keys.map(key => Preferences.prefs[key]));
+}
+
 // Helper: broadcast favicon refresh progress
 function broadcastFaviconRefreshProgress(isRunning) {
     chrome.runtime.sendMessage({
@@ -144,17 +163,25 @@ function handleMessage(request, sender, sendResponse) {
                 }
 
                 const newSettings = { ...Preferences.defaultPrefs, ...request.settings };
-                const oldSuspendAfter = Preferences.prefs.suspendAfter;
                 const oldUnsavedFormHandling = Preferences.prefs.unsavedFormHandling;
+                const oldSchedulingPrefs = getPrefsSnapshot(SCHEDULING_PREF_KEYS);
+                const oldSystemIdleMinutes = Preferences.prefs.systemIdleMinutes;
+                const oldLiveTabCap = getPrefsSnapshot(LIVE_TAB_CAP_PREF_KEYS);
 
                 await Preferences.savePrefs(newSettings);
                 Logger.log("Settings saved successfully via saveSettings message", Logger.LogComponent.BACKGROUND);
 
-                if (Preferences.prefs.suspendAfter !== oldSuspendAfter || Preferences.prefs.unsavedFormHandling !== oldUnsavedFormHandling) {
+                if (getPrefsSnapshot(SCHEDULING_PREF_KEYS) !== oldSchedulingPrefs) {
                     Logger.detailedLog("Relevant settings changed, rescheduling all tabs.", Logger.LogComponent.BACKGROUND);
                     // Use alarm-backed debounce so reschedule survives worker restarts
                     Scheduling.debouncedScheduleAllTabsAlarmBacked();
                 }
+                if (getPrefsSnapshot(LIVE_TAB_CAP_PREF_KEYS) !== oldLiveTabCap) {
+                    Scheduling.debouncedEnforceLiveTabCap();
+                }
+                if (Preferences.prefs.systemIdleMinutes !== oldSystemIdleMinutes) {
+                    await applyIdleDetectionInterval();
+                }
                 // Notify content scripts if unsavedFormHandling changed
                 if (Preferences.prefs.unsavedFormHandling !== oldUnsavedFormHandling) {
                     await notifyAllTabsPrefsChanged();
@@ -176,13 +203,143 @@ function handleMessage(request, sender, sendResponse) {
                 if (!request.newWhitelist || !Array.isArray(request.newWhitelist)) {
                     return { error: "Invalid whitelist: Expected an array" };
                 }
-                await Preferences.saveWhitelist(request.newWhitelist);
+                await saveWhitelistAndReschedule(request.newWhitelist);
                 Logger.log("Whitelist saved successfully via saveWhitelist message", Logger.LogComponent.BACKGROUND);
-                Scheduling.debouncedScheduleAllTabsAlarmBacked();
                 return { success: true };
             }, sendResponse);
             return true;
 
+        case Const.MSG_SNOOZE:
+            if (!validateMessageSender(sender, true)) {
+                sendResponse({ error: "Permission denied" });
+                Logger.logError(context, `Unauthorized attempt to call ${request.type} from ${JSON.stringify(sender)}`, Logger.LogComponent.BACKGROUND);
+                return false;
+            }
+
+            handleAsyncMessage(context, async () => {
+                const durationMinutes = request.durationMinutes ?? null;
+                if (!Snooze.SNOOZE_TYPES.includes(request.snoozeType) || !request.tabId) {
+                    return { error: "Invalid snooze request: expected snoozeType and tabId" };
+                }
+                const tab = await chrome.tabs.get(request.tabId);
+                // Snooze the domain of the original page when asked from a suspended page
+                const url = (await WhitelistUtils.resolveTabUrl(tab)) || tab.url;
+                if (request.snoozeType === 'domain' && !getSnoozeDomain(url)) {
+                    return { error: "Invalid snooze request: only web pages (http/https) have a domain to snooze" };
+                }
+                const entry = await snoozeFromTab(request.snoozeType, { ...tab, url }, durationMinutes);
+                return { success: true, snooze: entry };
+            }, sendResponse);
+            return true;
+
+        case Const.MSG_GET_SNOOZES:
+            if (!validateMessageSender(sender, true)) {
+                sendResponse({ error: "Permission denied" });
+                Logger.logError(context, `Unauthorized attempt to call ${request.type} from ${JSON.stringify(sender)}`, Logger.LogComponent.BACKGROUND);
+                return false;
+            }
+
+            handleAsyncMessage(context, async () => {
+                const snoozes = Snooze.getActiveSnoozes().map(entry => ({ ...entry, expiryText: Snooze.describeExpiry(entry) }));
+                return { success: true, snoozes };
+            }, sendResponse);
+            return true;
+
+        case Const.MSG_CANCEL_SNOOZE:
+            if (!validateMessageSender(sender, true)) {
+                sendResponse({ error: "Permission denied" });
+                Logger.logError(context, `Unauthorized attempt to call ${request.type} from ${JSON.stringify(sender)}`, Logger.LogComponent.BACKGROUND);
+                return false;
+            }
+
+            handleAsyncMessage(context, async () => {
+                const removed = await Snooze.removeSnooze(request.snoozeId);
+                if (!removed) return { error: "Snooze not found" };
+                await updateSnoozeExpiryAlarm();
+                await Scheduling.scheduleAllTabs();
+                return { success: true };
+            }, sendResponse);
+            return true;
+
+        case Const.MSG_PAUSE_AUTO_SUSPEND:
+            if (!validateMessageSender(sender, true)) {
+                sendResponse({ error: "Permission denied" });
+                Logger.logError(context, `Unauthorized attempt to call ${request.type} from ${JSON.stringify(sender)}`, Logger.LogComponent.BACKGROUND);
+                return false;
+            }
+
+            handleAsyncMessage(context, async () => {
+                const pause = await Scheduling.pauseAutoSuspend(request.durationMinutes ?? null);
+                return { success: true, pause };
+            }, sendResponse);
+            return true;
+
+        case Const.MSG_RESUME_AUTO_SUSPEND:
+            if (!validateMessageSender(sender, true)) {
+                sendResponse({ error: "Permission denied" });
+                Logger.logError(context, `Unauthorized attempt to call ${request.type} from ${JSON.stringify(sender)}`, Logger.LogComponent.BACKGROUND);
+                return false;
+            }
+
+            handleAsyncMessage(context, async () => {
+                const resumed = await Scheduling.resumeAutoSuspend();
+                return { success: true, resumed };
+            }, sendResponse);
+            return true;
+
+        case Const.MSG_GET_PAUSE_STATE:
+            if (!validateMessageSender(sender, true)) {
+                sendResponse({ error: "Permission denied" });
+                Logger.logError(context, `Unauthorized attempt to call ${request.type} from ${JSON.stringify(sender)}`, Logger.LogComponent.BACKGROUND);
+                return false;
+            }
+
+            handleAsyncMessage(context, async () => {
+                return { success: true, paused: GlobalPause.isPaused(), pause: GlobalPause.getPause() };
+            }, sendResponse);
+            return true;
+
+        case Const.MSG_SESSION_WRITE:
+            if (!validateMessageSender(sender, true)) {
+                sendResponse({ error: "Permission denied" });
+                Logger.logError(context, `Unauthorized attempt to call ${request.type} from ${JSON.stringify(sender)}`, Logger.LogComponent.BACKGROUND);
+                return false;
+            }
+
+            // Saved sessions are only written here, one write at a time (see SessionManager.queueSessionWrite)
+            handleAsyncMessage(context, async () => {
+                const args = Array.isArray(request.args) ? request.args : [];
+                return { success: true, result: await SessionManager.queueSessionWrite(request.operation, args) };
+            }, sendResponse);
+            return true;
+
+        case Const.MSG_RESTORING_SUSPENDED_PAGE:
+            // Sent by the suspended page itself just before it navigates back to the original URL
+            if (!validateMessageSender(sender, true) || !sender.tab || typeof sender.tab.id !== 'number') {
+                sendResponse({ error: "Permission denied" });
+                Logger.logError(context, `Unauthorized attempt to call ${request.type} from ${JSON.stringify(sender)}`, Logger.LogComponent.BACKGROUND);
+                return false;
+            }
+
+            RestoreData.rememberPendingRestore(sender.tab.id, sender.url);
+            sendResponse({ success: true });
+            return false;
+
+        case Const.MSG_OPEN_LINKS_SUSPENDED:
+            // Sent by the content script when a link is clicked with the configured modifier keys
+            if (!validateMessageSender(sender, false)) {
+                sendResponse({ error: "Permission denied" });
+                Logger.logError(context, `Unauthorized attempt to call ${request.type} from ${JSON.stringify(sender)}`, Logger.LogComponent.BACKGROUND);
+                return false;
+            }
+
+            handleAsyncMessage(context, async () => {
+                if (!Array.isArray(request.links)) return { error: "Invalid request: expected links" };
+                const opened = await OpenSuspended.openLinksAsSuspended(request.links, sender.tab);
+                return { success: true, opened };
+            }, sendResponse);
+            return true;
+
         case Const.MSG_PREFS_CHANGED:
             if (!validateMessageSender(sender, true)) {
                 sendResponse({ error: "Permission denied" });
@@ -330,18 +487,8 @@ function handleMessage(request, sender, sendResponse) {
                 return false;
             }
             handleAsyncMessage(Const.MSG_SUSPEND_SELECTED_TABS, async () => {
-                let success = 0, skipped = 0, errors = 0;
-                const ids = request.tabIds.filter(id => typeof id === 'number');
-                for (const id of ids) {
-                    try {
-                        const ok = await Suspension.suspendTab(id, true);
-                        if (ok) success++; else skipped++;
-                    } catch (e) {
-                        errors++;
-                        Logger.logError(`Suspend selected failed for ${id}`, e, Logger.LogComponent.BACKGROUND);
-                    }
-                }
-                return { success: true, counts: { success, skipped, errors, total: ids.length } };
+                const counts = await suspendTabIds(request.tabIds.filter(id => typeof id === 'number'));
+                return { success: true, counts };
             }, sendResponse);
             return true;
 
@@ -408,36 +555,39 @@ function handleMessage(request, sender, sendResponse) {
             if (request.type === Const.MSG_GET_EXTENSION_STATS) {
                 handleAsyncMessage(context, async () => {
                     const allTabs = await chrome.tabs.query({});
-                    const suspendedPrefix = chrome.runtime.getURL(Const.SUSPENDED_PAGE_PATH);
                     let total = 0, suspended = 0, scheduled = 0, skipped = 0;
                     total = allTabs.length;
-                    suspended = allTabs.filter(t => t.url && t.url.startsWith(suspendedPrefix)).length;
+                    // Suspended page placeholders and natively discarded tabs both count as suspended
+                    suspended = allTabs.filter(SuspensionUtils.isTabSuspended).length;
+                    // Unsuspended tabs nobody has looked at for an hour (by last activation time)
+                    const staleBefore = Date.now() - 60 * 60 * 1000;
+                    const inactiveHour = allTabs.filter(t => !SuspensionUtils.isTabSuspended(t) &&
+                        !t.active && (State.getTabLastActivated(t.id) ?? t.lastAccessed ?? Date.now()) < staleBefore).length;
                     // Approximate scheduled count from internal scheduling map
                     const scheduledInfo = await Scheduling.getSchedulingSnapshot();
                     scheduled = scheduledInfo.size || 0;
                     // Calculate skipped using the same logic as the Skipped Tabs page
                     let skippedCount = 0;
                     for (const tab of allTabs) {
-                        if (tab.url && tab.url.startsWith(suspendedPrefix)) continue;
+                        if (SuspensionUtils.isTabSuspended(tab)) continue;
                         const isScheduled = scheduledInfo.entries.some(e => e.tabId === tab.id);
                         if (isScheduled) continue;
                         const skipReason = await Suspension.shouldSkipTabForScheduling(tab, true);
                         if (skipReason) skippedCount++;
                     }
                     skipped = skippedCount;
-                    return { success: true, total, suspended, scheduled, skipped };
+                    return { success: true, total, suspended, scheduled, skipped, inactiveHour };
                 }, sendResponse);
                 return true;
             }
             if (request.type === Const.MSG_GET_SKIPPED_TABS) {
                 handleAsyncMessage(context, async () => {
                     const tabs = await chrome.tabs.query({}); // Query all tabs, not just http(s)
-                    const suspendedPrefix = chrome.runtime.getURL(Const.SUSPENDED_PAGE_PATH);
                     const scheduledInfo = await Scheduling.getSchedulingSnapshot();
                     const skippedTabs = [];
                     for (const tab of tabs) {
                         if (!tab.id) continue;
-                        if (tab.url && tab.url.startsWith(suspendedPrefix)) continue;
+                        if (SuspensionUtils.isTabSuspended(tab)) continue;
                         const isScheduled = scheduledInfo.entries.some(e => e.tabId === tab.id);
                         if (isScheduled) continue;
                         const skipReason = await Suspension.shouldSkipTabForScheduling(tab, true);
@@ -480,13 +630,70 @@ function handleAsyncMessage(context, asyncFunction, sendResponse) {
         });
 }
 
+// Helper: save a new whitelist and reschedule tabs against it
+async function saveWhitelistAndReschedule(newWhitelist) {
+    await Preferences.saveWhitelist(newWhitelist);
+    await Scheduling.updateWhitelistExpiryAlarm();
+    Scheduling.debouncedScheduleAllTabsAlarmBacked();
+}
+
+// Helper: the domain a domain snooze of a page targets, or null for pages without one (browser pages, files)
+function getSnoozeDomain(url) {
+    if (!/^https?:\/\//i.test(url || '')) return null;
+    try {
+        return new URL(url).hostname.replace(/^www\./i, '').toLowerCase() || null;
+    } catch {
+        return null;
+    }
+}
+
+// Helper: snooze the given tab, its window or its domain and reschedule tabs
+async function snoozeFromTab(snoozeType, tab, durationMinutes) {
+    let target;
+    let label;
+    if (snoozeType === 'tab') {
+        target = tab.id;
+        label = tab.title || tab.url;
+    } else if (snoozeType === 'window') {
+        target = tab.windowId;
+        label = `window ${tab.windowId}`;
+    } else {
+        target = getSnoozeDomain(tab.url);
+        if (!target) throw new Error(`Cannot snooze the domain of ${tab.url}: not a web page`);
+        label = target;
+    }
+    const entry = await Snooze.addSnooze(snoozeType, target, label, durationMinutes);
+    await updateSnoozeExpiryAlarm();
+    await Scheduling.scheduleAllTabs();
+    return entry;
+}
+
+// Helper: manually suspend a list of tabs one by one, counting the outcomes
+async function suspendTabIds(ids) {
+    let success = 0, skipped = 0, errors = 0;
+    for (const id of ids) {
+        try {
+            const ok = await Suspension.suspendTab(id, true);
+            if (ok) success++; else skipped++;
+        } catch (e) {
+            errors++;
+            Logger.logError(`Suspend selected failed for ${id}`, e, Logger.LogComponent.BACKGROUND);
+        }
+    }
+    return { success, skipped, errors, total: ids.length };
+}
+
 export function handleTabCreated(tab) {
     if (!tab || !tab.id) return;
 
     Logger.detailedLog(`Tab created: ${tab.id}, ${tab.url || 'no URL'}`, Logger.LogComponent.BACKGROUND);
 
+    // Treat creation as activity so freshly opened background tabs are not the first evicted
+    State.markTabActivated(tab.id);
+
     // Schedule the tab for potential suspension
     Scheduling.scheduleTab(tab.id, tab);
+    Scheduling.debouncedEnforceLiveTabCap();
 }
 
 export function handleTabUpdated(tabId, changeInfo, tab) {
@@ -501,7 +708,9 @@ export function handleTabUpdated(tabId, changeInfo, tab) {
         // Audio state changes affect neverSuspendAudio setting
         changeInfo.audible !== undefined ||
         // Pinned state changes affect neverSuspendPinned setting
-        changeInfo.pinned !== undefined;
+        changeInfo.pinned !== undefined ||
+        // Moving into or out of a tab group changes which group rule applies
+        changeInfo.groupId !== undefined;
 
     // Only reschedule on 'complete' status if it's the first load after a URL change
     const isInitialComplete = changeInfo.status === 'complete';
@@ -509,6 +718,25 @@ export function handleTabUpdated(tabId, changeInfo, tab) {
     if (criticalChanges || isInitialComplete) {
         // Include the full tab object for efficiency
         Scheduling.scheduleTab(tabId, tab);
+        // Navigation resets the tab's badge, and suspending a tab changes the window's count
+        Badge.requestBadgeRefresh();
+    }
+
+    // A navigation may turn a blank new tab into a live web page
+    if (changeInfo.url !== undefined) {
+        Scheduling.debouncedEnforceLiveTabCap();
+    }
+
+    // Keep the preview of the visible page current
+    if (isInitialComplete && tab.active) {
+        ScreenshotCapture.scheduleActiveTabCapture(tab.windowId);
+    }
+
+    // Scroll a just-unsuspended page back to where it was and refill its saved form fields
+    const pendingRestore = isInitialComplete ? RestoreData.takePendingRestore(tab) : null;
+    if (pendingRestore) {
+        ScrollPosition.applyScrollRestore(tab, pendingRestore);
+        FormPreserve.applyFormRestore(tab, pendingRestore);
     }
 }
 
@@ -517,6 +745,9 @@ export function handleTabRemoved(tabId, removeInfo) {
 
     // Clean up the tab suspension time entry to prevent memory leaks
     Scheduling.removeTabSuspendTime(tabId);
+    State.removeTabActivation(tabId);
+    RestoreData.forgetTab(tabId);
+    if (!removeInfo.isWindowClosing) Badge.requestBadgeRefresh();
 
     // If this tab was the active tab for its window, update the activeTabsByWindow Map
     Logger.withErrorHandling(
@@ -547,10 +778,52 @@ export function handleTabRemoved(tabId, removeInfo) {
     );
 }
 
+// Pending "unsuspend on focus" restores by window, and when each window last switched tabs
+const pendingFocusRestores = new Map(); // windowId -> timeout ID
+const lastTabSwitchAt = new Map(); // windowId -> timestamp
+// Tab switches closer together than this are treated as cycling through tabs (e.g. Ctrl+Tab held down)
+const TAB_CYCLING_INTERVAL_MS = 700;
+
+/**
+ * Restore a suspended tab that was just focused, once the user has stayed on it for the
+ * grace delay. Switching tabs again in the same window cancels the pending restore, and
+ * while tabs are being cycled through quickly the restore waits until the cycling stops.
+ * @param {number} tabId - The tab that was activated.
+ * @param {number} windowId - Its window.
+ */
+function scheduleUnsuspendOnFocus(tabId, windowId) {
+    clearTimeout(pendingFocusRestores.get(windowId));
+    pendingFocusRestores.delete(windowId);
+
+    const now = Date.now();
+    const isCycling = now - (lastTabSwitchAt.get(windowId) || 0) < TAB_CYCLING_INTERVAL_MS;
+    lastTabSwitchAt.set(windowId, now);
+    if (!Preferences.prefs.unsuspendOnFocus) return;
+
+    const delay = Math.max(Preferences.prefs.unsuspendOnFocusDelayMs, isCycling ? TAB_CYCLING_INTERVAL_MS : 0);
+    pendingFocusRestores.set(windowId, setTimeout(async () => {
+        pendingFocusRestores.delete(windowId);
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            // The user may have moved on, or the tab may have been restored another way meanwhile
+            if (!tab.active || !SuspensionUtils.isSuspendedPageUrl(tab.url)) return;
+            Logger.log(`Unsuspending focused tab ${tabId}`, Logger.LogComponent.BACKGROUND);
+            await Suspension.unsuspendTab(tabId);
+        } catch (e) {
+            if (!e.message?.includes("No tab with id")) {
+                Logger.logError(`Error unsuspending focused tab ${tabId}: ${e.message}`, Logger.LogComponent.BACKGROUND);
+            }
+        }
+    }, delay));
+}
+
 export function handleTabActivated(activeInfo) {
     const { tabId, windowId } = activeInfo;
     Logger.log(`Tab ${tabId} activated in window ${windowId}`, Logger.LogComponent.BACKGROUND);
 
+    scheduleUnsuspendOnFocus(tabId, windowId);
+    Badge.requestBadgeRefresh();
+
     Logger.withErrorHandling(
         `handleTabActivated(${tabId}, ${windowId})`,
         async () => {
@@ -560,6 +833,9 @@ export function handleTabActivated(activeInfo) {
 
                 // Store this tab as the active one for its window
                 State.setActiveTabForWindow(windowId, tabId);
+                State.markTabActivated(tabId);
+                Scheduling.debouncedEnforceLiveTabCap();
+                ScreenshotCapture.scheduleActiveTabCapture(windowId);
 
                 // Check if this window is currently focused
                 let isFocusedWindow = false;
@@ -596,9 +872,15 @@ export function handleTabActivated(activeInfo) {
                             return;
                         }
                         // Only reschedule if the tab still exists and isn't suspended
-                        if (previousTab && !previousTab.url.startsWith(chrome.runtime.getURL("suspended.html"))) {
-                            await Scheduling.scheduleTab(previousActiveTabId, previousTab);
+                        if (previousTab && !SuspensionUtils.isTabSuspended(previousTab)) {
+                            const scheduled = await Scheduling.scheduleTab(previousActiveTabId, previousTab);
                             Logger.detailedLog(`Rescheduled previous active tab ${previousActiveTabId}`, Logger.LogComponent.BACKGROUND);
+
+                            // Always-suspend tabs without a grace period go as soon as they lose focus
+                            const suspendInfo = scheduled ? await Scheduling.getTabSuspendTime(previousActiveTabId) : null;
+                            if (suspendInfo && suspendInfo.delayMinutes === Const.IMMEDIATE_SUSPEND_DELAY_MINUTES) {
+                                await Suspension.suspendTab(previousActiveTabId, false);
+                            }
                         }
                     } catch (e) {
                         // Tab might not exist anymore, ignore
@@ -616,6 +898,7 @@ export function handleTabActivated(activeInfo) {
 
 export function handleWindowFocusChanged(windowId) {
     Logger.log(`Window focus changed to: ${windowId}`, Logger.LogComponent.BACKGROUND);
+    State.setBrowserFocused(windowId !== chrome.windows.WINDOW_ID_NONE);
 
     if (windowId === chrome.windows.WINDOW_ID_NONE) {
         // Focus moved away from Chrome entirely
@@ -648,6 +931,7 @@ export function handleWindowFocusChanged(windowId) {
 
                 // Store active tab info
                 State.setActiveTabForWindow(windowId, activeTab.id);
+                State.markTabActivated(activeTab.id);
 
                 // Unschedule this active tab as it's now the active tab in the focused window
                 await Scheduling.unscheduleTab(activeTab.id);
@@ -668,7 +952,7 @@ export function handleWindowFocusChanged(windowId) {
                         const tabs = await chrome.tabs.query({ active: true, windowId: window.id });
                         if (tabs && tabs.length > 0 && tabs[0].id) {
                             // Only schedule this tab if it's not already suspended
-                            if (!tabs[0].url.startsWith(chrome.runtime.getURL("suspended.html"))) {
+                            if (!SuspensionUtils.isTabSuspended(tabs[0])) {
                                 await Scheduling.scheduleTab(tabs[0].id, tabs[0]);
                                 Logger.detailedLog(`Scheduled active tab ${tabs[0].id} in window ${window.id} after focus change`, Logger.LogComponent.BACKGROUND);
                             }
@@ -690,12 +974,36 @@ export function handleAlarmEvent(alarm) {
         // Handle tab scan alarm
         Logger.withErrorHandling(Const.TS_TAB_SCAN_ALARM_NAME, async () => {
             await Scheduling.scanTabsForSuspension();
+            // Countdowns on the badge move on with every scan
+            Badge.requestBadgeRefresh();
         }, Logger.LogComponent.BACKGROUND);
     } else if (alarm.name === Const.TS_ALARM_CLEANUP_NAME) {
         // Handle alarm cleanup
         Logger.withErrorHandling(Const.TS_ALARM_CLEANUP_NAME, async () => {
             Logger.log('Performing periodic cleanup tasks (if any defined)...', Logger.LogComponent.BACKGROUND);
         }, Logger.LogComponent.BACKGROUND);
+    } else if (alarm.name === Const.TS_WHITELIST_EXPIRY_ALARM) {
+        // A whitelist entry ran out: the tabs it covered can be scheduled again
+        Logger.withErrorHandling(Const.TS_WHITELIST_EXPIRY_ALARM, async () => {
+            await Scheduling.updateWhitelistExpiryAlarm();
+            await Scheduling.scheduleAllTabs();
+        }, Logger.LogComponent.BACKGROUND);
+    } else if (alarm.name === Const.TS_SNOOZE_EXPIRY_ALARM) {
+        // Expire snoozes and let their tabs be scheduled again
+        Logger.withErrorHandling(Const.TS_SNOOZE_EXPIRY_ALARM, async () => {
+            const removed = await Snooze.removeExpiredSnoozes();
+            await updateSnoozeExpiryAlarm();
+            if (removed > 0) {
+                await Scheduling.scheduleAllTabs();
+            }
+        }, Logger.LogComponent.BACKGROUND);
+    } else if (alarm.name === Const.TS_GLOBAL_PAUSE_ALARM) {
+        // A timed auto-suspend pause ran out: continue the frozen countdowns
+        Logger.withErrorHandling(Const.TS_GLOBAL_PAUSE_ALARM, async () => {
+            if (GlobalPause.hasPauseEnded()) {
+                await Scheduling.resumeAutoSuspend();
+            }
+        }, Logger.LogComponent.BACKGROUND);
     } else if (alarm.name === Const.TS_STATE_CLEANUP_NAME) {
         // Handle state reference cleanup
         Logger.withErrorHandling(Const.TS_STATE_CLEANUP_NAME, async () => {
@@ -709,8 +1017,8 @@ export function handleAlarmEvent(alarm) {
             const autoSaveEnabled = await SessionManager.getAutoSaveEnabled();
             if (autoSaveEnabled) {
                 Logger.detailedLog('Performing automatic session save...', Logger.LogComponent.BACKGROUND);
-                await SessionManager.saveCurrentSession(null, true);
-                Logger.detailedLog('Automatic session save completed', Logger.LogComponent.BACKGROUND);
+                const saved = await SessionManager.saveCurrentSession(null, true);
+                Logger.detailedLog(saved ? 'Automatic session save completed' : 'Automatic session save skipped, nothing changed', Logger.LogComponent.BACKGROUND);
             }
         }, Logger.LogComponent.BACKGROUND);
     }
@@ -725,6 +1033,9 @@ export function handleWindowRemoval(windowId) {
     Logger.detailedLog(`Window removed: ${windowId}`, Logger.LogComponent.BACKGROUND);
 
     // Clean up any state related to this window
+    clearTimeout(pendingFocusRestores.get(windowId));
+    pendingFocusRestores.delete(windowId);
+    lastTabSwitchAt.delete(windowId);
     Logger.withErrorHandling(
         `handleWindowRemoval(${windowId})`,
         async () => {
@@ -758,6 +1069,98 @@ export function handleWindowRemoval(windowId) {
     );
 }
 
+// Groups known to be collapsed, so only the expanded -> collapsed transition triggers suspension
+const collapsedGroups = new Set();
+
+/**
+ * Handles tab group changes: reschedules the group's tabs when its title or color changes
+ * (a different group rule may now apply) and suspends all of its tabs when it is collapsed,
+ * if enabled.
+ * @param {chrome.tabGroups.TabGroup} group
+ */
+export function handleTabGroupUpdated(group) {
+    if (!group) return;
+    const justCollapsed = group.collapsed && !collapsedGroups.has(group.id);
+    if (group.collapsed) {
+        collapsedGroups.add(group.id);
+    } else {
+        collapsedGroups.delete(group.id);
+    }
+
+    Logger.withErrorHandling(`handleTabGroupUpdated(${group.id})`, async () => {
+        const groupTabs = await chrome.tabs.query({ groupId: group.id });
+        if (justCollapsed && Preferences.prefs.suspendGroupOnCollapse) {
+            Logger.log(`Tab group ${group.id} collapsed; suspending its tabs`, Logger.LogComponent.BACKGROUND);
+            await Suspension.processTabsWithConcurrency(
+                groupTabs.map(tab => tab.id),
+                (tabId) => Suspension.suspendTab(tabId),
+                5,
+                `CollapseGroup${group.id}`
+            );
+            return;
+        }
+        for (const tab of groupTabs) {
+            await Scheduling.scheduleTab(tab.id, tab);
+        }
+    }, Logger.LogComponent.BACKGROUND);
+}
+
+/**
+ * Forgets collapse tracking for a removed tab group.
+ * @param {chrome.tabGroups.TabGroup} group
+ */
+export function handleTabGroupRemoved(group) {
+    if (group) collapsedGroups.delete(group.id);
+}
+
+/**
+ * Handles chrome.idle state changes: records the state and suspends all eligible
+ * tabs when the system goes idle or the screen locks, if enabled.
+ * @param {'active'|'idle'|'locked'} newState
+ */
+export function handleIdleStateChanged(newState) {
+    State.setSystemIdleState(newState);
+
+    const shouldSuspendAll = (newState === 'idle' && Preferences.prefs.suspendOnSystemIdle) ||
+        (newState === 'locked' && Preferences.prefs.suspendOnScreenLock);
+    if (!shouldSuspendAll) return;
+
+    Logger.withErrorHandling(`handleIdleStateChanged(${newState})`, async () => {
+        Logger.log(`System is ${newState}; suspending all eligible tabs`, Logger.LogComponent.BACKGROUND);
+        await Suspension.suspendAllTabsAllSpecs(false);
+    }, Logger.LogComponent.BACKGROUND);
+}
+
+/**
+ * Applies the idle detection interval from prefs and refreshes the known idle state.
+ * chrome.idle only reports 'idle' after the detection interval (minimum 15 seconds).
+ */
+async function applyIdleDetectionInterval() {
+    try {
+        const intervalSeconds = Math.max(15, Math.round(Preferences.prefs.systemIdleMinutes * 60));
+        chrome.idle.setDetectionInterval(intervalSeconds);
+        State.setSystemIdleState(await chrome.idle.queryState(intervalSeconds));
+    } catch (error) {
+        Logger.logError("Error applying idle detection interval", error, Logger.LogComponent.BACKGROUND);
+    }
+}
+
+/**
+ * Points the snooze expiry alarm at the next snooze to expire, or clears it if none will.
+ */
+export async function updateSnoozeExpiryAlarm() {
+    try {
+        await chrome.alarms.clear(Const.TS_SNOOZE_EXPIRY_ALARM);
+        const nextExpiry = Snooze.getNextExpiry();
+        if (nextExpiry !== null) {
+            // Alarms cannot fire sooner than ~30s in packed extensions; Chrome clamps this for us
+            await chrome.alarms.create(Const.TS_SNOOZE_EXPIRY_ALARM, { when: Math.max(nextExpiry, Date.now() + 1000) });
+        }
+    } catch (error) {
+        Logger.logError("Error updating snooze expiry alarm", error, Logger.LogComponent.BACKGROUND);
+    }
+}
+
 export function handleStartup() {
     Logger.log("Browser startup detected", Logger.LogComponent.BACKGROUND);
     // Schedule all tabs on startup
@@ -855,6 +1258,23 @@ export function handleCommand(command) {
                         Logger.log(`Unsuspended all tabs in all windows via keyboard shortcut`, Logger.LogComponent.BACKGROUND);
                         break;
 
+                    case 'open-selected-links-suspended':
+                        Logger.log(`[KEYBOARD] Processing open-selected-links-suspended command for tab ${activeTab.id}`, Logger.LogComponent.BACKGROUND);
+                        const openedLinks = await OpenSuspended.openSelectedLinksAsSuspended(activeTab);
+                        Logger.log(`Opened ${openedLinks} selected links as suspended tabs via keyboard shortcut`, Logger.LogComponent.BACKGROUND);
+                        break;
+
+                    case 'toggle-pause-auto-suspend':
+                        Logger.log(`[KEYBOARD] Processing toggle-pause-auto-suspend command`, Logger.LogComponent.BACKGROUND);
+                        if (GlobalPause.isPaused()) {
+                            await Scheduling.resumeAutoSuspend();
+                            Logger.log(`Resumed auto-suspend via keyboard shortcut`, Logger.LogComponent.BACKGROUND);
+                        } else {
+                            await Scheduling.pauseAutoSuspend(60);
+                            Logger.log(`Paused auto-suspend for 1 hour via keyboard shortcut`, Logger.LogComponent.BACKGROUND);
+                        }
+                        break;
+
                     case 'open-settings':
                         Logger.log(`[KEYBOARD] Processing open-settings command`, Logger.LogComponent.BACKGROUND);
                         Logger.detailedLog(`[KEYBOARD] Creating new tab with options.html...`, Logger.LogComponent.BACKGROUND);
@@ -886,6 +1306,126 @@ export function handleCommand(command) {
     );
 }
 
+// ===================== Context Menus =====================
+const MENU = Const.CONTEXT_MENU_IDS;
+// Right-clicking the page, or the toolbar icon (Chrome has no tab strip context menu)
+const TAB_MENU_CONTEXTS = ['page', 'action'];
+
+/**
+ * (Re)create the extension's context menu items. The toolbar icon menu only shows the
+ * first six top-level items, so the snooze options live in a submenu.
+ */
+function setupContextMenus() {
+    const items = [
+        { id: MENU.SUSPEND_TAB, title: 'Suspend this tab', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.SUSPEND_OTHERS_IN_WINDOW, title: 'Suspend other tabs in window', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.SUSPEND_TABS_LEFT, title: 'Suspend tabs to the left', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.SUSPEND_TABS_RIGHT, title: 'Suspend tabs to the right', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.NEVER_SUSPEND_DOMAIN, title: 'Never suspend this domain', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.SNOOZE, title: 'Snooze', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.SNOOZE_TAB_1H, parentId: MENU.SNOOZE, title: 'This tab for 1 hour', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.SNOOZE_TAB_4H, parentId: MENU.SNOOZE, title: 'This tab for 4 hours', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.SNOOZE_TAB_RESTART, parentId: MENU.SNOOZE, title: 'This tab until restart', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.SNOOZE_DOMAIN_1H, parentId: MENU.SNOOZE, title: 'This domain for 1 hour', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.SNOOZE_WINDOW_1H, parentId: MENU.SNOOZE, title: 'This window for 1 hour', contexts: TAB_MENU_CONTEXTS },
+        { id: MENU.OPEN_LINK_SUSPENDED, title: 'Open link as suspended tab', contexts: ['link'], targetUrlPatterns: ['http://*/*', 'https://*/*'] },
+        { id: MENU.OPEN_SELECTED_LINKS_SUSPENDED, title: 'Open links in selection as suspended tabs', contexts: ['selection'] }
+    ];
+
+    chrome.contextMenus.removeAll(() => {
+        for (const item of items) {
+            chrome.contextMenus.create(item, () => {
+                if (chrome.runtime.lastError) {
+                    Logger.logError(`Failed to create context menu item ${item.id}`, chrome.runtime.lastError.message, Logger.LogComponent.BACKGROUND);
+                }
+            });
+        }
+        Logger.log(`Context menu set up with ${items.length} items`, Logger.LogComponent.BACKGROUND);
+    });
+}
+
+// Snooze menu items: [snoozeType, durationMinutes (null = until restart)]
+const SNOOZE_MENU_ITEMS = {
+    [MENU.SNOOZE_TAB_1H]: ['tab', 60],
+    [MENU.SNOOZE_TAB_4H]: ['tab', 240],
+    [MENU.SNOOZE_TAB_RESTART]: ['tab', null],
+    [MENU.SNOOZE_DOMAIN_1H]: ['domain', 60],
+    [MENU.SNOOZE_WINDOW_1H]: ['window', 60]
+};
+
+/**
+ * Handles clicks on the context menu items, using the same operations as the popup and
+ * keyboard commands.
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} [tab] - Tab the menu was opened in (the active tab for the toolbar icon menu)
+ */
+export function handleContextMenuClick(info, tab) {
+    const menuItemId = info.menuItemId;
+    Logger.withErrorHandling(`handleContextMenuClick(${menuItemId})`, async () => {
+        if (!tab || tab.id == null || tab.id === chrome.tabs.TAB_ID_NONE) {
+            Logger.logWarning(`Context menu item ${menuItemId} clicked without a tab`, Logger.LogComponent.BACKGROUND);
+            return;
+        }
+
+        switch (menuItemId) {
+            case MENU.SUSPEND_TAB:
+                await Suspension.suspendTab(tab.id, true);
+                break;
+
+            case MENU.SUSPEND_OTHERS_IN_WINDOW:
+            case MENU.SUSPEND_TABS_LEFT:
+            case MENU.SUSPEND_TABS_RIGHT: {
+                const toLeft = menuItemId === MENU.SUSPEND_TABS_LEFT;
+                const others = menuItemId === MENU.SUSPEND_OTHERS_IN_WINDOW;
+                const windowTabs = await chrome.tabs.query({ windowId: tab.windowId });
+                const ids = windowTabs
+                    .filter(t => others ? t.id !== tab.id : toLeft ? t.index < tab.index : t.index > tab.index)
+                    .map(t => t.id);
+                const counts = await suspendTabIds(ids);
+                const which = others ? 'other tabs in the window' : `tabs to the ${toLeft ? 'left' : 'right'}`;
+                Logger.log(`Suspended ${which} of tab ${tab.id}: ${JSON.stringify(counts)}`, Logger.LogComponent.BACKGROUND);
+                break;
+            }
+
+            case MENU.NEVER_SUSPEND_DOMAIN: {
+                const url = await WhitelistUtils.resolveTabUrl(tab);
+                const domain = url && /^https?:/.test(url) ? new URL(url).hostname.replace(/^www\./i, '').toLowerCase() : null;
+                if (!domain || !WhitelistUtils.isValidPattern(domain)) {
+                    Logger.logWarning(`Cannot whitelist the domain of tab ${tab.id}`, Logger.LogComponent.BACKGROUND);
+                    break;
+                }
+                if (!WhitelistUtils.isWhitelisted(Preferences.whitelist, domain)) {
+                    await saveWhitelistAndReschedule(WhitelistUtils.addToWhitelist(Preferences.whitelist, domain));
+                    Logger.log(`Added ${domain} to the whitelist via context menu`, Logger.LogComponent.BACKGROUND);
+                }
+                break;
+            }
+
+            case MENU.OPEN_LINK_SUSPENDED: {
+                // Chrome does not report the link text, so look it up in the frame that was clicked
+                const linkText = await OpenSuspended.getLinkText(tab.id, info.frameId, info.linkUrl);
+                await OpenSuspended.openLinkAsSuspended(info.linkUrl, linkText || info.selectionText, tab);
+                break;
+            }
+
+            case MENU.OPEN_SELECTED_LINKS_SUSPENDED:
+                await OpenSuspended.openSelectedLinksAsSuspended(tab);
+                break;
+
+            default:
+                if (SNOOZE_MENU_ITEMS[menuItemId]) {
+                    const [snoozeType, durationMinutes] = SNOOZE_MENU_ITEMS[menuItemId];
+                    // Snooze the domain of the original page when used on a suspended page
+                    const url = await WhitelistUtils.resolveTabUrl(tab);
+                    await snoozeFromTab(snoozeType, { ...tab, url: url || tab.url }, durationMinutes);
+                } else {
+                    Logger.logWarning(`Unknown context menu item: ${menuItemId}`, Logger.LogComponent.BACKGROUND);
+                }
+                break;
+        }
+    });
+}
+
 // ===================== Exported Functions =====================
 //+reviewed
 export function initListeners() {
@@ -896,7 +1436,11 @@ export function initListeners() {
         chrome.tabs.onRemoved.removeListener(handleTabRemoved);
         chrome.tabs.onActivated.removeListener(handleTabActivated);
         chrome.windows.onFocusChanged.removeListener(handleWindowFocusChanged);
+        chrome.idle.onStateChanged.removeListener(handleIdleStateChanged);
+        chrome.tabGroups.onUpdated.removeListener(handleTabGroupUpdated);
+        chrome.tabGroups.onRemoved.removeListener(handleTabGroupRemoved);
         chrome.commands.onCommand.removeListener(handleCommand);
+        chrome.contextMenus.onClicked.removeListener(handleContextMenuClick);
     } catch (e) {
         // Ignore errors during cleanup
     }
@@ -907,6 +1451,18 @@ export function initListeners() {
     chrome.tabs.onRemoved.addListener(handleTabRemoved);
     chrome.tabs.onActivated.addListener(handleTabActivated);
     chrome.windows.onFocusChanged.addListener(handleWindowFocusChanged);
+    chrome.idle.onStateChanged.addListener(handleIdleStateChanged);
+    chrome.tabGroups.onUpdated.addListener(handleTabGroupUpdated);
+    chrome.tabGroups.onRemoved.addListener(handleTabGroupRemoved);
+    chrome.tabGroups.query({ collapsed: true }).then(groups => {
+        groups.forEach(group => collapsedGroups.add(group.id));
+    }).catch(error => {
+        Logger.logError("Failed to read collapsed tab groups", error, Logger.LogComponent.BACKGROUND);
+    });
+    applyIdleDetectionInterval();
+    chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+    setupContextMenus();
+    Badge.initBadge();
 
     // Special attention to command listener setup
     Logger.log("[KEYBOARD] Setting up chrome.commands.onCommand listener for keyboard shortcuts...", Logger.LogComponent.BACKGROUND);
@@ -3,17 +3,35 @@ import * as Const from '../common/constants.js';
 import * as State from '../common/state.js';
 import * as Logger from '../common/logger.js';
 import * as Prefs from '../common/prefs.js';
+import * as TabClassifier from '../common/tab-classifier.js';
 import * as Suspension from '../suspension/suspension.js';
+import * as SuspensionUtils from '../suspension/suspension-utils.js';
+import * as Policies from '../common/policies.js';
+import * as GlobalPause from '../common/global-pause.js';
+import * as WhitelistUtils from '../common/whitelist-utils.js';
 
 // Persistent storage key for scheduled suspension times
-const SCHEDULES_STORAGE_KEY = 'TS_tab_suspend_times_v1';
+export const SCHEDULES_STORAGE_KEY = 'TS_tab_suspend_times_v1';
+// Persistent storage key for the last schedule policy seen in force (survives service worker restarts)
+const ACTIVE_POLICY_STORAGE_KEY = 'TS_active_policy_v1';
 
 export const SMALL_DELAY_MS = 50;
 export const DEBOUNCE_DELAY_MS = 5000; // For debouncing frequent events like settings changes before rescheduling
+const LIVE_TAB_CAP_DEBOUNCE_MS = 1000; // Let rapid tab creation/switching settle before evicting
 
 // Object to store tab suspension times (efficient, no per-tab alarms)
 let tabSuspendTimes = new Map();
 
+// Time of the previous scan, used to freeze countdowns while the user is active elsewhere
+let lastScanAt = null;
+// Cap on how far a single paused scan may push countdowns (covers missed alarms after sleep)
+const MAX_PAUSE_SHIFT_MS = Const.TS_TAB_SCAN_INTERVAL_MINUTES * 2 * 60 * 1000;
+
+// Memory-pressure strategy: tabs suspended per batch, batches per scan, and wait before re-reading memory use
+const MEMORY_PRESSURE_BATCH_SIZE = 3;
+const MEMORY_PRESSURE_MAX_BATCHES = 4;
+const MEMORY_PRESSURE_SETTLE_MS = 1500;
+
 // Debounced persistence timeout
 let persistTimeoutId = null;
 const PERSIST_DEBOUNCE_MS = 1000;
@@ -72,7 +90,7 @@ export async function initializeSchedulingState() {
 			return;
 		}
 
-		// Rehydrate map with only existing tabs; adjust overdue times to "now" so next scan suspends immediately
+		// Rehydrate map with only existing tabs; overdue times are moved to "now" below so the next scan suspends them
 		const existingTabs = await chrome.tabs.query({});
 		const existingIds = new Set(existingTabs.map(t => t.id));
 
@@ -83,12 +101,22 @@ export async function initializeSchedulingState() {
 			if (!existingIds.has(entry.tabId)) continue;
 			const scheduledTime = Math.min(Math.max(0, entry.scheduledTime || 0), Number.MAX_SAFE_INTEGER);
 			const delayMinutes = typeof entry.delayMinutes === 'number' ? entry.delayMinutes : Prefs.prefs.suspendAfter;
-			const normalizedTime = scheduledTime <= now ? now : scheduledTime;
-			tabSuspendTimes.set(entry.tabId, { scheduledTime: normalizedTime, delayMinutes });
+			tabSuspendTimes.set(entry.tabId, { scheduledTime, delayMinutes });
 			restored++;
 		}
 		Logger.log(`Restored ${restored} scheduled tabs from storage`, Logger.LogComponent.SCHEDULING);
 
+		// A pause that ran out while the service worker or browser was down: continue the countdowns from its end
+		if (GlobalPause.hasPauseEnded(now)) {
+			await resumeAutoSuspend();
+		}
+		// Overdue times are kept as they are during a pause, as resuming works from the original times
+		if (!GlobalPause.isPaused(now)) {
+			for (const [tabId, info] of tabSuspendTimes.entries()) {
+				if (info.scheduledTime <= now) tabSuspendTimes.set(tabId, { ...info, scheduledTime: now });
+			}
+		}
+
 		// Ensure scan alarm exists
 		await setupTabScanAlarm();
 	} catch (e) {
@@ -134,6 +162,142 @@ export async function setupTabScanAlarm() {
 	}
 }
 
+/**
+ * Detects when the schedule policy in force changes (e.g. a time window starts or ends)
+ * and reacts to it: reschedules all tabs so the new delay/exemptions apply, and suspends
+ * everything when entering a "suspend-all" policy.
+ * @returns {Promise<boolean>} - Whether a transition happened.
+ */
+async function checkPolicyTransition() {
+	try {
+		const active = TabClassifier.getActivePolicy();
+		const key = active ? `${active.index}:${Policies.describePolicy(active.policy)}` : null;
+		const stored = await chrome.storage.local.get(ACTIVE_POLICY_STORAGE_KEY);
+		const previousKey = stored[ACTIVE_POLICY_STORAGE_KEY] ?? null;
+		if (key === previousKey) return false;
+
+		await chrome.storage.local.set({ [ACTIVE_POLICY_STORAGE_KEY]: key });
+		Logger.log(`Schedule policy changed: ${previousKey || 'none'} -> ${key || 'none'}`, Logger.LogComponent.SCHEDULING);
+
+		if (active && active.policy.action === 'suspendAll') {
+			await Suspension.suspendAllTabsAllSpecs(false);
+		}
+		await scheduleAllTabs();
+		return true;
+	} catch (e) {
+		Logger.logError('checkPolicyTransition', e, Logger.LogComponent.SCHEDULING);
+		return false;
+	}
+}
+
+/**
+ * Whether countdowns should be frozen: the user is active on the system but focus is outside the browser.
+ * @returns {boolean}
+ */
+function shouldPauseCountdowns() {
+	return Prefs.prefs.pauseWhileActiveElsewhere &&
+		!State.isBrowserFocused() &&
+		State.getSystemIdleState() === 'active';
+}
+
+/**
+ * Pushes every scheduled suspension time forward, effectively pausing the countdowns.
+ * @param {number} ms - Milliseconds to add to each schedule.
+ */
+function shiftAllSchedules(ms) {
+	if (ms <= 0) return;
+	for (const [tabId, data] of tabSuspendTimes.entries()) {
+		const info = typeof data === 'number' ? { scheduledTime: data, delayMinutes: -1 } : data;
+		tabSuspendTimes.set(tabId, { ...info, scheduledTime: info.scheduledTime + ms });
+	}
+	persistSchedulesDebounced();
+}
+
+/**
+ * Pause all automatic suspension for a while. Countdowns are frozen and continue with their
+ * remaining time when the pause ends; manual suspension keeps working.
+ * @param {number|null} durationMinutes - Minutes to pause for, or null for "until browser restart".
+ * @returns {Promise<import('../common/global-pause.js').GlobalPause>} The pause now in effect.
+ */
+export async function pauseAutoSuspend(durationMinutes) {
+	const pause = await GlobalPause.startPause(durationMinutes);
+	await updateGlobalPauseAlarm();
+	return pause;
+}
+
+/**
+ * End the auto-suspend pause and continue every countdown with the time it had left.
+ * Also called when a timed pause runs out.
+ * @returns {Promise<boolean>} - Whether a pause was ended.
+ */
+export async function resumeAutoSuspend() {
+	const pause = await GlobalPause.clearPause();
+	await chrome.alarms.clear(Const.TS_GLOBAL_PAUSE_ALARM);
+	if (!pause) return false;
+
+	const resumeAt = pause.until === null ? Date.now() : Math.min(Date.now(), pause.until);
+	for (const [tabId, data] of tabSuspendTimes.entries()) {
+		const info = typeof data === 'number' ? { scheduledTime: data, delayMinutes: -1 } : data;
+		tabSuspendTimes.set(tabId, { ...info, scheduledTime: GlobalPause.getResumedScheduledTime(info, pause, resumeAt) });
+	}
+	// Time spent paused must not also count as time active outside the browser
+	lastScanAt = null;
+	persistSchedulesDebounced();
+	Logger.log(`Auto-suspend resumed after ${Math.round((resumeAt - pause.pausedAt) / 60000)} min; ${tabSuspendTimes.size} countdowns continued`, Logger.LogComponent.SCHEDULING);
+	return true;
+}
+
+/**
+ * Keep the one-shot alarm that ends a timed pause in line with the stored pause.
+ * @returns {Promise<void>}
+ */
+export async function updateGlobalPauseAlarm() {
+	try {
+		await chrome.alarms.clear(Const.TS_GLOBAL_PAUSE_ALARM);
+		const pause = GlobalPause.getPause();
+		if (pause && pause.until !== null) {
+			await chrome.alarms.create(Const.TS_GLOBAL_PAUSE_ALARM, { when: Math.max(pause.until, Date.now() + 1000) });
+		}
+	} catch (e) {
+		Logger.logError('updateGlobalPauseAlarm', e, Logger.LogComponent.SCHEDULING);
+	}
+}
+
+/**
+ * Point the one-shot whitelist expiry alarm at the next entry to run out, or clear it if none will.
+ * @returns {Promise<void>}
+ */
+export async function updateWhitelistExpiryAlarm() {
+	try {
+		await chrome.alarms.clear(Const.TS_WHITELIST_EXPIRY_ALARM);
+		const nextExpiry = WhitelistUtils.getNextWhitelistExpiry(Prefs.whitelist);
+		if (nextExpiry !== null) {
+			await chrome.alarms.create(Const.TS_WHITELIST_EXPIRY_ALARM, { when: Math.max(nextExpiry, Date.now() + 1000) });
+		}
+	} catch (e) {
+		Logger.logError('updateWhitelistExpiryAlarm', e, Logger.LogComponent.SCHEDULING);
+	}
+}
+
+/**
+ * Checks whether a "suspend together" tab group is due: no tab in it is active and none
+ * has a suspension time still in the future.
+ * @param {number} groupId - The tab group ID.
+ * @param {number} now - Current timestamp.
+ * @returns {Promise<number[]|null>} IDs of the group's unsuspended tabs, or null if the group is not due yet.
+ */
+async function getGroupTabsReadyForSuspension(groupId, now) {
+	const groupTabs = await chrome.tabs.query({ groupId });
+	const liveTabs = groupTabs.filter(tab => tab.id && !SuspensionUtils.isTabSuspended(tab));
+	for (const tab of liveTabs) {
+		if (tab.active) return null;
+		const data = tabSuspendTimes.get(tab.id);
+		const scheduledTime = data && (typeof data === 'number' ? data : data.scheduledTime);
+		if (scheduledTime && scheduledTime > now) return null;
+	}
+	return liveTabs.map(tab => tab.id);
+}
+
 /**
  * Process a batch of tabs concurrently with controlled concurrency
  * @param {chrome.tabs.Tab[]} batch - Batch of tabs to process
@@ -144,6 +308,7 @@ export async function setupTabScanAlarm() {
 async function processBatchConcurrently(batch, now, globalStats) {
 	const batchStats = { scanned: 0, suspended: 0, errors: 0 };
 	const maxConcurrency = 5; // Limit concurrent operations
+	const groupsHandled = new Set(); // "Suspend together" groups already processed in this batch
 
 	// Create semaphore for concurrency control
 	let activeOperations = 0;
@@ -168,6 +333,29 @@ async function processBatchConcurrently(batch, now, globalStats) {
 					return;
 				}
 
+				// Tabs in a "suspend together" group are suspended as a unit once the whole group is due
+				const groupMatch = await TabClassifier.getGroupRuleForTab(tab);
+				if (groupMatch && groupMatch.rule.action === 'together') {
+					if (groupsHandled.has(tab.groupId)) return;
+					groupsHandled.add(tab.groupId);
+					const groupTabIds = await getGroupTabsReadyForSuspension(tab.groupId, now);
+					if (!groupTabIds) {
+						Logger.detailedLog(`Tab ${tab.id} is waiting for the rest of group ${tab.groupId}`);
+						return;
+					}
+					Logger.log(`Group ${tab.groupId} has reached its suspension time, suspending ${groupTabIds.length} tabs together...`);
+					const results = await Suspension.processTabsWithConcurrency(
+						groupTabIds,
+						(tabId) => Suspension.suspendTab(tabId),
+						maxConcurrency,
+						`SuspendGroup${tab.groupId}`
+					);
+					groupTabIds.forEach(tabId => tabSuspendTimes.delete(tabId));
+					batchStats.suspended += results.success;
+					batchStats.errors += results.errors;
+					return;
+				}
+
 				// Suspend the tab
 				Logger.log(`Tab ${tab.id} has reached its suspension time, suspending...`);
 				const success = await Suspension.suspendTab(tab.id);
@@ -276,6 +464,119 @@ async function processSchedulingBatchConcurrently(batch, focusedWindowActiveTabI
 	return batchStats;
 }
 
+/**
+ * Returns the current system memory use as a percentage of capacity.
+ * @returns {Promise<number|null>} Percentage in use, or null if it cannot be read.
+ */
+async function getMemoryUsagePercent() {
+	try {
+		const info = await chrome.system.memory.getInfo();
+		if (!info || !info.capacity) return null;
+		return (1 - info.availableCapacity / info.capacity) * 100;
+	} catch (e) {
+		Logger.logError('getMemoryUsagePercent', e, Logger.LogComponent.SCHEDULING);
+		return null;
+	}
+}
+
+/**
+ * Memory-pressure strategy: while system memory use is at or above the configured threshold,
+ * suspends eligible tabs least-recently-used first, a small batch at a time, re-checking
+ * memory use after each batch and stopping as soon as it drops below the threshold.
+ * @returns {Promise<number>} Number of tabs suspended.
+ */
+export async function suspendForMemoryPressure() {
+	const threshold = Prefs.prefs.memoryPressureThreshold;
+	let usage = await getMemoryUsagePercent();
+	if (usage === null || usage < threshold) return 0;
+
+	Logger.log(`Memory use ${usage.toFixed(1)}% is above ${threshold}%; suspending least-recently-used tabs`, Logger.LogComponent.SCHEDULING);
+	let suspended = 0;
+	try {
+		const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
+		const candidates = [];
+		for (const tab of tabs) {
+			if (!tab.id) continue;
+			const skipReason = await Suspension.shouldSkipTabForScheduling(tab, true);
+			if (!skipReason) candidates.push(tab);
+		}
+		candidates.sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0));
+
+		for (let batchCount = 0; batchCount < MEMORY_PRESSURE_MAX_BATCHES && candidates.length > 0; batchCount++) {
+			const batch = candidates.splice(0, MEMORY_PRESSURE_BATCH_SIZE);
+			const results = await Suspension.processTabsWithConcurrency(
+				batch.map(tab => tab.id),
+				(tabId) => Suspension.suspendTab(tabId),
+				MEMORY_PRESSURE_BATCH_SIZE,
+				'MemoryPressure'
+			);
+			suspended += results.success;
+
+			// Give the browser a moment to release memory before re-checking
+			await new Promise(resolve => setTimeout(resolve, MEMORY_PRESSURE_SETTLE_MS));
+			usage = await getMemoryUsagePercent();
+			if (usage === null || usage < threshold) break;
+		}
+		Logger.log(`Memory pressure pass suspended ${suspended} tabs; memory use now ${usage === null ? 'unknown' : usage.toFixed(1) + '%'}`, Logger.LogComponent.SCHEDULING);
+	} catch (e) {
+		Logger.logError('suspendForMemoryPressure', e, Logger.LogComponent.SCHEDULING);
+	}
+	return suspended;
+}
+
+/**
+ * Live-tab cap: when more than prefs.maxLiveTabs unsuspended tabs are open (per window or globally,
+ * depending on prefs.maxLiveTabsScope), suspends the least recently activated eligible tabs.
+ * Active tabs are never evicted.
+ * @returns {Promise<number>} Number of tabs suspended.
+ */
+export async function enforceLiveTabCap() {
+	const cap = Prefs.prefs.maxLiveTabs;
+	if (!Prefs.prefs.autoSuspendEnabled || !cap || cap < 1) return 0;
+
+	let suspended = 0;
+	try {
+		const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
+		const liveTabs = tabs.filter(tab => tab.id && !tab.discarded);
+
+		// Group live tabs by window, or treat them all as one group for the global scope
+		const groups = new Map();
+		for (const tab of liveTabs) {
+			const key = Prefs.prefs.maxLiveTabsScope === 'global' ? 'global' : tab.windowId;
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(tab);
+		}
+
+		const lastActive = (tab) => State.getTabLastActivated(tab.id) ?? tab.lastAccessed ?? 0;
+		for (const [key, groupTabs] of groups.entries()) {
+			const excess = groupTabs.length - cap;
+			if (excess <= 0) continue;
+
+			const candidates = [];
+			for (const tab of groupTabs) {
+				if (tab.active) continue;
+				const skipReason = await Suspension.shouldSkipTabForScheduling(tab, true);
+				if (!skipReason) candidates.push(tab);
+			}
+			candidates.sort((a, b) => lastActive(a) - lastActive(b));
+			const toEvict = candidates.slice(0, excess).map(tab => tab.id);
+			if (toEvict.length === 0) continue;
+
+			Logger.log(`Live tab cap (${cap}) exceeded by ${excess} in ${key === 'global' ? 'all windows' : `window ${key}`}; suspending ${toEvict.length} least recently used tabs`, Logger.LogComponent.SCHEDULING);
+			const results = await Suspension.processTabsWithConcurrency(
+				toEvict,
+				(tabId) => Suspension.suspendTab(tabId),
+				5,
+				'LiveTabCap'
+			);
+			suspended += results.success;
+		}
+	} catch (e) {
+		Logger.logError('enforceLiveTabCap', e, Logger.LogComponent.SCHEDULING);
+	}
+	return suspended;
+}
+
 /**
  * Scans all tabs and suspends those that have reached their suspension time.
  * This is called by the tab scan alarm.
@@ -287,8 +588,33 @@ export async function scanTabsForSuspension() {
 		return { scanned: 0, suspended: 0, errors: 0, cleaned: 0 };
 	}
 	const stats = { scanned: 0, suspended: 0, errors: 0, cleaned: 0 };
+
+	// A timed pause whose alarm was missed (e.g. during sleep) ends here
+	if (GlobalPause.hasPauseEnded()) {
+		await resumeAutoSuspend();
+	}
+	if (GlobalPause.isPaused()) {
+		Logger.log('Auto-suspend is paused; skipping tab scan.');
+		return stats;
+	}
+
+	// Apply time-of-day policy changes before looking at individual tabs
+	await checkPolicyTransition();
 	const now = Date.now();
 
+	const useTimer = Prefs.prefs.suspensionStrategy !== 'memory';
+	const useMemory = Prefs.prefs.suspensionStrategy !== 'timer';
+
+	// Freeze countdowns while the user is busy outside the browser
+	const previousScanAt = lastScanAt;
+	lastScanAt = now;
+	const paused = useTimer && shouldPauseCountdowns();
+	if (paused) {
+		const elapsed = previousScanAt ? Math.min(now - previousScanAt, MAX_PAUSE_SHIFT_MS) : 0;
+		shiftAllSchedules(elapsed);
+		Logger.log(`User active outside the browser; countdowns paused (+${Math.round(elapsed / 1000)}s).`);
+	}
+
 	try {
 		const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
 		const existingTabIds = new Set(tabs.map(tab => tab.id));
@@ -309,8 +635,8 @@ export async function scanTabsForSuspension() {
 
 		State.updateOfflineStatus();
 
-		// Process tabs in optimized concurrent batches
-		for (let i = 0; i < tabs.length; i += Const.MAX_TABS_PER_SCAN) {
+		// Timer strategy: process tabs in optimized concurrent batches
+		for (let i = 0; useTimer && !paused && i < tabs.length; i += Const.MAX_TABS_PER_SCAN) {
 			const batch = tabs.slice(i, i + Const.MAX_TABS_PER_SCAN);
 
 			// Process batch concurrently with controlled concurrency
@@ -327,6 +653,11 @@ export async function scanTabsForSuspension() {
 			}
 		}
 
+		// Memory strategy: suspend least-recently-used tabs while memory use is above the threshold
+		if (useMemory) {
+			stats.suspended += await suspendForMemoryPressure();
+		}
+
 		Logger.log(`Tab scan complete: ${stats.scanned} scanned, ${stats.suspended} suspended, ${stats.cleaned} cleaned, ${stats.errors} errors`);
 		// Persist after a scan in case of cleanup or changes
 		persistSchedulesDebounced();
@@ -375,12 +706,12 @@ export async function scheduleTab(tabId, tab = null) {
 			return false;
 		}
 		const existingAlarm = await getTabSuspendTime(tabId);
-		const currentDelay = Prefs.prefs.suspendAfter;
+		const currentDelay = await TabClassifier.getSuspendDelayForTab(tabInfo);
 		if (!existingAlarm || existingAlarm.delayMinutes !== currentDelay) {
 			if (existingAlarm) {
 				await cancelTabSuspendTracking(tabId);
 			}
-			const success = await scheduleTabInMap(tabId);
+			const success = await scheduleTabInMap(tabId, currentDelay);
 			if (success) {
 				Logger.detailedLog(`Tab ${tabId} scheduled for suspension in ${currentDelay} minutes`);
 			}
@@ -613,6 +944,12 @@ export const debouncedScheduleAllTabs = debounce(() => {
 	});
 }, DEBOUNCE_DELAY_MS, 'scheduleAllTabs');
 
+export const debouncedEnforceLiveTabCap = debounce(() => {
+	return enforceLiveTabCap().catch(e => {
+		Logger.logError('Error in debouncedEnforceLiveTabCap:', e);
+	});
+}, LIVE_TAB_CAP_DEBOUNCE_MS, 'enforceLiveTabCap');
+
 /**
  * Alarm-backed debounce to survive service worker restarts
  */
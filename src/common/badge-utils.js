@@ -0,0 +1,72 @@
+/**
+ * Utility functions for the toolbar badge.
+ * All functions are pure and do not interact with the browser directly.
+ */
+
+/** Allowed values of the badgeMode preference. */
+export const BADGE_MODES = ['off', 'countdown', 'suspendedCount', 'status'];
+
+/**
+ * Indicators for tabs that will not be suspended, with their badge text, color and tooltip.
+ * `color` is also used for the dot drawn on the icon variant.
+ */
+export const BADGE_STATES = {
+    whitelisted: { text: 'W', color: '#2e7d32', title: 'Never suspended: matches the whitelist or a never-suspend rule' },
+    snoozed: { text: 'Z', color: '#6a1b9a', title: 'Snoozed: will not be suspended until the snooze ends' },
+    paused: { text: 'II', color: '#616161', title: 'Auto-suspend is paused' },
+    suspended: { text: 'S', color: '#1565c0', title: 'Suspended' },
+    skipped: { text: '-', color: '#c62828', title: 'Not suspended' }
+};
+
+/**
+ * Check whether preferences leave the toolbar badge and icon untouched.
+ * @param {{badgeMode?: string, badgeReasonIcon?: boolean}|undefined} prefs
+ * @returns {boolean}
+ */
+export function isBadgeOff(prefs) {
+    return (prefs?.badgeMode ?? 'off') === 'off' && !prefs?.badgeReasonIcon;
+}
+
+/** Badge color for countdowns and counts. */
+export const BADGE_INFO_COLOR = '#8d6e00';
+
+/**
+ * Map a skip reason from TabClassifier.shouldSkipTab(tab, true) to a badge state.
+ * @param {string|false} reason
+ * @returns {'whitelisted'|'snoozed'|'paused'|'skipped'|'suspended'|null} Null when the tab can be
+ *   suspended or is a page the extension never handles (browser pages, no URL).
+ */
+export function classifySkipReason(reason) {
+    if (!reason) return null;
+    if (reason === 'already suspended') return 'suspended';
+    if (['tab is null', 'no valid tabId', 'no url', 'special url'].includes(reason)) return null;
+    if (reason.startsWith('URL matches whitelist') || reason.startsWith('tab group') || reason.startsWith('exempt by schedule policy')) {
+        return 'whitelisted';
+    }
+    if (reason.startsWith('snoozed')) return 'snoozed';
+    if (reason.startsWith('auto-suspension off')) return 'paused';
+    return 'skipped';
+}
+
+/**
+ * Format a duration for the 4-character badge: "<1m", "45m", "3h", "2d".
+ * @param {number} ms - Time remaining in milliseconds.
+ * @returns {string}
+ */
+export function formatBadgeDuration(ms) {
+    const minutes = Math.ceil(Math.max(0, ms) / 60000);
+    if (minutes < 1) return '<1m';
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h`;
+    return `${Math.min(99, Math.floor(minutes / (24 * 60)))}d`;
+}
+
+/**
+ * Format a count for the badge, capping large numbers.
+ * @param {number} count
+ * @returns {string} '' for zero.
+ */
+export function formatBadgeCount(count) {
+    if (!count || count < 0) return '';
+    return count > 999 ? '999+' : String(count);
+}
@@ -3,11 +3,15 @@
 // For alarm handling and cleanup
 export const ALARM_CLEANUP_INTERVAL_MINUTES = 60; // Once per hour
 export const TS_TAB_SCAN_INTERVAL_MINUTES = 0.5; // Check tabs every 30 seconds
+export const IMMEDIATE_SUSPEND_DELAY_MINUTES = 0.1; // "Always suspend" whitelist entries: due at the next tab scan
 export const TS_TAB_SCAN_ALARM_NAME = 'TS_tabScanAlarm'; // The single alarm name for tab scanning
 export const TS_ALARM_CLEANUP_NAME = 'TS_alarmCleanup';
 export const TS_STATE_CLEANUP_NAME = 'TS_stateCleanup';
 export const TS_SESSION_FREQUENT_SAVE = 'TS_session_frequent_save';
 export const TS_SCHEDULE_DEBOUNCE_ALARM = 'TS_scheduleAllTabs_debounce';
+export const TS_SNOOZE_EXPIRY_ALARM = 'TS_snoozeExpiry'; // One-shot alarm at the next snooze expiry
+export const TS_GLOBAL_PAUSE_ALARM = 'TS_globalPauseEnd'; // One-shot alarm when a timed auto-suspend pause ends
+export const TS_WHITELIST_EXPIRY_ALARM = 'TS_whitelistExpiry'; // One-shot alarm at the next whitelist entry expiry
 
 // Other constants
 export const MAX_TABS_PER_SCAN = 1000; // Maximum tabs to process in one scan cycle
@@ -35,9 +39,38 @@ export const MSG_FAVICON_REFRESH_PROGRESS = 'MSG_faviconRefreshProgress';
 export const MSG_FAVICON_REFRESH_DONE = 'MSG_faviconRefreshDone';
 export const MSG_GET_SKIPPED_TABS = 'MSG_getSkippedTabs';
 export const MSG_RESET_BULK_OP_RUNNING = 'MSG_resetBulkOpRunning';
+export const MSG_SNOOZE = 'MSG_snooze';
+export const MSG_GET_SNOOZES = 'MSG_getSnoozes';
+export const MSG_CANCEL_SNOOZE = 'MSG_cancelSnooze';
+export const MSG_RESTORING_SUSPENDED_PAGE = 'MSG_restoringSuspendedPage';
+export const MSG_OPEN_LINKS_SUSPENDED = 'MSG_openLinksSuspended';
+export const MSG_PAUSE_AUTO_SUSPEND = 'MSG_pauseAutoSuspend';
+export const MSG_RESUME_AUTO_SUSPEND = 'MSG_resumeAutoSuspend';
+export const MSG_GET_PAUSE_STATE = 'MSG_getPauseState';
+export const MSG_SESSION_WRITE = 'MSG_sessionWrite';
 
 // Storage Keys for chrome.storage.local
 export const STORAGE_KEYS = {
     BULK_RUNNING: 'TS_isBulkRunning_v1',
-    FAVICON_REFRESH_RUNNING: 'TS_isFavRefreshRunning_v1'
+    FAVICON_REFRESH_RUNNING: 'TS_isFavRefreshRunning_v1',
+    TAB_LAST_ACTIVATED: 'TS_tab_last_activated_v1',
+    SNOOZES: 'TS_snoozes_v1',
+    GLOBAL_PAUSE: 'TS_global_pause_v1'
+};
+
+// Context menu item IDs
+export const CONTEXT_MENU_IDS = {
+    SUSPEND_TAB: 'TS_menu_suspendTab',
+    SUSPEND_OTHERS_IN_WINDOW: 'TS_menu_suspendOthersInWindow',
+    SUSPEND_TABS_LEFT: 'TS_menu_suspendTabsLeft',
+    SUSPEND_TABS_RIGHT: 'TS_menu_suspendTabsRight',
+    NEVER_SUSPEND_DOMAIN: 'TS_menu_neverSuspendDomain',
+    SNOOZE: 'TS_menu_snooze',
+    SNOOZE_TAB_1H: 'TS_menu_snoozeTab1h',
+    SNOOZE_TAB_4H: 'TS_menu_snoozeTab4h',
+    SNOOZE_TAB_RESTART: 'TS_menu_snoozeTabRestart',
+    SNOOZE_DOMAIN_1H: 'TS_menu_snoozeDomain1h',
+    SNOOZE_WINDOW_1H: 'TS_menu_snoozeWindow1h',
+    OPEN_LINK_SUSPENDED: 'TS_menu_openLinkSuspended',
+    OPEN_SELECTED_LINKS_SUSPENDED: 'TS_menu_openSelectedLinksSuspended'
 };
@@ -0,0 +1,74 @@
+/**
+ * Shared definitions for the external messaging API (chrome.runtime.onMessageExternal).
+ * All functions are pure and do not interact with storage directly.
+ */
+
+/** Current version of the external API. Requests must send it as apiVersion. */
+export const EXTERNAL_API_VERSION = 1;
+
+/** Error codes returned as error.code in failed responses. */
+export const ERROR_CODES = {
+    NOT_ALLOWED: 'NOT_ALLOWED',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    NOT_FOUND: 'NOT_FOUND',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Check whether a string looks like a Chrome extension ID (32 characters a-p).
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isValidExtensionId(id) {
+    return typeof id === 'string' && /^[a-p]{32}$/.test(id);
+}
+
+/**
+ * Parse the allowed extensions textarea (one extension ID per line).
+ * Invalid lines and duplicates are dropped; text after " # " is ignored.
+ * @param {string} text - Multiline string from textarea.
+ * @returns {string[]} Extension IDs in the order given.
+ */
+export function parseExtensionIdListText(text) {
+    const ids = String(text || '')
+        .split('\n')
+        .map(line => line.split(' #')[0].trim().toLowerCase())
+        .filter(isValidExtensionId);
+    return [...new Set(ids)];
+}
+
+/**
+ * Build a failed response.
+ * @param {string} code - One of ERROR_CODES.
+ * @param {string} message - Human readable description.
+ * @returns {{ok: false, error: {code: string, message: string}}}
+ */
+export function errorResponse(code, message) {
+    return { ok: false, error: { code, message } };
+}
+
+/**
+ * Check the sender and envelope of an external request before it is dispatched.
+ * @param {object} request - Message received from the other extension.
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {string[]} allowlist - Extension IDs allowed to use the API.
+ * @param {string[]} actions - Names of the supported actions.
+ * @returns {{ok: false, error: {code: string, message: string}}|null} An error response, or null if the request may proceed.
+ */
+export function checkExternalRequest(request, sender, allowlist, actions) {
+    if (!sender || !sender.id || !Array.isArray(allowlist) || !allowlist.includes(sender.id)) {
+        return errorResponse(ERROR_CODES.NOT_ALLOWED, 'This extension is not allowed to use the API');
+    }
+    if (!request || typeof request !== 'object') {
+        return errorResponse(ERROR_CODES.INVALID_ARGUMENT, 'Request must be an object');
+    }
+    if (request.apiVersion !== EXTERNAL_API_VERSION) {
+        return errorResponse(ERROR_CODES.UNSUPPORTED_VERSION, `Unsupported apiVersion ${request.apiVersion}; supported: ${EXTERNAL_API_VERSION}`);
+    }
+    if (typeof request.action !== 'string' || !actions.includes(request.action)) {
+        return errorResponse(ERROR_CODES.UNKNOWN_ACTION, `Unknown action: ${request.action}`);
+    }
+    return null;
+}
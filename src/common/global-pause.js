@@ -0,0 +1,140 @@
+// global-pause.js - Temporary pause of all automatic suspension
+import * as Logger from './logger.js';
+import { STORAGE_KEYS } from './constants.js';
+
+/**
+ * @typedef {Object} GlobalPause
+ * @property {number} pausedAt - Time the pause started, in ms
+ * @property {number|null} until - Time the pause ends in ms, or null for "until browser restart"
+ */
+
+// chrome.storage.session key marking that the pause was already loaded in this browser session
+const SESSION_MARKER_KEY = 'TS_global_pause_session_marker';
+
+/** @type {GlobalPause|null} */
+let pause = null;
+
+/**
+ * Load the pause state from storage into memory. A pause "until restart" found without the
+ * session marker survived a browser restart, so it is marked as having ended now.
+ * Should be called on service worker startup.
+ * @returns {Promise<void>}
+ */
+export async function loadGlobalPause() {
+    try {
+        const obj = await chrome.storage.local.get(STORAGE_KEYS.GLOBAL_PAUSE);
+        pause = isValidPause(obj[STORAGE_KEYS.GLOBAL_PAUSE]) ? obj[STORAGE_KEYS.GLOBAL_PAUSE] : null;
+
+        // chrome.storage.session is emptied when the browser restarts, so a missing marker means a new browser session
+        const session = await chrome.storage.session.get(SESSION_MARKER_KEY);
+        if (!session[SESSION_MARKER_KEY]) {
+            if (pause && pause.until === null) {
+                pause = { ...pause, until: Math.max(pause.pausedAt, Date.now()) };
+                await persistPause();
+            }
+            await chrome.storage.session.set({ [SESSION_MARKER_KEY]: true });
+        }
+    } catch (e) {
+        Logger.logError('loadGlobalPause failed', e, Logger.LogComponent.BACKGROUND);
+    }
+}
+
+// Helper: check the shape of a stored pause
+function isValidPause(value) {
+    return !!value && typeof value.pausedAt === 'number' && (value.until === null || typeof value.until === 'number');
+}
+
+async function persistPause() {
+    try {
+        if (pause) {
+            await chrome.storage.local.set({ [STORAGE_KEYS.GLOBAL_PAUSE]: pause });
+        } else {
+            await chrome.storage.local.remove(STORAGE_KEYS.GLOBAL_PAUSE);
+        }
+    } catch (e) {
+        Logger.logError('persistPause failed', e, Logger.LogComponent.BACKGROUND);
+    }
+}
+
+/**
+ * Whether a pause is in effect at a given time.
+ * @param {GlobalPause|null} value
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function isPauseActive(value, now = Date.now()) {
+    return !!value && (value.until === null || value.until > now);
+}
+
+/**
+ * Get the stored pause, including one that has ended but was not resumed yet.
+ * @returns {GlobalPause|null}
+ */
+export function getPause() {
+    return pause ? { ...pause } : null;
+}
+
+/**
+ * Whether automatic suspension is paused right now.
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function isPaused(now = Date.now()) {
+    return isPauseActive(pause, now);
+}
+
+/**
+ * Whether a pause has run out and still needs to be resumed (countdowns shifted and state cleared).
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function hasPauseEnded(now = Date.now()) {
+    return !!pause && !isPauseActive(pause, now);
+}
+
+/**
+ * Start a pause, or change the end of the current one. Extending a pause keeps its start time,
+ * so countdowns stay frozen from the moment they were first paused.
+ * @param {number|null} durationMinutes - Minutes to pause for, or null for "until browser restart"
+ * @returns {Promise<GlobalPause>}
+ */
+export async function startPause(durationMinutes) {
+    if (durationMinutes !== null && (typeof durationMinutes !== 'number' || !Number.isFinite(durationMinutes) || durationMinutes <= 0)) {
+        throw new Error('Pause duration must be a positive number of minutes or null');
+    }
+    const now = Date.now();
+    pause = {
+        pausedAt: isPaused(now) ? pause.pausedAt : now,
+        until: durationMinutes === null ? null : now + durationMinutes * 60 * 1000
+    };
+    await persistPause();
+    Logger.log(`Auto-suspend paused ${pause.until ? `until ${new Date(pause.until).toLocaleTimeString()}` : 'until browser restart'}`, Logger.LogComponent.BACKGROUND);
+    return { ...pause };
+}
+
+/**
+ * Clear the pause state.
+ * @returns {Promise<GlobalPause|null>} The pause that was cleared, or null if there was none.
+ */
+export async function clearPause() {
+    const previous = pause;
+    if (!previous) return null;
+    pause = null;
+    await persistPause();
+    return previous;
+}
+
+/**
+ * Work out where a countdown continues after a pause. Time that had already elapsed before the
+ * pause is kept; countdowns started during the pause (e.g. on leaving a tab) restart from the
+ * end of the pause.
+ * @param {{scheduledTime: number, delayMinutes: number}} entry - Scheduled suspension of a tab
+ * @param {GlobalPause} value - The pause being resumed
+ * @param {number} resumeAt - Time the pause ended, in ms
+ * @returns {number} The new scheduled time in ms
+ */
+export function getResumedScheduledTime(entry, value, resumeAt) {
+    const startedAt = entry.delayMinutes > 0 ? entry.scheduledTime - entry.delayMinutes * 60 * 1000 : -Infinity;
+    const frozenSince = Math.max(value.pausedAt, startedAt);
+    return entry.scheduledTime + Math.max(0, resumeAt - frozenSince);
+}
@@ -0,0 +1,90 @@
+/**
+ * Utility functions for per-tab-group suspension rules.
+ * All functions are pure and do not interact with storage directly.
+ */
+
+export const GROUP_RULE_ACTIONS = ['never', 'together', 'delay'];
+export const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+/**
+ * Parse the tab group rules textarea into an array of rule objects.
+ * Each line is "<group> = <action>" where group is a group title or "color:<color>",
+ * and action is "never", "together" or a number of minutes, e.g. "Work = never",
+ * "color:red = together" or "Research = 60". Invalid lines are dropped.
+ * @param {string} text - Multiline string from textarea.
+ * @returns {Array<{match: 'title'|'color', value: string, action: string, minutes: number|null}>} Parsed rules, in the order given.
+ */
+export function parseGroupRulesText(text) {
+    const dangerousPattern = /[<>"'`;]/;
+    const rules = [];
+    for (const rawLine of String(text || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line || dangerousPattern.test(line)) continue;
+        const separator = line.lastIndexOf('=');
+        if (separator <= 0) continue;
+
+        const target = line.slice(0, separator).trim();
+        const actionText = line.slice(separator + 1).trim().toLowerCase();
+        const colorMatch = target.match(/^color:\s*(\w+)$/i);
+        const rule = colorMatch
+            ? { match: 'color', value: colorMatch[1].toLowerCase(), action: actionText, minutes: null }
+            : { match: 'title', value: target, action: actionText, minutes: null };
+
+        if (/^\d+$/.test(actionText)) {
+            rule.action = 'delay';
+            rule.minutes = parseInt(actionText, 10);
+        }
+        if (isValidGroupRule(rule)) rules.push(rule);
+    }
+    return rules;
+}
+
+/**
+ * Format tab group rules back into textarea form.
+ * @param {Array<object>} rules
+ * @returns {string}
+ */
+export function formatGroupRulesText(rules) {
+    if (!Array.isArray(rules)) return '';
+    return rules
+        .filter(isValidGroupRule)
+        .map(rule => {
+            const target = rule.match === 'color' ? `color:${rule.value}` : rule.value;
+            const action = rule.action === 'delay' ? String(rule.minutes) : rule.action;
+            return `${target} = ${action}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Check whether a value is a structurally valid tab group rule.
+ * @param {any} rule
+ * @returns {boolean}
+ */
+export function isValidGroupRule(rule) {
+    if (!rule || typeof rule !== 'object') return false;
+    if (rule.match === 'color') {
+        if (!GROUP_COLORS.includes(rule.value)) return false;
+    } else if (rule.match !== 'title' || typeof rule.value !== 'string' || rule.value.trim() === '') {
+        return false;
+    }
+    if (!GROUP_RULE_ACTIONS.includes(rule.action)) return false;
+    if (rule.action === 'delay' && (typeof rule.minutes !== 'number' || !Number.isFinite(rule.minutes) || rule.minutes < 1)) return false;
+    return true;
+}
+
+/**
+ * Find the first rule matching a tab group. Titles match case-insensitively.
+ * @param {Array<object>} rules
+ * @param {{title?: string, color?: string}} group - A chrome.tabGroups.TabGroup (or the same shape).
+ * @returns {object|null} The matching rule or null.
+ */
+export function findGroupRule(rules, group) {
+    if (!Array.isArray(rules) || !group) return null;
+    const title = (group.title || '').trim().toLowerCase();
+    return rules.find(rule => isValidGroupRule(rule) && (
+        rule.match === 'color'
+            ? rule.value === group.color
+            : title !== '' && rule.value.trim().toLowerCase() === title
+    )) || null;
+}
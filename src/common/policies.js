@@ -0,0 +1,208 @@
+/**
+ * Time-of-day / weekday suspension policies.
+ * A policy applies during a daily time window on selected weekdays and can change the default delay,
+ * turn auto-suspension off, suspend everything when the window starts, and add extra exemptions.
+ * All functions are pure and do not interact with storage directly.
+ */
+import * as WhitelistRules from './whitelist-rules.js';
+
+export const POLICY_ACTIONS = ['default', 'delay', 'off', 'suspendAll'];
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_ALIASES = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+/**
+ * Convert "HH:MM" into minutes since midnight.
+ * @param {string} value
+ * @returns {number|null} Minutes since midnight or null if invalid.
+ */
+export function parseTimeOfDay(value) {
+    const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Parse a day specification ("daily", "weekdays", "weekends", "mon-fri", "sat,sun").
+ * @param {string} spec
+ * @returns {number[]|null} Sorted day numbers (0 = Sunday) or null if invalid.
+ */
+function parseDays(spec) {
+    const lower = String(spec || '').toLowerCase();
+    if (DAY_ALIASES[lower]) return DAY_ALIASES[lower].slice();
+    const days = new Set();
+    for (const part of lower.split(',')) {
+        const [from, to] = part.split('-');
+        const start = DAY_NAMES.indexOf(from);
+        const end = to === undefined ? start : DAY_NAMES.indexOf(to);
+        if (start < 0 || end < 0) return null;
+        // Ranges may wrap around the week (e.g. fri-mon)
+        for (let d = start; ; d = (d + 1) % 7) {
+            days.add(d);
+            if (d === end) break;
+        }
+    }
+    return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Format day numbers back into the shortest text form.
+ * @param {number[]} days
+ * @returns {string}
+ */
+function formatDays(days) {
+    const key = [...days].sort((a, b) => a - b).join(',');
+    for (const [alias, aliasDays] of Object.entries(DAY_ALIASES)) {
+        if (aliasDays.join(',') === key) return alias;
+    }
+    return [...days].sort((a, b) => a - b).map(d => DAY_NAMES[d]).join(',');
+}
+
+/**
+ * Check whether a value is a structurally valid policy.
+ * @param {any} policy
+ * @returns {boolean}
+ */
+export function isValidPolicy(policy) {
+    if (!policy || typeof policy !== 'object') return false;
+    if (!Array.isArray(policy.days) || policy.days.length === 0) return false;
+    if (!policy.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) return false;
+    if (parseTimeOfDay(policy.start) === null || parseTimeOfDay(policy.end) === null) return false;
+    if (!POLICY_ACTIONS.includes(policy.action)) return false;
+    if (policy.action === 'delay' && (typeof policy.delayMinutes !== 'number' || policy.delayMinutes < 1)) return false;
+    if (!Array.isArray(policy.exemptions) || !policy.exemptions.every(e => typeof e === 'string' && e.trim() !== '')) return false;
+    return true;
+}
+
+/**
+ * Parse the policies textarea into policy objects.
+ * Line format: "<days> <HH:MM>-<HH:MM> <action> [except <pattern>,<pattern>...]"
+ * where action is a number of minutes, "default", "off" or "suspend-all". Examples:
+ *   weekdays 18:00-23:59 3
+ *   mon-fri 09:00-17:00 default except jira.example.com,docs.google.com
+ *   daily 22:00-22:30 suspend-all
+ * Invalid lines are dropped.
+ * @param {string} text - Multiline string from textarea.
+ * @returns {Array<object>} Parsed policies, in the order given.
+ */
+export function parsePoliciesText(text) {
+    const dangerousPattern = /[<>"'`;]/;
+    const policies = [];
+    for (const rawLine of String(text || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line || dangerousPattern.test(line)) continue;
+        const match = line.match(/^(\S+)\s+(\d{1,2}:\d{2})-(\d{1,2}:\d{2})\s+(\S+)(?:\s+except\s+(\S+))?$/i);
+        if (!match) continue;
+
+        const days = parseDays(match[1]);
+        const policy = {
+            days,
+            start: match[2],
+            end: match[3],
+            action: 'default',
+            delayMinutes: null,
+            exemptions: match[5] ? match[5].split(',').map(s => s.trim()).filter(Boolean) : []
+        };
+
+        const action = match[4].toLowerCase();
+        if (/^\d+$/.test(action)) {
+            policy.action = 'delay';
+            policy.delayMinutes = parseInt(action, 10);
+        } else if (action === 'off') {
+            policy.action = 'off';
+        } else if (action === 'suspend-all') {
+            policy.action = 'suspendAll';
+        } else if (action !== 'default') {
+            continue;
+        }
+
+        if (isValidPolicy(policy)) policies.push(policy);
+    }
+    return policies;
+}
+
+/**
+ * Format policies back into textarea form.
+ * @param {Array<object>} policies
+ * @returns {string}
+ */
+export function formatPoliciesText(policies) {
+    if (!Array.isArray(policies)) return '';
+    return policies.filter(isValidPolicy).map(describePolicy).join('\n');
+}
+
+/**
+ * Find the exemption of a policy that matches a URL. Exemptions are written as whitelist patterns.
+ * @param {object} policy
+ * @param {string} url
+ * @returns {string|null} The matching pattern, or null if none.
+ */
+export function findPolicyExemption(policy, url) {
+    return WhitelistRules.findMatchingItem(policy?.exemptions, url);
+}
+
+/**
+ * Produce the single-line text form of a policy (also used as its label in the UI).
+ * @param {object} policy
+ * @returns {string}
+ */
+export function describePolicy(policy) {
+    let action;
+    switch (policy.action) {
+        case 'delay': action = String(policy.delayMinutes); break;
+        case 'off': action = 'off'; break;
+        case 'suspendAll': action = 'suspend-all'; break;
+        default: action = 'default';
+    }
+    let text = `${formatDays(policy.days)} ${policy.start}-${policy.end} ${action}`;
+    if (policy.exemptions && policy.exemptions.length > 0) {
+        text += ` except ${policy.exemptions.join(',')}`;
+    }
+    return text;
+}
+
+/**
+ * Check whether a policy's window contains the given local time.
+ * Windows whose end is before their start run overnight and belong to the day they start on.
+ * @param {object} policy
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isPolicyActive(policy, date) {
+    const start = parseTimeOfDay(policy.start);
+    const end = parseTimeOfDay(policy.end);
+    if (start === null || end === null) return false;
+    const day = date.getDay();
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    if (start <= end) {
+        return policy.days.includes(day) && minutes >= start && minutes <= end;
+    }
+    const previousDay = (day + 6) % 7;
+    return (policy.days.includes(day) && minutes >= start) ||
+        (policy.days.includes(previousDay) && minutes <= end);
+}
+
+/**
+ * Pick the policy in force at the given time. The first matching policy wins.
+ * @param {Array<object>} policies
+ * @param {Date} [date=new Date()]
+ * @returns {{index: number, policy: object}|null}
+ */
+export function getActivePolicy(policies, date = new Date()) {
+    if (!Array.isArray(policies)) return null;
+    for (let i = 0; i < policies.length; i++) {
+        const policy = policies[i];
+        if (isValidPolicy(policy) && isPolicyActive(policy, date)) {
+            return { index: i, policy };
+        }
+    }
+    return null;
+}
@@ -1,4 +1,10 @@
 import * as Logger from './logger.js';
+import * as SiteRulesUtils from './site-rules-utils.js';
+import * as Policies from './policies.js';
+import * as GroupRulesUtils from './group-rules-utils.js';
+import * as WhitelistUtils from './whitelist-utils.js';
+import * as ExternalApiUtils from './external-api-utils.js';
+import * as BadgeUtils from './badge-utils.js';
 
 export const PREFS_KEY = 'prefs';
 export const WHITELIST_KEY = 'whitelist';
@@ -8,16 +14,40 @@ export const defaultPrefs = {
     suspendAfter: 10, // Default suspend time in minutes
     lastPositiveSuspendAfter: 10,
     preserveHistory: true,
+    nativeDiscardOnly: false, // Only discard tabs (keeps the real page in the tab strip); overrides preserveHistory
     neverSuspendPinned: true,
     neverSuspendAudio: true,
     neverSuspendActive: false,
     neverSuspendLastWindow: true,
     neverSuspendOffline: false,
-    unsavedFormHandling: 'ask', // Allowed: 'normal', 'never', 'ask'
+    unsavedFormHandling: 'ask', // Allowed: 'normal', 'never', 'ask', 'preserve'
     autoSuspendEnabled: true, // New: allow user to disable auto suspension
+    suspensionStrategy: 'timer', // Allowed: 'timer', 'memory', 'both'
+    memoryPressureThreshold: 85, // Memory strategy: suspend LRU tabs while system memory use (%) is at or above this
+    maxLiveTabs: 0, // Keep at most this many unsuspended tabs (0 = no cap); least recently active are suspended first
+    maxLiveTabsScope: 'window', // Allowed: 'window', 'global'
+    siteTimeoutRules: [], // Per-site delays: [{ pattern: 'docs.google.com', minutes: 120 }], first match wins
+    suspensionPolicies: [], // Time-of-day / weekday policies, see policies.js; first active policy wins
+    tabGroupRules: [], // Per-group rules keyed by title or color: [{ match: 'title', value: 'Work', action: 'never', minutes: null }]
+    suspendGroupOnCollapse: false, // Suspend all tabs in a group when it is collapsed
+    alwaysSuspendSites: [], // Heavy sites to suspend as soon as they lose focus (whitelist pattern syntax)
+    alwaysSuspendDelaySeconds: 0, // Grace period for alwaysSuspendSites (0 = as soon as the next scan runs)
+    pauseWhileActiveElsewhere: false, // Freeze countdowns while the user is active outside the browser
+    suspendOnSystemIdle: false, // Suspend all eligible tabs once the system has been idle for systemIdleMinutes
+    systemIdleMinutes: 15,
+    suspendOnScreenLock: false, // Suspend all eligible tabs when the screen locks
+    unsuspendOnFocus: false, // Restore a suspended tab automatically when it is activated
+    unsuspendOnFocusDelayMs: 500, // Grace delay before restoring a focused tab, 0-5000
+    badgeMode: 'off', // Toolbar badge content. Allowed: 'off', 'countdown', 'suspendedCount', 'status'
+    badgeReasonIcon: false, // Mark the toolbar icon with a colored dot when the current tab will not be suspended
+    suspendedLinkModifier: 'none', // Modifier-click that opens a link as a suspended tab. Allowed: 'none', 'alt', 'altShift'
+    screenshotsEnabled: false, // Capture a preview of the page for the suspended page
+    screenshotQuality: 60, // JPEG quality of previews, 10-100
+    screenshotMaxStorageMB: 50, // Least recently used previews are deleted beyond this size
     theme: 'gold', // default theme: sophisticated warm gold
     sessionMaxSessions: 10, // Maximum number of sessions to keep
     sessionAutoSaveFrequency: 30, // Auto-save frequency in minutes
+    externalApiAllowlist: [], // IDs of other extensions allowed to use the external messaging API
     // Logging preferences
     enableStandardLogs: false,
     enableDetailedLogs: false,
@@ -27,8 +57,10 @@ export const defaultPrefs = {
 
 /** @type {import('./types.js').Prefs} */
 export let prefs = { ...defaultPrefs };
-/** @type {string[]} */
+/** @type {import('./types.js').WhitelistEntry[]} */
 export let whitelist = [];
+/** Incremented whenever the whitelist is replaced, so compiled matchers can be cached against it. */
+export let whitelistVersion = 0;
 
 /**
  * Loads preferences and whitelist from chrome.storage.local.
@@ -51,7 +83,14 @@ export async function loadPrefs() {
             prefs.lastPositiveSuspendAfter = defaultPrefs.suspendAfter > 0 ? defaultPrefs.suspendAfter : 1;
         }
 
-        whitelist = Array.isArray(result.whitelist) ? result.whitelist : [];
+        const storedWhitelist = Array.isArray(result.whitelist) ? result.whitelist : [];
+        whitelist = WhitelistUtils.migrateWhitelist(storedWhitelist);
+        whitelistVersion++;
+        if (storedWhitelist.some(item => typeof item === 'string')) {
+            // Entries saved before whitelist entries had options; store them in the new schema
+            await chrome.storage.local.set({ [WHITELIST_KEY]: whitelist });
+            Logger.log(`Migrated ${storedWhitelist.length} whitelist entries to the entry schema`);
+        }
 
         Logger.detailedLog("[TheOneSuspender] Prefs loaded:", JSON.stringify(prefs));
         Logger.detailedLog("Whitelist loaded:", whitelist);
@@ -62,6 +101,7 @@ export async function loadPrefs() {
         Logger.logError("Error loading settings from storage", error);
         prefs = { ...defaultPrefs }; // Fallback to defaults on error
         whitelist = [];
+        whitelistVersion++;
         Logger.detailedLog("[TheOneSuspender] Prefs set to default due to error:", JSON.stringify(prefs));
     }
 }
@@ -75,8 +115,11 @@ function validatePrefs(prefsToValidate) {
     // Dynamically derive allowed keys from defaultPrefs
     const allowedKeys = Object.keys(defaultPrefs);
     // Allowed values for unsavedFormHandling
-    // Allowed: 'normal', 'never', 'ask'
-    const unsavedFormHandlingValues = ['normal', 'never', 'ask'];
+    // Allowed: 'normal', 'never', 'ask', 'preserve'
+    const unsavedFormHandlingValues = ['normal', 'never', 'ask', 'preserve'];
+    const suspensionStrategyValues = ['timer', 'memory', 'both'];
+    const maxLiveTabsScopeValues = ['window', 'global'];
+    const suspendedLinkModifierValues = ['none', 'alt', 'altShift'];
     // Check for extra keys
     for (const key of Object.keys(prefsToValidate)) {
         if (!allowedKeys.includes(key)) {
@@ -91,21 +134,82 @@ function validatePrefs(prefsToValidate) {
         throw new Error('lastPositiveSuspendAfter must be a number >= 1');
     }
     if (typeof prefsToValidate.preserveHistory !== 'boolean') throw new Error('preserveHistory must be boolean');
+    if (typeof prefsToValidate.nativeDiscardOnly !== 'boolean') throw new Error('nativeDiscardOnly must be boolean');
     if (typeof prefsToValidate.neverSuspendPinned !== 'boolean') throw new Error('neverSuspendPinned must be boolean');
     if (typeof prefsToValidate.neverSuspendAudio !== 'boolean') throw new Error('neverSuspendAudio must be boolean');
     if (typeof prefsToValidate.neverSuspendActive !== 'boolean') throw new Error('neverSuspendActive must be boolean');
     if (typeof prefsToValidate.neverSuspendLastWindow !== 'boolean') throw new Error('neverSuspendLastWindow must be boolean');
     if (typeof prefsToValidate.neverSuspendOffline !== 'boolean') throw new Error('neverSuspendOffline must be boolean');
     if (!unsavedFormHandlingValues.includes(prefsToValidate.unsavedFormHandling)) {
-        throw new Error('unsavedFormHandling must be one of: normal, never, ask');
+        throw new Error('unsavedFormHandling must be one of: normal, never, ask, preserve');
     }
     if (typeof prefsToValidate.autoSuspendEnabled !== 'boolean') throw new Error('autoSuspendEnabled must be boolean');
+    if (!suspensionStrategyValues.includes(prefsToValidate.suspensionStrategy)) {
+        throw new Error('suspensionStrategy must be one of: timer, memory, both');
+    }
+    if (typeof prefsToValidate.memoryPressureThreshold !== 'number' || prefsToValidate.memoryPressureThreshold < 10 || prefsToValidate.memoryPressureThreshold > 99) {
+        throw new Error('memoryPressureThreshold must be a number between 10 and 99');
+    }
+    if (!Number.isInteger(prefsToValidate.maxLiveTabs) || prefsToValidate.maxLiveTabs < 0) {
+        throw new Error('maxLiveTabs must be an integer >= 0');
+    }
+    if (!maxLiveTabsScopeValues.includes(prefsToValidate.maxLiveTabsScope)) {
+        throw new Error('maxLiveTabsScope must be one of: window, global');
+    }
+    if (!Array.isArray(prefsToValidate.siteTimeoutRules)) throw new Error('siteTimeoutRules must be an array');
+    for (const rule of prefsToValidate.siteTimeoutRules) {
+        if (!SiteRulesUtils.isValidSiteTimeoutRule(rule)) {
+            throw new Error('siteTimeoutRules entries must have a non-empty pattern and minutes >= 1');
+        }
+    }
+    if (!Array.isArray(prefsToValidate.suspensionPolicies)) throw new Error('suspensionPolicies must be an array');
+    if (!prefsToValidate.suspensionPolicies.every(Policies.isValidPolicy)) {
+        throw new Error('suspensionPolicies contains an invalid policy');
+    }
+    if (!Array.isArray(prefsToValidate.tabGroupRules)) throw new Error('tabGroupRules must be an array');
+    if (!prefsToValidate.tabGroupRules.every(GroupRulesUtils.isValidGroupRule)) {
+        throw new Error('tabGroupRules contains an invalid rule');
+    }
+    if (typeof prefsToValidate.suspendGroupOnCollapse !== 'boolean') throw new Error('suspendGroupOnCollapse must be boolean');
+    if (!Array.isArray(prefsToValidate.alwaysSuspendSites) || !prefsToValidate.alwaysSuspendSites.every(WhitelistUtils.isValidPattern)) {
+        throw new Error('alwaysSuspendSites must be an array of valid URL, domain or rule patterns');
+    }
+    if (!Number.isInteger(prefsToValidate.alwaysSuspendDelaySeconds) || prefsToValidate.alwaysSuspendDelaySeconds < 0 || prefsToValidate.alwaysSuspendDelaySeconds > 600) {
+        throw new Error('alwaysSuspendDelaySeconds must be an integer between 0 and 600');
+    }
+    if (typeof prefsToValidate.pauseWhileActiveElsewhere !== 'boolean') throw new Error('pauseWhileActiveElsewhere must be boolean');
+    if (typeof prefsToValidate.suspendOnSystemIdle !== 'boolean') throw new Error('suspendOnSystemIdle must be boolean');
+    if (typeof prefsToValidate.systemIdleMinutes !== 'number' || prefsToValidate.systemIdleMinutes < 1) {
+        throw new Error('systemIdleMinutes must be a number >= 1');
+    }
+    if (typeof prefsToValidate.suspendOnScreenLock !== 'boolean') throw new Error('suspendOnScreenLock must be boolean');
+    if (typeof prefsToValidate.unsuspendOnFocus !== 'boolean') throw new Error('unsuspendOnFocus must be boolean');
+    if (!Number.isInteger(prefsToValidate.unsuspendOnFocusDelayMs) || prefsToValidate.unsuspendOnFocusDelayMs < 0 || prefsToValidate.unsuspendOnFocusDelayMs > 5000) {
+        throw new Error('unsuspendOnFocusDelayMs must be an integer between 0 and 5000');
+    }
+    if (!BadgeUtils.BADGE_MODES.includes(prefsToValidate.badgeMode)) {
+        throw new Error(`badgeMode must be one of: ${BadgeUtils.BADGE_MODES.join(', ')}`);
+    }
+    if (typeof prefsToValidate.badgeReasonIcon !== 'boolean') throw new Error('badgeReasonIcon must be boolean');
+    if (!suspendedLinkModifierValues.includes(prefsToValidate.suspendedLinkModifier)) {
+        throw new Error(`suspendedLinkModifier must be one of: ${suspendedLinkModifierValues.join(', ')}`);
+    }
+    if (typeof prefsToValidate.screenshotsEnabled !== 'boolean') throw new Error('screenshotsEnabled must be boolean');
+    if (!Number.isInteger(prefsToValidate.screenshotQuality) || prefsToValidate.screenshotQuality < 10 || prefsToValidate.screenshotQuality > 100) {
+        throw new Error('screenshotQuality must be an integer between 10 and 100');
+    }
+    if (!Number.isInteger(prefsToValidate.screenshotMaxStorageMB) || prefsToValidate.screenshotMaxStorageMB < 5 || prefsToValidate.screenshotMaxStorageMB > 1000) {
+        throw new Error('screenshotMaxStorageMB must be an integer between 5 and 1000');
+    }
     if (typeof prefsToValidate.sessionMaxSessions !== 'number' || prefsToValidate.sessionMaxSessions < 1) {
         throw new Error('sessionMaxSessions must be a number greater than 1');
     }
     if (typeof prefsToValidate.sessionAutoSaveFrequency !== 'number' || prefsToValidate.sessionAutoSaveFrequency < 1 || prefsToValidate.sessionAutoSaveFrequency > 1440) {
         throw new Error('sessionAutoSaveFrequency must be a number between 1 and 1440 minutes (24 hours)');
     }
+    if (!Array.isArray(prefsToValidate.externalApiAllowlist) || !prefsToValidate.externalApiAllowlist.every(ExternalApiUtils.isValidExtensionId)) {
+        throw new Error('externalApiAllowlist must be an array of extension IDs');
+    }
     // Validate logging preferences
     if (typeof prefsToValidate.enableStandardLogs !== 'boolean') throw new Error('enableStandardLogs must be boolean');
     if (typeof prefsToValidate.enableDetailedLogs !== 'boolean') throw new Error('enableDetailedLogs must be boolean');
@@ -156,7 +260,8 @@ export async function savePrefs(newPrefsToSave) {
 
 /**
  * Saves the current whitelist to chrome.storage.local.
- * @param {string[]} newWhitelistArray - The whitelist array to save.
+ * Plain string entries are converted to whitelist entries; invalid entries are dropped.
+ * @param {Array<import('./types.js').WhitelistEntry|string>} newWhitelistArray - The whitelist array to save.
  * @returns {Promise<boolean>} True if successful, false otherwise.
  */
 export async function saveWhitelist(newWhitelistArray) {
@@ -169,11 +274,13 @@ export async function saveWhitelist(newWhitelistArray) {
     }
 
     try {
-        await chrome.storage.local.set({ [WHITELIST_KEY]: newWhitelistArray });
+        const entries = WhitelistUtils.migrateWhitelist(newWhitelistArray);
+        await chrome.storage.local.set({ [WHITELIST_KEY]: entries });
 
         // Update the global whitelist array by replacing its contents.
         whitelist.length = 0;
-        newWhitelistArray.forEach(item => whitelist.push(String(item).trim())); // Ensure items are strings and trimmed
+        entries.forEach(entry => whitelist.push(entry));
+        whitelistVersion++;
 
         Logger.log("Whitelist saved:", whitelist);
         return true;
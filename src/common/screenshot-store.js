@@ -0,0 +1,124 @@
+// screenshot-store.js - IndexedDB storage for page preview thumbnails, keyed by URL
+import * as Logger from './logger.js';
+
+const DB_NAME = 'TS_screenshots';
+const DB_VERSION = 1;
+const STORE_NAME = 'screenshots';
+
+/**
+ * @typedef {Object} ScreenshotRecord
+ * @property {string} url - Page URL the thumbnail belongs to
+ * @property {Blob} blob - Compressed JPEG thumbnail
+ * @property {number} size - Blob size in bytes
+ * @property {number} capturedAt - Capture time in ms
+ * @property {number} lastUsed - Last capture or display time in ms, used for LRU eviction
+ */
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the screenshot database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'url' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+/**
+ * Run a single request in a transaction and resolve with its result once the transaction completes.
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest|void} operation
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, operation) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        const request = operation(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Store the thumbnail for a URL, replacing any previous one.
+ * @param {string} url
+ * @param {Blob} blob
+ * @returns {Promise<void>}
+ */
+export async function saveScreenshot(url, blob) {
+    const now = Date.now();
+    await withStore('readwrite', store => store.put({ url, blob, size: blob.size, capturedAt: now, lastUsed: now }));
+}
+
+/**
+ * Get the thumbnail for a URL and mark it as recently used.
+ * @param {string} url
+ * @returns {Promise<ScreenshotRecord|null>}
+ */
+export async function getScreenshot(url) {
+    try {
+        const record = await withStore('readonly', store => store.get(url));
+        if (!record) return null;
+        await withStore('readwrite', store => store.put({ ...record, lastUsed: Date.now() }));
+        return record;
+    } catch (e) {
+        Logger.logError('Failed to read screenshot', e, Logger.LogComponent.SUSPENDED);
+        return null;
+    }
+}
+
+/**
+ * Get the number of stored thumbnails and their total size.
+ * @returns {Promise<{count: number, bytes: number}>}
+ */
+export async function getStorageUsage() {
+    const records = await withStore('readonly', store => store.getAll());
+    return { count: records.length, bytes: records.reduce((sum, r) => sum + (r.size || 0), 0) };
+}
+
+/**
+ * Delete least recently used thumbnails until the total size fits within maxBytes.
+ * @param {number} maxBytes
+ * @returns {Promise<number>} Number of thumbnails deleted
+ */
+export async function evictToLimit(maxBytes) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        let removed = 0;
+        const request = store.getAll();
+        request.onsuccess = () => {
+            let total = request.result.reduce((sum, r) => sum + (r.size || 0), 0);
+            const byAge = request.result.sort((a, b) => a.lastUsed - b.lastUsed);
+            for (const record of byAge) {
+                if (total <= maxBytes) break;
+                store.delete(record.url);
+                total -= record.size || 0;
+                removed++;
+            }
+        };
+        tx.oncomplete = () => resolve(removed);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Delete every stored thumbnail.
+ * @returns {Promise<void>}
+ */
+export async function clearScreenshots() {
+    await withStore('readwrite', store => store.clear());
+}
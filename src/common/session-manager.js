@@ -2,18 +2,136 @@
 import * as Logger from './logger.js';
 import * as Const from './constants.js';
 import * as Prefs from './prefs.js';
-
-const SESSIONS_STORAGE_KEY = 'saved_sessions';
+import * as UrlBuilder from './url-builder.js';
+import * as SessionUtils from './session-utils.js';
+import * as SuspensionUtils from '../suspension/suspension-utils.js';
+
+// Sessions are stored in parts: an index with the metadata of every session (newest first), one key
+// per session with its packed windows and tabs, and a page table shared by all sessions holding each
+// distinct URL, title and favicon once. Saving a session only writes its own key, the index and the table.
+const SESSION_INDEX_KEY = 'saved_sessions_index_v2';
+const SESSION_PAGES_KEY = 'saved_sessions_pages_v2';
+const SESSION_DATA_KEY_PREFIX = 'saved_session_v2_';
+// Older versions kept every session, with all its tabs, in one array under this key
+const LEGACY_SESSIONS_STORAGE_KEY = 'saved_sessions';
 const AUTO_SAVE_ENABLED_KEY = 'session_auto_save_enabled';
 
+/**
+ * How restored tabs are loaded: 'original' keeps suspended tabs suspended, 'suspended' restores
+ * every web page suspended, 'unsuspended' loads every tab.
+ */
+export const RESTORE_TAB_STATES = ['original', 'suspended', 'unsuspended'];
+
+// Writes read the index and page table, change them and write them back, so two writes running at once (an
+// auto-save in the service worker and a delete on the options page) would undo each other's changes and leave
+// page reference counts wrong. Every write therefore runs in the service worker, one after another; other
+// contexts send theirs there with MSG_SESSION_WRITE.
+const IN_SERVICE_WORKER = typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+let sessionWriteQueue = Promise.resolve();
+
+// Helper: storage key of the packed windows and tabs of a session
+function getSessionDataKey(sessionId) {
+    return SESSION_DATA_KEY_PREFIX + sessionId;
+}
+
+/**
+ * Run a session write after the writes already queued. Only call this in the service worker,
+ * which handles MSG_SESSION_WRITE with it.
+ * @param {string} operation - 'save', 'update', 'delete', 'clear', 'trim' or 'migrate'
+ * @param {Array} [args=[]] - Arguments of the matching exported function
+ * @returns {Promise<*>} What the write returns
+ */
+export function queueSessionWrite(operation, args = []) {
+    const write = SESSION_WRITES[operation];
+    if (!write) return Promise.reject(new Error(`Unknown session write: ${operation}`));
+    const run = sessionWriteQueue.then(() => write(...args));
+    sessionWriteQueue = run.catch(() => { });
+    return run;
+}
+
+// Helper: run a session write in the service worker's queue, from whichever context asks for it
+async function runSessionWrite(operation, args = []) {
+    if (IN_SERVICE_WORKER) return queueSessionWrite(operation, args);
+    const response = await chrome.runtime.sendMessage({ type: Const.MSG_SESSION_WRITE, operation, args });
+    if (!response?.success) throw new Error(response?.error || `Session write '${operation}' failed`);
+    return response.result;
+}
+
+// Helper: read the session index, first having sessions saved in the old single-array format moved
+async function loadSessionIndex() {
+    const result = await chrome.storage.local.get([SESSION_INDEX_KEY, LEGACY_SESSIONS_STORAGE_KEY]);
+    if (Array.isArray(result[SESSION_INDEX_KEY])) return result[SESSION_INDEX_KEY];
+    if (!Array.isArray(result[LEGACY_SESSIONS_STORAGE_KEY])) return [];
+    return runSessionWrite('migrate');
+}
+
+// Helper: read the session index within a queued write, moving sessions saved in the old format
+async function readSessionIndex() {
+    const result = await chrome.storage.local.get([SESSION_INDEX_KEY, LEGACY_SESSIONS_STORAGE_KEY]);
+    if (Array.isArray(result[SESSION_INDEX_KEY])) return result[SESSION_INDEX_KEY];
+    if (!Array.isArray(result[LEGACY_SESSIONS_STORAGE_KEY])) return [];
+    return migrateLegacySessions(result[LEGACY_SESSIONS_STORAGE_KEY]);
+}
+
+// Helper: split sessions from the old format into index, per-session keys and page table
+async function migrateLegacySessions(legacySessions) {
+    const items = {};
+    const index = [];
+    let pages = {};
+    for (const { data, ...session } of legacySessions) {
+        const packed = SessionUtils.packSessionData(data, pages);
+        pages = packed.pages;
+        items[getSessionDataKey(session.id)] = packed.data;
+        index.push({ tags: [], protected: false, ...session, fingerprint: SessionUtils.getSessionFingerprint(data) });
+    }
+    items[SESSION_INDEX_KEY] = index;
+    items[SESSION_PAGES_KEY] = pages;
+    await chrome.storage.local.set(items);
+    await chrome.storage.local.remove(LEGACY_SESSIONS_STORAGE_KEY);
+    Logger.log(`Migrated ${index.length} saved sessions to shared page storage (${Object.keys(pages).length} distinct pages)`, Logger.LogComponent.GENERAL);
+    return index;
+}
+
+// Helper: write the index of the sessions to keep, deleting the removed sessions and releasing their pages.
+// `pages` is the page table to write, when the caller already has an updated one.
+async function storeSessionIndex(index, removedIds = [], pages = null) {
+    const items = { [SESSION_INDEX_KEY]: index };
+    const dataKeys = removedIds.map(getSessionDataKey);
+    if (dataKeys.length > 0) {
+        const stored = await chrome.storage.local.get(pages ? dataKeys : [...dataKeys, SESSION_PAGES_KEY]);
+        let table = pages || stored[SESSION_PAGES_KEY] || {};
+        for (const key of dataKeys) {
+            if (stored[key]) table = SessionUtils.releaseSessionPages(table, stored[key]);
+        }
+        items[SESSION_PAGES_KEY] = table;
+    } else if (pages) {
+        items[SESSION_PAGES_KEY] = pages;
+    }
+    await chrome.storage.local.set(items);
+    if (dataKeys.length > 0) await chrome.storage.local.remove(dataKeys);
+}
+
+// Helper: read the session limit directly from storage to get the latest value
+async function getMaxSessions() {
+    const result = await chrome.storage.local.get([Prefs.PREFS_KEY]);
+    const currentPrefs = { ...Prefs.defaultPrefs, ...(result[Prefs.PREFS_KEY] || {}) };
+    return currentPrefs.sessionMaxSessions || 50;
+}
+
 /**
  * Get all saved sessions
- * @returns {Promise<Array>} Array of saved sessions
+ * @returns {Promise<Array>} Array of saved sessions, newest first, with their full windows and tabs
  */
 export async function getSavedSessions() {
     try {
-        const result = await chrome.storage.local.get([SESSIONS_STORAGE_KEY]);
-        return result[SESSIONS_STORAGE_KEY] || [];
+        const index = await loadSessionIndex();
+        if (index.length === 0) return [];
+        const stored = await chrome.storage.local.get([SESSION_PAGES_KEY, ...index.map(s => getSessionDataKey(s.id))]);
+        const pages = stored[SESSION_PAGES_KEY] || {};
+        return index.map(({ fingerprint, ...session }) => ({
+            ...session,
+            data: SessionUtils.unpackSessionData(stored[getSessionDataKey(session.id)] || { capturedAt: session.timestamp, windows: [] }, pages)
+        }));
     } catch (error) {
         Logger.logError("Error getting saved sessions", error, Logger.LogComponent.GENERAL);
         return [];
@@ -21,21 +139,58 @@ export async function getSavedSessions() {
 }
 
 /**
- * Save the current browser session to storage
+ * Get how much storage saved sessions take up
+ * @returns {Promise<{sessionBytes: number, totalBytes: number, quotaBytes: number|null, sessions: number, tabs: number, pages: number}>}
+ *   Bytes used by sessions and by the extension's local storage as a whole, the storage quota (null if unknown),
+ *   and the number of sessions, saved tabs and distinct pages stored for them
+ */
+export async function getSessionStorageUsage() {
+    const index = await loadSessionIndex();
+    const keys = [SESSION_INDEX_KEY, SESSION_PAGES_KEY, ...index.map(s => getSessionDataKey(s.id))];
+    const [sessionBytes, totalBytes, stored] = await Promise.all([
+        chrome.storage.local.getBytesInUse(keys),
+        chrome.storage.local.getBytesInUse(null),
+        chrome.storage.local.get(SESSION_PAGES_KEY)
+    ]);
+    return {
+        sessionBytes,
+        totalBytes,
+        quotaBytes: chrome.storage.local.QUOTA_BYTES || null,
+        sessions: index.length,
+        tabs: index.reduce((sum, s) => sum + (s.stats?.totalTabs || 0), 0),
+        pages: Object.keys(stored[SESSION_PAGES_KEY] || {}).length
+    };
+}
+
+/**
+ * Save the current browser session to storage. Auto-saves are skipped when the windows and tabs
+ * are the same as in the last saved session.
  * @param {string} sessionName - Optional name for the session  
  * @param {boolean} isAutoSave - Whether this is an automatic save
- * @returns {Promise<object>} The saved session object
+ * @returns {Promise<object|null>} The saved session object, or null if an auto-save was skipped
  */
-export async function saveCurrentSession(sessionName = null, isAutoSave = false) {
+export function saveCurrentSession(sessionName = null, isAutoSave = false) {
+    return runSessionWrite('save', [sessionName, isAutoSave]);
+}
+
+// Helper: queued write of saveCurrentSession
+async function writeCurrentSession(sessionName, isAutoSave) {
     try {
         const sessionData = await captureCurrentSession();
+        const fingerprint = SessionUtils.getSessionFingerprint(sessionData);
+        const index = await readSessionIndex();
+        if (isAutoSave && index.length > 0 && index[0].fingerprint === fingerprint) {
+            Logger.log('Auto-save skipped: nothing changed since the last saved session', Logger.LogComponent.GENERAL);
+            return null;
+        }
 
-        const session = {
+        const entry = {
             id: `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             name: sessionName || generateSessionName(isAutoSave),
             timestamp: Date.now(),
             isAutoSave: isAutoSave,
-            data: sessionData,
+            tags: [],
+            protected: false,
             stats: {
                 totalWindows: sessionData.windows.length,
                 totalTabs: sessionData.windows.reduce((sum, win) => sum + win.tabs.length, 0),
@@ -43,20 +198,18 @@ export async function saveCurrentSession(sessionName = null, isAutoSave = false)
                     sum + win.tabs.filter(tab => tab.isSuspended).length, 0)
             }
         };
+        const session = { ...entry, data: sessionData };
 
-        // Get current sessions and add the new one
-        const sessions = await getSavedSessions();
-        sessions.unshift(session); // Add to beginning (newest first)
-
-        // Keep only the most recent sessions (FIFO - remove oldest when limit exceeded)
-        // Read max sessions directly from storage to get the latest value
-        const result = await chrome.storage.local.get([Prefs.PREFS_KEY]);
-        const currentPrefs = { ...Prefs.defaultPrefs, ...(result[Prefs.PREFS_KEY] || {}) };
-        const maxSessions = currentPrefs.sessionMaxSessions || 50;
-        const trimmedSessions = sessions.slice(0, maxSessions);
+        // Store the tabs against the shared page table, then add the session to the beginning of the index (newest first)
+        const { [SESSION_PAGES_KEY]: pages = {} } = await chrome.storage.local.get(SESSION_PAGES_KEY);
+        const packed = SessionUtils.packSessionData(sessionData, pages);
+        await chrome.storage.local.set({ [getSessionDataKey(entry.id)]: packed.data });
+        const sessions = [{ ...entry, fingerprint }, ...index];
 
-        // Save back to storage
-        await chrome.storage.local.set({ [SESSIONS_STORAGE_KEY]: trimmedSessions });
+        // Keep only the most recent sessions (FIFO - remove oldest when limit exceeded, except protected ones)
+        const trimmedSessions = SessionUtils.trimSessionList(sessions, await getMaxSessions());
+        const keptIds = new Set(trimmedSessions.map(s => s.id));
+        await storeSessionIndex(trimmedSessions, sessions.filter(s => !keptIds.has(s.id)).map(s => s.id), packed.pages);
 
         Logger.log(`Session saved: ${session.name} (${session.stats.totalTabs} tabs in ${session.stats.totalWindows} windows, ${session.stats.suspendedTabs} suspended)`, Logger.LogComponent.GENERAL);
         return session;
@@ -66,6 +219,52 @@ export async function saveCurrentSession(sessionName = null, isAutoSave = false)
     }
 }
 
+/**
+ * Search saved sessions by name, tags, tab titles and tab URLs.
+ * @param {string} query - Search words; `tag:name` words only match tags
+ * @returns {Promise<Array>} Matching sessions (newest first), each with a `matchingTabs` count
+ */
+export async function searchSessions(query) {
+    const sessions = await getSavedSessions();
+    const parsed = SessionUtils.parseSessionQuery(query);
+    const results = [];
+    for (const session of sessions) {
+        const { matches, matchingTabs } = SessionUtils.matchSession(session, parsed);
+        if (matches) results.push({ ...session, matchingTabs });
+    }
+    return results;
+}
+
+/**
+ * Rename, tag or protect a saved session
+ * @param {string} sessionId
+ * @param {{name?: string, tags?: string|string[], protected?: boolean}} changes
+ * @returns {Promise<object|null>} The updated session (without its windows and tabs), or null if it was not found
+ */
+export function updateSession(sessionId, changes) {
+    return runSessionWrite('update', [sessionId, changes]);
+}
+
+// Helper: queued write of updateSession
+async function writeSessionChanges(sessionId, changes) {
+    try {
+        const sessions = await readSessionIndex();
+        const session = sessions.find(s => s.id === sessionId);
+        if (!session) return null;
+
+        if (typeof changes.name === 'string' && changes.name.trim()) session.name = changes.name.trim();
+        if (changes.tags !== undefined) session.tags = SessionUtils.normalizeTags(changes.tags);
+        if (typeof changes.protected === 'boolean') session.protected = changes.protected;
+
+        await storeSessionIndex(sessions);
+        Logger.log(`Session updated: ${session.name}`, Logger.LogComponent.GENERAL);
+        return session;
+    } catch (error) {
+        Logger.logError("Error updating session", error, Logger.LogComponent.GENERAL);
+        throw error;
+    }
+}
+
 /**
  * Capture the current browser session
  * @returns {Promise<object>} Session data
@@ -162,6 +361,12 @@ async function captureCurrentSession() {
                 } catch (e) {
                     Logger.logError("Error extracting original URL from suspended tab", e, Logger.LogComponent.GENERAL);
                 }
+            } else if (SuspensionUtils.isTabSuspended(tab)) {
+                // Discarded tab: store a suspended page URL so it can be restored in suspended state
+                tabData.isSuspended = true;
+                tabData.url = UrlBuilder.buildSuspendedUrl(tab);
+                tabData.originalUrl = tab.url;
+                Logger.detailedLog(`Found discarded tab ${tab.id}: ${tab.url}`, Logger.LogComponent.GENERAL);
             } else {
                 // Log non-suspended tabs for debugging
                 Logger.detailedLog(`Regular tab ${tab.id}: ${tab.url}`, Logger.LogComponent.GENERAL);
@@ -177,18 +382,39 @@ async function captureCurrentSession() {
 }
 
 /**
- * Create tabs in batches with controlled concurrency for better performance
+ * Work out the URL to open for a saved tab
+ * @param {object} tabData - Tab data from session
+ * @param {string} tabState - One of RESTORE_TAB_STATES
+ * @returns {string}
+ */
+function getRestoreUrl(tabData, tabState) {
+    if (tabData.isSuspended) {
+        // Keep the suspended state by using the suspended URL, or restore to the original URL
+        if (tabState !== 'unsuspended' && tabData.url) return tabData.url;
+        return tabData.originalUrl || tabData.url;
+    }
+    if (tabState === 'suspended' && /^https?:\/\//i.test(tabData.url || '')) {
+        return UrlBuilder.buildSuspendedUrl({ url: tabData.url, title: tabData.title || tabData.url });
+    }
+    return tabData.url;
+}
+
+/**
+ * Create tabs in batches with controlled concurrency for better performance.
+ * The tabs are then moved to the end of the window in the order given, as concurrent creation
+ * does not keep it.
  * @param {number} windowId - Window ID to create tabs in
  * @param {Array} tabsData - Array of tab data to create
- * @param {boolean} restoreSuspended - Whether to restore suspended tabs in suspended state
- * @returns {Promise<void>}
+ * @param {string} tabState - One of RESTORE_TAB_STATES
+ * @returns {Promise<Array<chrome.tabs.Tab|null>>} The created tabs, by position in tabsData (null where creation failed)
  */
-async function createTabsBatch(windowId, tabsData, restoreSuspended) {
+async function createTabsBatch(windowId, tabsData, tabState) {
     const batchSize = 15; // Reasonable batch size for tab creation
     const maxConcurrency = 8; // Limit concurrent tab creations
     const interBatchDelay = 100; // Short delay between batches
 
     const startTime = Date.now();
+    const createdTabs = new Array(tabsData.length).fill(null);
     let created = 0;
     let errors = 0;
 
@@ -202,19 +428,7 @@ async function createTabsBatch(windowId, tabsData, restoreSuspended) {
         let semaphoreIndex = 0;
 
         const createTab = async (tabData, index) => {
-            // Determine URL for the tab
-            let tabUrl;
-            if (tabData.isSuspended) {
-                if (restoreSuspended && tabData.url) {
-                    tabUrl = tabData.url;
-                } else if (tabData.originalUrl) {
-                    tabUrl = tabData.originalUrl;
-                } else {
-                    tabUrl = tabData.url;
-                }
-            } else {
-                tabUrl = tabData.url;
-            }
+            const tabUrl = getRestoreUrl(tabData, tabState);
 
             try {
                 const tab = await chrome.tabs.create({
@@ -224,6 +438,7 @@ async function createTabsBatch(windowId, tabsData, restoreSuspended) {
                     pinned: tabData.pinned || false
                 });
 
+                createdTabs[i + index] = tab;
                 created++;
                 Logger.detailedLog(`Created tab ${tab.id} in window ${windowId}`, Logger.LogComponent.GENERAL);
             } catch (error) {
@@ -258,10 +473,66 @@ async function createTabsBatch(windowId, tabsData, restoreSuspended) {
         }
     }
 
+    // Restore the original order; pinned tabs stay within the pinned area
+    const createdIds = createdTabs.filter(Boolean).map(tab => tab.id);
+    if (createdIds.length > 1) {
+        try {
+            await chrome.tabs.move(createdIds, { windowId, index: -1 });
+        } catch (error) {
+            Logger.logError('Error ordering restored tabs', error, Logger.LogComponent.GENERAL);
+        }
+    }
+
     const duration = Date.now() - startTime;
     Logger.log(`Batch tab creation completed: ${created} created, ${errors} errors in ${duration}ms`, Logger.LogComponent.GENERAL);
+    return createdTabs;
+}
 
+/**
+ * Recreate the tab groups of a saved window around its restored tabs, and re-activate the
+ * tab that was active when the session was saved
+ * @param {number} windowId - Window the tabs were restored into
+ * @param {object} windowData - Window data from session (for its groups)
+ * @param {Array} tabsData - The restored tabs' data
+ * @param {Array<chrome.tabs.Tab|null>} createdTabs - The restored tabs, by position in tabsData
+ * @param {boolean} activate - Whether to activate the previously active tab
+ * @returns {Promise<void>}
+ */
+async function restoreWindowLayout(windowId, windowData, tabsData, createdTabs, activate) {
+    const collapsedGroupIds = [];
+    for (const plan of SessionUtils.planTabGroups(tabsData, windowData.groups)) {
+        const tabIds = plan.positions.map(i => createdTabs[i]?.id).filter(id => id !== undefined);
+        if (tabIds.length === 0) continue;
+        try {
+            const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+            const updateProperties = { title: plan.group.title || '' };
+            if (plan.group.color) updateProperties.color = plan.group.color;
+            await chrome.tabGroups.update(groupId, updateProperties);
+            if (plan.group.collapsed) collapsedGroupIds.push(groupId);
+        } catch (error) {
+            Logger.logError(`Error restoring tab group "${plan.group.title || ''}"`, error, Logger.LogComponent.GENERAL);
+        }
+    }
 
+    if (activate) {
+        const activeIndex = tabsData.findIndex(tab => tab.active);
+        if (activeIndex >= 0 && createdTabs[activeIndex]) {
+            try {
+                await chrome.tabs.update(createdTabs[activeIndex].id, { active: true });
+            } catch (error) {
+                Logger.logError('Error activating restored tab', error, Logger.LogComponent.GENERAL);
+            }
+        }
+    }
+
+    // Collapse last, as activating a tab expands its group
+    for (const groupId of collapsedGroupIds) {
+        try {
+            await chrome.tabGroups.update(groupId, { collapsed: true });
+        } catch (error) {
+            Logger.logError('Error collapsing restored tab group', error, Logger.LogComponent.GENERAL);
+        }
+    }
 }
 
 /**
@@ -288,7 +559,29 @@ function generateSessionName(isAutoSave = false) {
  * @returns {Promise<boolean>} Success status
  */
 export async function restoreSession(sessionId, restoreSuspended = false) {
+    const { restoredTabs } = await restoreSessionSelection(sessionId, { tabState: restoreSuspended ? 'original' : 'unsuspended' });
+    return restoredTabs > 0;
+}
+
+/**
+ * @typedef {Object} RestoreSelection
+ * @property {Array<{windowIndex: number, tabIndexes?: number[]}>} [windows] - Windows to restore (index in
+ *   `data.windows`), each with the indexes of the tabs to restore; all tabs when tabIndexes is omitted, all windows when omitted
+ * @property {number|null} [intoWindowId] - Open every selected tab in this existing window instead of recreating the windows
+ * @property {string} [tabState='original'] - One of RESTORE_TAB_STATES
+ */
+
+/**
+ * Restore part of a saved session: chosen windows and tabs, optionally into an existing window
+ * @param {string} sessionId - The ID of the session to restore
+ * @param {RestoreSelection} [selection={}] - What to restore and how
+ * @returns {Promise<{restoredTabs: number, totalTabs: number}>} Tabs restored out of the tabs selected
+ */
+export async function restoreSessionSelection(sessionId, selection = {}) {
     Logger.log(`Attempting to restore session: ${sessionId}`, Logger.LogComponent.GENERAL);
+    const tabState = RESTORE_TAB_STATES.includes(selection.tabState) ? selection.tabState : 'original';
+    let totalTabs = 0;
+    let restoredTabs = 0;
 
     try {
         const sessions = await getSavedSessions();
@@ -296,40 +589,44 @@ export async function restoreSession(sessionId, restoreSuspended = false) {
 
         if (!session) {
             Logger.logError(`Session not found: ${sessionId}`, null, Logger.LogComponent.GENERAL);
-            return false;
+            return { restoredTabs, totalTabs };
         }
 
-        let totalTabs = 0;
-        let restoredTabs = 0;
-
-        // Restore each window
-        for (const windowData of session.data.windows) {
-            totalTabs += windowData.tabs.length;
+        const windows = SessionUtils.selectSessionWindows(session.data.windows, selection.windows);
+        totalTabs = windows.reduce((sum, win) => sum + win.tabs.length, 0);
 
-            if (windowData.tabs.length === 0) continue;
-
-            const success = await restoreWindow(windowData, restoreSuspended);
-            if (success) {
-                restoredTabs += windowData.tabs.length;
+        if (selection.intoWindowId != null) {
+            // All selected tabs go into one existing window, in session order, without taking focus from its active tab
+            await chrome.windows.get(selection.intoWindowId);
+            for (const windowData of windows) {
+                const createdTabs = await createTabsBatch(selection.intoWindowId, windowData.tabs, tabState);
+                await restoreWindowLayout(selection.intoWindowId, windowData, windowData.tabs, createdTabs, false);
+                restoredTabs += createdTabs.filter(Boolean).length;
+            }
+        } else {
+            // Restore each window
+            for (const windowData of windows) {
+                const success = await restoreWindow(windowData, tabState);
+                if (success) {
+                    restoredTabs += windowData.tabs.length;
+                }
             }
         }
 
         Logger.log(`Session restoration completed. Restored ${restoredTabs}/${totalTabs} tabs`, Logger.LogComponent.GENERAL);
-        return restoredTabs > 0;
-
     } catch (error) {
         Logger.logError('Error restoring session', error, Logger.LogComponent.GENERAL);
-        return false;
     }
+    return { restoredTabs, totalTabs };
 }
 
 /**
  * Restore a single window from session data
  * @param {object} windowData - Window data from session
- * @param {boolean} restoreSuspended - Whether to restore suspended tabs in suspended state
+ * @param {string} tabState - One of RESTORE_TAB_STATES
  * @returns {Promise<boolean>} Success status
  */
-async function restoreWindow(windowData, restoreSuspended) {
+async function restoreWindow(windowData, tabState) {
     try {
         if (!windowData.tabs || windowData.tabs.length === 0) {
             Logger.logError('Window has no tabs to restore', null, Logger.LogComponent.GENERAL);
@@ -361,24 +658,7 @@ async function restoreWindow(windowData, restoreSuspended) {
         // Create window with first tab
         const firstTab = windowData.tabs[0];
         if (firstTab) {
-            // Determine the URL to use for the first tab
-            let tabUrl;
-            if (firstTab.isSuspended) {
-                if (restoreSuspended && firstTab.url) {
-                    // Keep the suspended state by using the suspended URL
-                    tabUrl = firstTab.url;
-                } else if (firstTab.originalUrl) {
-                    // Restore to original URL (unsuspended)
-                    tabUrl = firstTab.originalUrl;
-                } else {
-                    // Fallback to current URL
-                    tabUrl = firstTab.url;
-                }
-            } else {
-                tabUrl = firstTab.url;
-            }
-
-            createData.url = tabUrl;
+            createData.url = getRestoreUrl(firstTab, tabState);
         }
 
         const window = await chrome.windows.create(createData);
@@ -400,9 +680,11 @@ async function restoreWindow(windowData, restoreSuspended) {
 
         // Create remaining tabs with optimized batch processing
         const remainingTabs = windowData.tabs.slice(1);
+        const createdTabs = [firstCreatedTab];
         if (remainingTabs.length > 0) {
-            await createTabsBatch(window.id, remainingTabs, restoreSuspended);
+            createdTabs.push(...await createTabsBatch(window.id, remainingTabs, tabState));
         }
+        await restoreWindowLayout(window.id, windowData, windowData.tabs, createdTabs, true);
 
         Logger.log(`Successfully restored window with ${windowData.tabs.length} tabs`, Logger.LogComponent.GENERAL);
         return true;
@@ -413,17 +695,96 @@ async function restoreWindow(windowData, restoreSuspended) {
     }
 }
 
+// Helper: load a saved session, or capture the live browser when no ID is given
+async function loadSessionSnapshot(sessionId, sessions) {
+    if (!sessionId) {
+        return { id: null, name: 'Current browser', timestamp: Date.now(), data: await captureCurrentSession() };
+    }
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) throw new Error(`Session not found: ${sessionId}`);
+    return { id: session.id, name: session.name, timestamp: session.timestamp, data: session.data };
+}
+
+/**
+ * Compare a saved session with another saved session or with the live browser.
+ * The older snapshot is always the "before" side.
+ * @param {string} sessionId - Saved session to compare
+ * @param {string|null} [otherSessionId=null] - Saved session to compare with, or null for the live browser
+ * @returns {Promise<{before: object, after: object, diff: object}>} Both snapshots ({id, name, timestamp, data})
+ *   and the result of SessionUtils.diffSessionData
+ */
+export async function diffSessions(sessionId, otherSessionId = null) {
+    const sessions = await getSavedSessions();
+    let before = await loadSessionSnapshot(sessionId, sessions);
+    let after = await loadSessionSnapshot(otherSessionId, sessions);
+    if (before.timestamp > after.timestamp) [before, after] = [after, before];
+    return { before, after, diff: SessionUtils.diffSessionData(before.data, after.data) };
+}
+
+/**
+ * Reopen the tabs of the older snapshot that are missing from the newer one, e.g. after a
+ * window was closed by accident. When comparing with the live browser, tabs go back into the
+ * window that now holds the rest of their old window's tabs if it is still open; otherwise
+ * each old window's tabs go into a new window.
+ * @param {string} sessionId - Saved session to compare
+ * @param {string|null} [otherSessionId=null] - Saved session to compare with, or null for the live browser
+ * @param {boolean} [restoreSuspended=false] - Whether to restore suspended tabs in suspended state
+ * @returns {Promise<number>} Number of tabs reopened
+ */
+export async function restoreClosedTabs(sessionId, otherSessionId = null, restoreSuspended = false) {
+    const { before, after, diff } = await diffSessions(sessionId, otherSessionId);
+    const tabState = restoreSuspended ? 'original' : 'unsuspended';
+    if (diff.closed.length === 0) return 0;
+
+    // Group the closed tabs by the window they were in
+    const groups = new Map();
+    for (const entry of diff.closed) {
+        if (!groups.has(entry.windowIndex)) groups.set(entry.windowIndex, { targetWindowIndex: entry.targetWindowIndex, tabs: [] });
+        groups.get(entry.windowIndex).tabs.push(entry.tab);
+    }
+
+    // Window IDs of a saved session are those of a past browser run; only the live browser's point at open windows
+    const afterIsLive = after.id === null;
+    let reopened = 0;
+    for (const [windowIndex, group] of groups) {
+        const targetWindowId = afterIsLive && group.targetWindowIndex !== null ? after.data.windows[group.targetWindowIndex]?.id : null;
+        let targetExists = false;
+        if (targetWindowId != null) {
+            try {
+                await chrome.windows.get(targetWindowId);
+                targetExists = true;
+            } catch (e) {
+                // The window is not open (any more); the tabs go into a new window
+            }
+        }
+
+        if (targetExists) {
+            reopened += (await createTabsBatch(targetWindowId, group.tabs, tabState)).filter(Boolean).length;
+        } else if (await restoreWindow({ ...before.data.windows[windowIndex], tabs: group.tabs }, tabState)) {
+            reopened += group.tabs.length;
+        }
+    }
+
+    Logger.log(`Reopened ${reopened} closed tabs from session ${before.name}`, Logger.LogComponent.GENERAL);
+    return reopened;
+}
+
 /**
  * Delete a session
  * @param {string} sessionId 
  * @returns {Promise<boolean>}
  */
-export async function deleteSession(sessionId) {
+export function deleteSession(sessionId) {
+    return runSessionWrite('delete', [sessionId]);
+}
+
+// Helper: queued write of deleteSession
+async function writeSessionDeletion(sessionId) {
     try {
-        const sessions = await getSavedSessions();
+        const sessions = await readSessionIndex();
         const filteredSessions = sessions.filter(s => s.id !== sessionId);
 
-        await chrome.storage.local.set({ [SESSIONS_STORAGE_KEY]: filteredSessions });
+        await storeSessionIndex(filteredSessions, sessions.length > filteredSessions.length ? [sessionId] : []);
         Logger.log(`Session deleted: ${sessionId}`, Logger.LogComponent.GENERAL);
         return true;
     } catch (error) {
@@ -464,15 +825,22 @@ export async function setAutoSaveEnabled(enabled) {
 }
 
 /**
- * Clear all saved sessions
+ * Clear all saved sessions except protected ones
  * @returns {Promise<boolean>} Success status
  */
-export async function clearAllSessions() {
+export function clearAllSessions() {
+    return runSessionWrite('clear');
+}
+
+// Helper: queued write of clearAllSessions
+async function writeClearedSessions() {
     Logger.log('Clearing all saved sessions', Logger.LogComponent.GENERAL);
 
     try {
-        await chrome.storage.local.set({ saved_sessions: [] });
-        Logger.log('All sessions cleared successfully', Logger.LogComponent.GENERAL);
+        const sessions = await readSessionIndex();
+        const protectedSessions = sessions.filter(s => s.protected);
+        await storeSessionIndex(protectedSessions, sessions.filter(s => !s.protected).map(s => s.id));
+        Logger.log(`All sessions cleared successfully (${protectedSessions.length} protected kept)`, Logger.LogComponent.GENERAL);
         return true;
     } catch (error) {
         Logger.logError('Error clearing all sessions', error, Logger.LogComponent.GENERAL);
@@ -485,23 +853,24 @@ export async function clearAllSessions() {
  * Called when user reduces the maximum session count
  * @returns {Promise<number>} Number of sessions removed
  */
-export async function trimSessionsToLimit() {
-    try {
-        const sessions = await getSavedSessions();
+export function trimSessionsToLimit() {
+    return runSessionWrite('trim');
+}
 
-        // Read max sessions directly from storage to get the latest value
-        const result = await chrome.storage.local.get([Prefs.PREFS_KEY]);
-        const currentPrefs = { ...Prefs.defaultPrefs, ...(result[Prefs.PREFS_KEY] || {}) };
-        const maxSessions = currentPrefs.sessionMaxSessions || 50;
+// Helper: queued write of trimSessionsToLimit
+async function writeTrimmedSessions() {
+    try {
+        const sessions = await readSessionIndex();
+        const maxSessions = await getMaxSessions();
 
-        if (sessions.length <= maxSessions) {
+        const trimmedSessions = SessionUtils.trimSessionList(sessions, maxSessions); // Keep newest and protected sessions
+        const removedCount = sessions.length - trimmedSessions.length;
+        if (removedCount === 0) {
             return 0; // No trimming needed
         }
 
-        const trimmedSessions = sessions.slice(0, maxSessions); // Keep newest sessions
-        const removedCount = sessions.length - trimmedSessions.length;
-
-        await chrome.storage.local.set({ [SESSIONS_STORAGE_KEY]: trimmedSessions });
+        const keptIds = new Set(trimmedSessions.map(s => s.id));
+        await storeSessionIndex(trimmedSessions, sessions.filter(s => !keptIds.has(s.id)).map(s => s.id));
 
         Logger.log(`Trimmed ${removedCount} sessions due to reduced maximum limit (${maxSessions})`, Logger.LogComponent.GENERAL);
         return removedCount;
@@ -509,4 +878,14 @@ export async function trimSessionsToLimit() {
         Logger.logError("Error trimming sessions to limit", error, Logger.LogComponent.GENERAL);
         throw error;
     }
-} 
\ No newline at end of file
+} 
+
+// Session writes by the operation name sent with MSG_SESSION_WRITE
+const SESSION_WRITES = {
+    save: writeCurrentSession,
+    update: writeSessionChanges,
+    delete: writeSessionDeletion,
+    clear: writeClearedSessions,
+    trim: writeTrimmedSessions,
+    migrate: readSessionIndex
+};
@@ -0,0 +1,349 @@
+/**
+ * Utility functions for saved sessions: tags, search, trimming, comparing snapshots and packing
+ * snapshots for storage.
+ * All functions are pure and do not interact with storage directly.
+ */
+
+export const MAX_SESSION_TAGS = 10;
+export const MAX_SESSION_TAG_LENGTH = 30;
+
+/**
+ * Clean up user-entered tags: trimmed, without duplicates (ignoring case) and within the limits.
+ * @param {string|string[]} input - Comma separated text or a list of tags.
+ * @returns {string[]}
+ */
+export function normalizeTags(input) {
+    const raw = Array.isArray(input) ? input : String(input || '').split(',');
+    const seen = new Set();
+    const tags = [];
+    for (const value of raw) {
+        const tag = String(value).trim().replace(/\s+/g, ' ').substring(0, MAX_SESSION_TAG_LENGTH);
+        if (!tag || seen.has(tag.toLowerCase())) continue;
+        seen.add(tag.toLowerCase());
+        tags.push(tag);
+        if (tags.length >= MAX_SESSION_TAGS) break;
+    }
+    return tags;
+}
+
+/**
+ * Split a search query into words. `tag:name` words only match session tags;
+ * other words match the session name, tags, tab titles and tab URLs.
+ * @param {string} query
+ * @returns {{words: string[], tags: string[]}} Lower case search words.
+ */
+export function parseSessionQuery(query) {
+    const parsed = { words: [], tags: [] };
+    for (const word of String(query || '').toLowerCase().split(/\s+/)) {
+        if (word.startsWith('tag:') && word.length > 4) {
+            parsed.tags.push(word.substring(4));
+        } else if (word) {
+            parsed.words.push(word);
+        }
+    }
+    return parsed;
+}
+
+// Helper: the text of a saved tab that search looks at
+function getTabSearchText(tab) {
+    return `${tab.title || ''} ${tab.originalUrl || tab.url || ''}`.toLowerCase();
+}
+
+/**
+ * Check a session against a parsed query. Every word must be found somewhere in the
+ * session, though not necessarily in the same tab.
+ * @param {object} session - Saved session.
+ * @param {{words: string[], tags: string[]}} parsed - Result of parseSessionQuery.
+ * @returns {{matches: boolean, matchingTabs: number}} matchingTabs counts the tabs containing any of the words.
+ */
+export function matchSession(session, parsed) {
+    const tags = (session.tags || []).map(tag => tag.toLowerCase());
+    if (!parsed.tags.every(wanted => tags.some(tag => tag.includes(wanted)))) {
+        return { matches: false, matchingTabs: 0 };
+    }
+    if (parsed.words.length === 0) return { matches: true, matchingTabs: 0 };
+
+    const sessionText = `${session.name || ''} ${tags.join(' ')}`.toLowerCase();
+    const tabTexts = (session.data?.windows || []).flatMap(win => win.tabs || []).map(getTabSearchText);
+    const matches = parsed.words.every(word => sessionText.includes(word) || tabTexts.some(text => text.includes(word)));
+    const matchingTabs = matches ? tabTexts.filter(text => parsed.words.some(word => text.includes(word))).length : 0;
+    return { matches, matchingTabs };
+}
+
+/**
+ * Apply the session limit, oldest first. Protected sessions are always kept and do not
+ * count towards the limit.
+ * @param {object[]} sessions - Sessions, newest first.
+ * @param {number} maxSessions - Number of unprotected sessions to keep.
+ * @returns {object[]} The sessions to keep, in the same order.
+ */
+export function trimSessionList(sessions, maxSessions) {
+    let unprotectedKept = 0;
+    return sessions.filter(session => {
+        if (session.protected) return true;
+        unprotectedKept++;
+        return unprotectedKept <= maxSessions;
+    });
+}
+
+/**
+ * The page a saved tab shows: the original URL for suspended tabs.
+ * @param {object} tab - Tab from session data.
+ * @returns {string}
+ */
+export function getSessionTabUrl(tab) {
+    return (tab.isSuspended && tab.originalUrl) || tab.url || '';
+}
+
+/**
+ * Compare two snapshots of `data.windows[].tabs[]`.
+ * Tabs are paired by URL first (preferring the same tab ID), then leftover tabs with the same
+ * tab ID are treated as the same tab with a new URL. Each old window is matched to the new window
+ * holding most of its tabs; a paired tab that ends up in another window has moved.
+ * Tab IDs are only stable within a browser session, so across restarts most pairing is by URL.
+ * @param {{windows: Array}} before - Older snapshot.
+ * @param {{windows: Array}} after - Newer snapshot (or the live browser).
+ * @returns {{
+ *   added: Array<{tab: object, windowIndex: number}>,
+ *   closed: Array<{tab: object, windowIndex: number, targetWindowIndex: number|null}>,
+ *   moved: Array<{tab: object, fromWindowIndex: number, toWindowIndex: number}>,
+ *   changed: Array<{before: object, after: object, windowIndex: number}>,
+ *   unchanged: number
+ * }} Window indexes refer to the snapshot the tab comes from (`before` for closed, `after` otherwise).
+ */
+export function diffSessionData(before, after) {
+    const flatten = (data) => (data?.windows || []).flatMap((win, windowIndex) =>
+        (win.tabs || []).map(tab => ({ tab, windowIndex, url: getSessionTabUrl(tab) })));
+    const oldTabs = flatten(before);
+    const newTabs = flatten(after);
+    const pairs = [];
+    const pairedNew = new Set();
+
+    // Pass 1: same URL, preferring the same tab ID
+    const newByUrl = new Map();
+    for (const entry of newTabs) {
+        if (!newByUrl.has(entry.url)) newByUrl.set(entry.url, []);
+        newByUrl.get(entry.url).push(entry);
+    }
+    const unpairedOld = [];
+    for (const entry of oldTabs) {
+        const candidates = (newByUrl.get(entry.url) || []).filter(c => !pairedNew.has(c));
+        const match = candidates.find(c => c.tab.id === entry.tab.id) || candidates[0];
+        if (match) {
+            pairedNew.add(match);
+            pairs.push({ from: entry, to: match, urlChanged: false });
+        } else {
+            unpairedOld.push(entry);
+        }
+    }
+
+    // Pass 2: same tab ID with a different URL
+    const closedEntries = [];
+    for (const entry of unpairedOld) {
+        const match = entry.tab.id != null && newTabs.find(c => !pairedNew.has(c) && c.tab.id === entry.tab.id);
+        if (match) {
+            pairedNew.add(match);
+            pairs.push({ from: entry, to: match, urlChanged: true });
+        } else {
+            closedEntries.push(entry);
+        }
+    }
+
+    // Match each old window to the new window that received most of its tabs
+    const votes = new Map(); // old window index -> Map(new window index -> count)
+    for (const { from, to } of pairs) {
+        if (!votes.has(from.windowIndex)) votes.set(from.windowIndex, new Map());
+        const counts = votes.get(from.windowIndex);
+        counts.set(to.windowIndex, (counts.get(to.windowIndex) || 0) + 1);
+    }
+    const windowMap = new Map();
+    for (const [oldIndex, counts] of votes) {
+        windowMap.set(oldIndex, [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0]);
+    }
+
+    const result = { added: [], closed: [], moved: [], changed: [], unchanged: 0 };
+    for (const { from, to, urlChanged } of pairs) {
+        const movedWindow = windowMap.get(from.windowIndex) !== to.windowIndex;
+        if (movedWindow) result.moved.push({ tab: to.tab, fromWindowIndex: from.windowIndex, toWindowIndex: to.windowIndex });
+        if (urlChanged) result.changed.push({ before: from.tab, after: to.tab, windowIndex: to.windowIndex });
+        if (!movedWindow && !urlChanged) result.unchanged++;
+    }
+    for (const entry of closedEntries) {
+        result.closed.push({ tab: entry.tab, windowIndex: entry.windowIndex, targetWindowIndex: windowMap.get(entry.windowIndex) ?? null });
+    }
+    for (const entry of newTabs) {
+        if (!pairedNew.has(entry)) result.added.push({ tab: entry.tab, windowIndex: entry.windowIndex });
+    }
+    return result;
+}
+
+/**
+ * Pick the windows and tabs to restore from session data.
+ * @param {Array} windows - `data.windows` of a session.
+ * @param {Array<{windowIndex: number, tabIndexes?: number[]}>} [windowSelection] - Windows to restore,
+ *   each with the indexes of its tabs to restore (all tabs when omitted). All windows when omitted.
+ * @returns {Array} Copies of the selected windows holding only the selected tabs, in their original
+ *   order; windows left without tabs are dropped.
+ */
+export function selectSessionWindows(windows, windowSelection) {
+    if (!Array.isArray(windowSelection)) {
+        return windows.filter(win => win.tabs && win.tabs.length > 0);
+    }
+    const selectedWindows = new Map();
+    for (const { windowIndex, tabIndexes } of windowSelection) {
+        const win = windows[windowIndex];
+        if (!win || !win.tabs) continue;
+        const previous = selectedWindows.get(windowIndex) || new Set();
+        const indexes = Array.isArray(tabIndexes) ? tabIndexes : win.tabs.map((_, i) => i);
+        indexes.filter(i => Number.isInteger(i) && i >= 0 && i < win.tabs.length).forEach(i => previous.add(i));
+        selectedWindows.set(windowIndex, previous);
+    }
+    return [...selectedWindows.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([windowIndex, indexes]) => ({
+            ...windows[windowIndex],
+            tabs: [...indexes].sort((a, b) => a - b).map(i => windows[windowIndex].tabs[i])
+        }))
+        .filter(win => win.tabs.length > 0);
+}
+
+/**
+ * Work out which restored tabs belong to which saved tab group. Pinned tabs cannot be grouped,
+ * and tabs pointing at a group missing from the window's saved groups stay ungrouped.
+ * @param {Array} tabs - Saved tabs, in the order they are restored.
+ * @param {Object<string, {title?: string, color?: string, collapsed?: boolean}>} [groups] - `groups` of the saved window.
+ * @returns {Array<{group: object, positions: number[]}>} One entry per group, in order of first appearance,
+ *   with the positions of its tabs in `tabs`.
+ */
+export function planTabGroups(tabs, groups) {
+    const plans = new Map();
+    tabs.forEach((tab, position) => {
+        const groupId = tab.groupId;
+        if (tab.pinned || groupId == null || groupId === -1 || !groups || !groups[groupId]) return;
+        if (!plans.has(groupId)) plans.set(groupId, { group: groups[groupId], positions: [] });
+        plans.get(groupId).positions.push(position);
+    });
+    return [...plans.values()];
+}
+
+/** Tab fields kept in the shared page table instead of in each saved tab. */
+export const SESSION_PAGE_FIELDS = ['url', 'title', 'favIconUrl', 'originalUrl'];
+
+/**
+ * Hash a string to a short key (53-bit, base 36). Not cryptographic.
+ * @param {string} str
+ * @returns {string}
+ */
+export function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Helper: the page fields of a saved tab, as stored in the page table
+function getPageContent(tab) {
+    return SESSION_PAGE_FIELDS.map(field => tab[field] ?? null);
+}
+
+/**
+ * Pack session data for storage: the URL, title and favicon of each tab move to a shared,
+ * content-addressed page table, and the tab keeps a `page` key into it. Each page counts the
+ * snapshots referring to it in `refs`, so it can be dropped with the last of them.
+ * @param {{capturedAt: number, windows: Array}} data - Session data as captured.
+ * @param {Object<string, object>} pages - Current page table.
+ * @returns {{data: object, pages: Object<string, object>}} Packed data and the updated page table
+ *   (a new object; `pages` is not changed).
+ */
+export function packSessionData(data, pages) {
+    const table = { ...pages };
+    const referenced = new Set();
+    const windows = (data?.windows || []).map(win => ({
+        ...win,
+        tabs: (win.tabs || []).map(tab => {
+            const content = getPageContent(tab);
+            const text = JSON.stringify(content);
+            const hash = hashString(text);
+            let key = hash;
+            // On a hash collision, probe with a suffix until the page or a free key is found
+            for (let n = 1; table[key] && JSON.stringify(getPageContent(table[key])) !== text; n++) {
+                key = `${hash}_${n}`;
+            }
+            if (!table[key]) {
+                table[key] = { refs: 0 };
+                SESSION_PAGE_FIELDS.forEach((field, i) => { table[key][field] = content[i]; });
+            }
+            referenced.add(key);
+            const packedTab = { page: key };
+            for (const [field, value] of Object.entries(tab)) {
+                if (!SESSION_PAGE_FIELDS.includes(field)) packedTab[field] = value;
+            }
+            return packedTab;
+        })
+    }));
+    for (const key of referenced) {
+        table[key] = { ...table[key], refs: table[key].refs + 1 };
+    }
+    return { data: { ...data, windows }, pages: table };
+}
+
+/**
+ * Turn packed session data back into full session data.
+ * @param {object} packedData - Result of packSessionData.
+ * @param {Object<string, object>} pages - Page table.
+ * @returns {{capturedAt: number, windows: Array}} Tabs whose page is missing get empty page fields.
+ */
+export function unpackSessionData(packedData, pages) {
+    return {
+        ...packedData,
+        windows: (packedData?.windows || []).map(win => ({
+            ...win,
+            tabs: (win.tabs || []).map(({ page, ...tab }) => {
+                const record = pages[page] || {};
+                for (const field of SESSION_PAGE_FIELDS) tab[field] = record[field] ?? null;
+                return tab;
+            })
+        }))
+    };
+}
+
+/**
+ * Release the pages of a packed snapshot that is being deleted.
+ * @param {Object<string, object>} pages - Page table.
+ * @param {object} packedData - The deleted snapshot, as returned by packSessionData.
+ * @returns {Object<string, object>} The updated page table (a new object) without the pages no snapshot refers to any more.
+ */
+export function releaseSessionPages(pages, packedData) {
+    const table = { ...pages };
+    const keys = new Set((packedData?.windows || []).flatMap(win => (win.tabs || []).map(tab => tab.page)));
+    for (const key of keys) {
+        if (!table[key]) continue;
+        if (table[key].refs > 1) {
+            table[key] = { ...table[key], refs: table[key].refs - 1 };
+        } else {
+            delete table[key];
+        }
+    }
+    return table;
+}
+
+/**
+ * Fingerprint what the user would get back from a snapshot: the pages of each window in order,
+ * with their pinned, suspended and tab group state. Titles, favicons, focus and window positions
+ * are left out, as they change without the user doing anything.
+ * @param {{windows: Array}} data - Session data.
+ * @returns {string}
+ */
+export function getSessionFingerprint(data) {
+    const layout = (data?.windows || []).map(win => (win.tabs || []).map(tab => {
+        const group = tab.groupId != null && tab.groupId !== -1 ? win.groups?.[tab.groupId] : null;
+        return [getSessionTabUrl(tab), !!tab.pinned, !!tab.isSuspended, group ? [group.title || '', group.color || ''] : null];
+    }));
+    return hashString(JSON.stringify(layout));
+}
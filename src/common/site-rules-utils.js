@@ -0,0 +1,66 @@
+/**
+ * Utility functions for per-site suspension timeout rules.
+ * All functions are pure and do not interact with storage directly.
+ */
+import * as WhitelistRules from './whitelist-rules.js';
+
+/**
+ * Parse the site timeout rules textarea into an array of rule objects.
+ * Each line is "pattern minutes" (a "=" separator is also accepted), e.g. "docs.google.com 120" or "*.reddit.com = 2".
+ * Lines that cannot be parsed or contain dangerous characters are dropped.
+ * @param {string} text - Multiline string from textarea.
+ * @returns {Array<{pattern: string, minutes: number}>} Parsed rules, in the order given.
+ */
+export function parseSiteTimeoutRulesText(text) {
+    const dangerousPattern = /[<>"'`;]/;
+    const rules = [];
+    for (const rawLine of String(text || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line || dangerousPattern.test(line)) continue;
+        const match = line.match(/^(\S+)\s*(?:=|\s)\s*(\d+)$/);
+        if (!match) continue;
+        const minutes = parseInt(match[2], 10);
+        if (!Number.isFinite(minutes) || minutes < 1) continue;
+        rules.push({ pattern: match[1], minutes });
+    }
+    return rules;
+}
+
+/**
+ * Format site timeout rules back into textarea form (one "pattern minutes" per line).
+ * @param {Array<{pattern: string, minutes: number}>} rules
+ * @returns {string}
+ */
+export function formatSiteTimeoutRulesText(rules) {
+    if (!Array.isArray(rules)) return '';
+    return rules
+        .filter(rule => rule && rule.pattern)
+        .map(rule => `${rule.pattern} ${rule.minutes}`)
+        .join('\n');
+}
+
+/**
+ * Check whether a value is a structurally valid site timeout rule.
+ * @param {any} rule
+ * @returns {boolean}
+ */
+export function isValidSiteTimeoutRule(rule) {
+    return !!rule &&
+        typeof rule.pattern === 'string' &&
+        rule.pattern.trim() !== '' &&
+        typeof rule.minutes === 'number' &&
+        Number.isFinite(rule.minutes) &&
+        rule.minutes >= 1;
+}
+
+/**
+ * Find the rule that sets the delay of a URL: the first rule whose pattern matches it, with
+ * patterns written as in the whitelist (hostnames, `*` wildcards, path prefixes...).
+ * @param {Array<{pattern: string, minutes: number}>} rules
+ * @param {string} url
+ * @returns {{pattern: string, minutes: number}|null} Null if no valid rule matches.
+ */
+export function findSiteTimeoutRule(rules, url) {
+    const rule = WhitelistRules.findMatchingItem(rules, url);
+    return isValidSiteTimeoutRule(rule) ? rule : null;
+}
@@ -0,0 +1,165 @@
+// snooze.js - Temporary "don't suspend" entries for a tab, domain or window
+import * as Logger from './logger.js';
+import { STORAGE_KEYS } from './constants.js';
+
+export const SNOOZE_TYPES = ['tab', 'domain', 'window'];
+
+/**
+ * @typedef {Object} SnoozeEntry
+ * @property {string} id - Unique entry ID
+ * @property {'tab'|'domain'|'window'} type
+ * @property {number|string} target - Tab ID, window ID or hostname
+ * @property {string} label - Human readable description (tab title, domain or window)
+ * @property {number|null} expiresAt - Expiry time in ms, or null for "until browser restart"
+ */
+
+// chrome.storage.session key marking that snoozes were already loaded in this browser session
+const SESSION_MARKER_KEY = 'TS_snooze_session_marker';
+
+/** @type {SnoozeEntry[]} */
+let snoozes = [];
+
+/**
+ * Load snooze entries from storage into memory, dropping expired ones.
+ * Should be called on service worker startup.
+ * @returns {Promise<void>}
+ */
+export async function loadSnoozes() {
+    try {
+        const obj = await chrome.storage.local.get(STORAGE_KEYS.SNOOZES);
+        snoozes = Array.isArray(obj[STORAGE_KEYS.SNOOZES]) ? obj[STORAGE_KEYS.SNOOZES] : [];
+
+        // chrome.storage.session is emptied when the browser restarts, so a missing marker means a new browser session
+        const session = await chrome.storage.session.get(SESSION_MARKER_KEY);
+        if (!session[SESSION_MARKER_KEY]) {
+            await clearSessionSnoozes();
+            await chrome.storage.session.set({ [SESSION_MARKER_KEY]: true });
+        }
+        await removeExpiredSnoozes();
+    } catch (e) {
+        Logger.logError('loadSnoozes failed', e, Logger.LogComponent.BACKGROUND);
+    }
+}
+
+async function persistSnoozes() {
+    try {
+        await chrome.storage.local.set({ [STORAGE_KEYS.SNOOZES]: snoozes });
+    } catch (e) {
+        Logger.logError('persistSnoozes failed', e, Logger.LogComponent.BACKGROUND);
+    }
+}
+
+/**
+ * Get all snoozes that have not expired yet.
+ * @param {number} [now=Date.now()]
+ * @returns {SnoozeEntry[]}
+ */
+export function getActiveSnoozes(now = Date.now()) {
+    return snoozes.filter(s => s.expiresAt === null || s.expiresAt > now);
+}
+
+/**
+ * Add a snooze entry, replacing any existing snooze for the same target.
+ * @param {'tab'|'domain'|'window'} type
+ * @param {number|string} target - Tab ID, window ID or hostname
+ * @param {string} label - Human readable description
+ * @param {number|null} durationMinutes - Minutes to snooze for, or null for "until browser restart"
+ * @returns {Promise<SnoozeEntry>}
+ */
+export async function addSnooze(type, target, label, durationMinutes) {
+    if (!SNOOZE_TYPES.includes(type)) throw new Error(`Invalid snooze type: ${type}`);
+    if (durationMinutes !== null && (typeof durationMinutes !== 'number' || durationMinutes <= 0)) {
+        throw new Error('Snooze duration must be a positive number of minutes or null');
+    }
+    const entry = {
+        id: `${type}-${target}-${Date.now()}`,
+        type,
+        target,
+        label: label || String(target),
+        expiresAt: durationMinutes === null ? null : Date.now() + durationMinutes * 60 * 1000
+    };
+    snoozes = snoozes.filter(s => !(s.type === type && s.target === target));
+    snoozes.push(entry);
+    await persistSnoozes();
+    Logger.log(`Snoozed ${type} ${entry.label} ${entry.expiresAt ? `until ${new Date(entry.expiresAt).toLocaleTimeString()}` : 'until browser restart'}`, Logger.LogComponent.BACKGROUND);
+    return entry;
+}
+
+/**
+ * Cancel a snooze entry.
+ * @param {string} id - Snooze entry ID
+ * @returns {Promise<boolean>} Whether an entry was removed
+ */
+export async function removeSnooze(id) {
+    const before = snoozes.length;
+    snoozes = snoozes.filter(s => s.id !== id);
+    if (snoozes.length === before) return false;
+    await persistSnoozes();
+    return true;
+}
+
+/**
+ * Drop expired snooze entries.
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function removeExpiredSnoozes() {
+    const active = getActiveSnoozes();
+    const removed = snoozes.length - active.length;
+    if (removed > 0) {
+        snoozes = active;
+        await persistSnoozes();
+        Logger.log(`Removed ${removed} expired snooze entries`, Logger.LogComponent.BACKGROUND);
+    }
+    return removed;
+}
+
+/**
+ * Drop entries that do not survive a browser restart: "until restart" snoozes, and tab/window
+ * snoozes (tab and window IDs are reassigned after a restart).
+ * @returns {Promise<void>}
+ */
+async function clearSessionSnoozes() {
+    const before = snoozes.length;
+    snoozes = snoozes.filter(s => s.expiresAt !== null && s.type === 'domain');
+    if (snoozes.length !== before) await persistSnoozes();
+}
+
+/**
+ * Get the earliest expiry time among active snoozes.
+ * @returns {number|null} Time in ms, or null if nothing expires
+ */
+export function getNextExpiry() {
+    const times = getActiveSnoozes().map(s => s.expiresAt).filter(t => t !== null);
+    return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Find the active snooze covering a tab, if any.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {SnoozeEntry|null}
+ */
+export function findSnoozeForTab(tab) {
+    if (!tab) return null;
+    let hostname = null;
+    try {
+        hostname = new URL(tab.url).hostname.replace(/^www\./i, '').toLowerCase();
+    } catch {
+        // Not a parseable URL; only tab and window snoozes can apply
+    }
+    return getActiveSnoozes().find(s =>
+        (s.type === 'tab' && s.target === tab.id) ||
+        (s.type === 'window' && s.target === tab.windowId) ||
+        (s.type === 'domain' && hostname !== null && (hostname === s.target || hostname.endsWith('.' + s.target)))
+    ) || null;
+}
+
+/**
+ * Describe when a snooze ends, for skip reasons and UI.
+ * @param {SnoozeEntry} entry
+ * @returns {string}
+ */
+export function describeExpiry(entry) {
+    return entry.expiresAt === null
+        ? 'until browser restart'
+        : `until ${new Date(entry.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
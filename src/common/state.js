@@ -9,10 +9,17 @@ let bulkOpTimeoutId = null;
 // Browser status trackers
 let isOfflineMode = !navigator.onLine; // Initialize with current status
 let lastFocusedWindowId = chrome.windows.WINDOW_ID_NONE;
+let browserFocused = true; // False while focus is outside Chrome (WINDOW_ID_NONE)
+let systemIdleState = 'active'; // Last chrome.idle state: 'active', 'idle' or 'locked'
 
 // Map of window IDs to their active tab IDs
 const activeTabsByWindow = new Map();
 
+// Map of tab IDs to the time (ms) they were last activated, persisted for LRU decisions
+const tabLastActivated = new Map();
+let activationPersistTimeoutId = null;
+const ACTIVATION_PERSIST_DEBOUNCE_MS = 1000;
+
 /**
  * Check if the browser is offline
  * @returns {boolean} Whether the browser is offline
@@ -67,6 +74,41 @@ export function updateLastFocusedWindow(windowId) {
     }
 }
 
+/**
+ * Check whether any browser window currently has focus
+ * @returns {boolean}
+ */
+export function isBrowserFocused() {
+    return browserFocused;
+}
+
+/**
+ * Record whether any browser window currently has focus
+ * @param {boolean} focused
+ */
+export function setBrowserFocused(focused) {
+    browserFocused = !!focused;
+}
+
+/**
+ * Get the last known system idle state
+ * @returns {'active'|'idle'|'locked'}
+ */
+export function getSystemIdleState() {
+    return systemIdleState;
+}
+
+/**
+ * Update the system idle state reported by chrome.idle
+ * @param {'active'|'idle'|'locked'} state
+ */
+export function setSystemIdleState(state) {
+    if (state !== systemIdleState) {
+        Logger.log(`System idle state changed: ${systemIdleState} -> ${state}`, Logger.LogComponent.BACKGROUND);
+    }
+    systemIdleState = state;
+}
+
 /**
  * Set the active tab for a window
  * @param {number} windowId - Window ID
@@ -85,6 +127,66 @@ export function getActiveTabForWindow(windowId) {
     return activeTabsByWindow.get(windowId);
 }
 
+/**
+ * Load persisted per-tab last-activated times.
+ * Should be called on service worker startup.
+ */
+export async function loadTabActivationTimes() {
+    try {
+        const obj = await chrome.storage.local.get(STORAGE_KEYS.TAB_LAST_ACTIVATED);
+        const stored = obj[STORAGE_KEYS.TAB_LAST_ACTIVATED] || {};
+        tabLastActivated.clear();
+        for (const [tabId, time] of Object.entries(stored)) {
+            if (typeof time === 'number') tabLastActivated.set(Number(tabId), time);
+        }
+        Logger.detailedLog(`Loaded ${tabLastActivated.size} tab activation times`, Logger.LogComponent.BACKGROUND);
+    } catch (e) {
+        Logger.logError('loadTabActivationTimes failed', e, Logger.LogComponent.BACKGROUND);
+    }
+}
+
+function persistTabActivationTimesDebounced() {
+    if (activationPersistTimeoutId) clearTimeout(activationPersistTimeoutId);
+    activationPersistTimeoutId = setTimeout(async () => {
+        activationPersistTimeoutId = null;
+        try {
+            await chrome.storage.local.set({ [STORAGE_KEYS.TAB_LAST_ACTIVATED]: Object.fromEntries(tabLastActivated) });
+        } catch (e) {
+            Logger.logError('persistTabActivationTimes failed', e, Logger.LogComponent.BACKGROUND);
+        }
+    }, ACTIVATION_PERSIST_DEBOUNCE_MS);
+}
+
+/**
+ * Record that a tab was activated
+ * @param {number} tabId - Tab ID
+ * @param {number} [time=Date.now()] - Activation time in ms
+ */
+export function markTabActivated(tabId, time = Date.now()) {
+    if (typeof tabId !== 'number') return;
+    tabLastActivated.set(tabId, time);
+    persistTabActivationTimesDebounced();
+}
+
+/**
+ * Get the time a tab was last activated
+ * @param {number} tabId - Tab ID
+ * @returns {number|undefined} Time in ms or undefined if never seen
+ */
+export function getTabLastActivated(tabId) {
+    return tabLastActivated.get(tabId);
+}
+
+/**
+ * Remove the last-activated entry for a tab
+ * @param {number} tabId - Tab ID
+ */
+export function removeTabActivation(tabId) {
+    if (tabLastActivated.delete(tabId)) {
+        persistTabActivationTimesDebounced();
+    }
+}
+
 /**
  * Remove tracking data for a window
  * @param {number} windowId - Window ID to remove from tracking
@@ -123,6 +225,17 @@ export async function cleanupStateReferences() {
             }
         }
 
+        // Clean up activation times for tabs that no longer exist (tab IDs do not survive browser restarts)
+        const tabs = await chrome.tabs.query({});
+        const tabIds = new Set(tabs.map(t => t.id));
+        for (const tabId of tabLastActivated.keys()) {
+            if (!tabIds.has(tabId)) {
+                tabLastActivated.delete(tabId);
+                removedEntries++;
+            }
+        }
+        if (removedEntries > 0) persistTabActivationTimesDebounced();
+
         // Check and update last focused window
         if (lastFocusedWindowId !== chrome.windows.WINDOW_ID_NONE && !windowIds.has(lastFocusedWindowId)) {
             // Reset to NONE if the window no longer exists
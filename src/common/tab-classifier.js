@@ -3,6 +3,13 @@ import * as Logger from './logger.js';
 import * as Prefs from './prefs.js';
 import * as State from './state.js';
 import * as Const from './constants.js';
+import * as Policies from './policies.js';
+import * as SiteRulesUtils from './site-rules-utils.js';
+import * as GroupRulesUtils from './group-rules-utils.js';
+import * as Snooze from './snooze.js';
+import * as WhitelistRules from './whitelist-rules.js';
+import * as WhitelistUtils from './whitelist-utils.js';
+import * as SuspensionUtils from '../suspension/suspension-utils.js';
 
 const ALLOWED_PROTOCOLS = ["http:", "https:"];
 
@@ -22,73 +29,143 @@ export function isAllowedProtocol(url) {
     }
 }
 
+// Compiled whitelist, rebuilt when Prefs.whitelistVersion changes or an entry expires
+let compiledWhitelist = null;
+let compiledWhitelistVersion = -1;
+let compiledWhitelistValidUntil = Infinity;
+
 /**
- * Escapes special regex characters but preserves wildcards (*) for pattern matching
- * @param {string} str - The string to escape
- * @returns {string} - The escaped string with wildcards preserved for regex
+ * Returns the compiled form of the currently active whitelist entries, compiling it on first use after a change.
+ * @returns {ReturnType<typeof WhitelistRules.compileWhitelist>}
  */
-function escapeRegexButPreserveWildcards(str) {
-    // First escape special regex characters
-    return str.replace(/[\[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+function getCompiledWhitelist() {
+    const now = Date.now();
+    if (!compiledWhitelist || compiledWhitelistVersion !== Prefs.whitelistVersion || now >= compiledWhitelistValidUntil) {
+        const entries = Prefs.whitelist.filter(entry => WhitelistUtils.isWhitelistEntryActive(entry, now));
+        compiledWhitelist = WhitelistRules.compileWhitelist(entries);
+        compiledWhitelistVersion = Prefs.whitelistVersion;
+        compiledWhitelistValidUntil = Math.min(Infinity, ...entries.map(entry => entry.expiresAt ?? Infinity));
+        Logger.detailedLog(`Compiled whitelist: ${compiledWhitelist.hostIndex.size} host entries, ${compiledWhitelist.rules.length} rules, ${compiledWhitelist.exceptions.length} exceptions`);
+    }
+    return compiledWhitelist;
 }
 
 /**
- * Checks if the URL matches any whitelist pattern.
+ * Finds the active whitelist entry matching a URL.
+ * Supports hostnames, exact URLs, `*` wildcards, /regex/, path prefixes, query conditions,
+ * host:port entries and `!` exceptions (see whitelist-rules.js).
  * @param {string} url - The URL to check.
- * @returns {Promise<string|null>} The matched pattern or null if no match.
+ * @returns {import('./types.js').WhitelistEntry|null} The first matching entry or null.
  */
-export async function isUrlWhitelisted(url) {
+export function getWhitelistEntryForUrl(url) {
     if (!url) return null;
 
     try {
-        // Parse URL or exit early
-        let hostname;
-        try {
-            hostname = new URL(url).hostname;
-        } catch {
-            return null;
-        }
-
         // Use in-memory whitelist from prefs.js instead of fetching from storage each time
         // This is more efficient for high-frequency calls
         if (!Array.isArray(Prefs.whitelist) || Prefs.whitelist.length === 0) {
             return null;
         }
 
-        // Check for global wildcard
-        if (Prefs.whitelist.includes('*')) {
-            return '*';
-        }
-
-        // Find matching pattern
-        const match = Prefs.whitelist.find(pattern => {
-            if (!pattern || pattern.trim() === '') return false;
+        return WhitelistRules.matchCompiledWhitelist(getCompiledWhitelist(), url);
+    } catch (e) {
+        Logger.logError(`Error in getWhitelistEntryForUrl: ${e.message}`);
+        return null;
+    }
+}
 
-            // Direct matches
-            if (pattern === url) return true;
+/**
+ * Checks if the URL matches the always-suspend list.
+ * @param {string} url - The URL to check.
+ * @returns {string|null} The matched pattern or null if no match.
+ */
+export function getAlwaysSuspendMatch(url) {
+    if (!url) return null;
+    // Compiled once per prefs array; savePrefs replaces the prefs object
+    return WhitelistRules.findMatchingItem(Prefs.prefs.alwaysSuspendSites, url);
+}
 
-            // Domain matches
-            if (hostname === pattern || hostname.endsWith(`.${pattern}`)) return true;
+/**
+ * Checks if the URL matches a "never suspend" whitelist entry.
+ * @param {string} url - The URL to check.
+ * @returns {Promise<string|null>} The matched pattern or null if no match.
+ */
+export async function isUrlWhitelisted(url) {
+    const entry = getWhitelistEntryForUrl(url);
+    return entry && entry.action === 'never' ? entry.pattern : null;
+}
 
-            // Wildcard matching with proper escaping and anchoring
-            if (pattern.includes('*')) {
-                const regexPattern = new RegExp('^' + escapeRegexButPreserveWildcards(pattern) + '$');
-                return regexPattern.test(url);
-            }
+/**
+ * Returns the schedule policy currently in force, if any.
+ * @returns {{index: number, policy: import('./types.js').SuspensionPolicy}|null}
+ */
+export function getActivePolicy() {
+    return Policies.getActivePolicy(Prefs.prefs.suspensionPolicies);
+}
 
-            // Substring match - disabled to avoid accidental broad matches
-            // return url.includes(pattern);
+/**
+ * Resolves the suspension delay for a URL from its whitelist entry or the per-site timeout rules.
+ * A "custom delay" or "always suspend" whitelist entry wins, then the always-suspend list, then the first matching site rule;
+ * falls back to the active policy's delay, then the global suspendAfter.
+ * @param {string} url - The URL to resolve the delay for.
+ * @returns {number} Delay in minutes before the tab should be suspended.
+ */
+export function getSuspendDelayForUrl(url) {
+    const active = getActivePolicy();
+    const defaultDelay = active && active.policy.action === 'delay'
+        ? active.policy.delayMinutes
+        : Prefs.prefs.suspendAfter;
+    const entry = getWhitelistEntryForUrl(url);
+    if (entry && entry.action === 'delay') return entry.delayMinutes;
+    if (entry && entry.action === 'always') return Const.IMMEDIATE_SUSPEND_DELAY_MINUTES;
+    if (getAlwaysSuspendMatch(url)) {
+        return Math.max(Prefs.prefs.alwaysSuspendDelaySeconds / 60, Const.IMMEDIATE_SUSPEND_DELAY_MINUTES);
+    }
 
-            return false;
-        });
+    if (!url) return defaultDelay;
+    try {
+        const rule = SiteRulesUtils.findSiteTimeoutRule(Prefs.prefs.siteTimeoutRules, url);
+        if (rule) return rule.minutes;
+    } catch (e) {
+        Logger.logError(`Error in getSuspendDelayForUrl: ${e.message}`);
+    }
+    return defaultDelay;
+}
 
-        return match || null;
+/**
+ * Finds the tab group rule that applies to a tab, if the tab is in a group and a rule matches it.
+ * @param {chrome.tabs.Tab} tab - The tab to look up.
+ * @returns {Promise<{rule: object, group: chrome.tabGroups.TabGroup}|null>}
+ */
+export async function getGroupRuleForTab(tab) {
+    const rules = Prefs.prefs.tabGroupRules;
+    if (!tab || tab.groupId === undefined || tab.groupId === -1 || !Array.isArray(rules) || rules.length === 0) {
+        return null;
+    }
+    try {
+        const group = await chrome.tabGroups.get(tab.groupId);
+        const rule = GroupRulesUtils.findGroupRule(rules, group);
+        return rule ? { rule, group } : null;
     } catch (e) {
-        Logger.logError(`Error in isUrlWhitelisted: ${e.message}`);
+        Logger.detailedLog(`Could not read tab group ${tab.groupId}: ${e.message}`);
         return null;
     }
 }
 
+/**
+ * Resolves the suspension delay for a tab: a custom-delay tab group rule wins,
+ * otherwise the URL-based delay from getSuspendDelayForUrl applies.
+ * @param {chrome.tabs.Tab} tab - The tab to resolve the delay for.
+ * @returns {Promise<number>} Delay in minutes before the tab should be suspended.
+ */
+export async function getSuspendDelayForTab(tab) {
+    const groupMatch = await getGroupRuleForTab(tab);
+    if (groupMatch && groupMatch.rule.action === 'delay') {
+        return groupMatch.rule.minutes;
+    }
+    return getSuspendDelayForUrl(tab.url);
+}
+
 /**
  * Checks if a tab should be skipped for suspension based on its properties and current preferences.
  * Uses early returns for each check to improve readability.
@@ -120,7 +197,7 @@ export async function shouldSkipTab(tab, debug = false) {
         return skip("special url");
     }
 
-    if (tab.url.toLowerCase().startsWith(chrome.runtime.getURL(Const.SUSPENDED_PAGE_PATH).toLowerCase())) {
+    if (SuspensionUtils.isTabSuspended(tab)) {
         return skip("already suspended");
     }
 
@@ -157,6 +234,35 @@ export async function shouldSkipTab(tab, debug = false) {
         Logger.logError(`Error checking whitelist: ${e.message}`);
     }
 
+    // Temporary snooze check
+    const snooze = Snooze.findSnoozeForTab(tab);
+    if (snooze) {
+        return skip(`snoozed (${snooze.type}: ${snooze.label}) ${Snooze.describeExpiry(snooze)}`);
+    }
+
+    // Tab group rule check
+    const groupMatch = await getGroupRuleForTab(tab);
+    if (groupMatch && groupMatch.rule.action === 'never') {
+        return skip(`tab group "${groupMatch.group.title || groupMatch.group.color}" is set to never suspend`);
+    }
+
+    // Schedule policy checks
+    const active = getActivePolicy();
+    if (active) {
+        const label = Policies.describePolicy(active.policy);
+        if (active.policy.action === 'off') {
+            return skip(`auto-suspension off by schedule policy: ${label}`);
+        }
+        try {
+            const exemption = Policies.findPolicyExemption(active.policy, tab.url);
+            if (exemption) {
+                return skip(`exempt by schedule policy (${label}): ${exemption}`);
+            }
+        } catch (e) {
+            Logger.logError(`Error checking schedule policy exemptions: ${e.message}`);
+        }
+    }
+
     // If we reach here, no reason to skip was found
     return false;
 }
\ No newline at end of file
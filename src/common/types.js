@@ -2,13 +2,65 @@
  * @typedef {Object} Prefs
  * @property {number} suspendAfter
  * @property {boolean} preserveHistory
+ * @property {boolean} nativeDiscardOnly
  * @property {boolean} neverSuspendPinned
  * @property {boolean} neverSuspendAudio
  * @property {boolean} neverSuspendActive
  * @property {boolean} neverSuspendLastWindow
  * @property {boolean} neverSuspendOffline
- * @property {'normal'|'never'|'ask'} unsavedFormHandling
+ * @property {'normal'|'never'|'ask'|'preserve'} unsavedFormHandling
  * @property {boolean} autoSuspendEnabled
+ * @property {'timer'|'memory'|'both'} suspensionStrategy
+ * @property {number} memoryPressureThreshold
+ * @property {number} maxLiveTabs
+ * @property {'window'|'global'} maxLiveTabsScope
+ * @property {Array<{pattern: string, minutes: number}>} siteTimeoutRules
+ * @property {Array<SuspensionPolicy>} suspensionPolicies
+ * @property {Array<{match: 'title'|'color', value: string, action: 'never'|'together'|'delay', minutes: number|null}>} tabGroupRules
+ * @property {boolean} suspendGroupOnCollapse
+ * @property {string[]} alwaysSuspendSites
+ * @property {number} alwaysSuspendDelaySeconds
+ * @property {boolean} pauseWhileActiveElsewhere
+ * @property {boolean} suspendOnSystemIdle
+ * @property {number} systemIdleMinutes
+ * @property {boolean} suspendOnScreenLock
+ * @property {boolean} unsuspendOnFocus
+ * @property {number} unsuspendOnFocusDelayMs
+ * @property {'off'|'countdown'|'suspendedCount'|'status'} badgeMode
+ * @property {boolean} badgeReasonIcon
+ * @property {'none'|'alt'|'altShift'} suspendedLinkModifier
+ * @property {boolean} screenshotsEnabled
+ * @property {number} screenshotQuality
+ * @property {number} screenshotMaxStorageMB
+ * @property {string[]} externalApiAllowlist - Extensions allowed to use the external messaging API
+ */
+
+/**
+ * @typedef {Object} SuspensionPolicy
+ * @property {number[]} days - Weekdays the policy applies to (0 = Sunday)
+ * @property {string} start - Window start, "HH:MM" local time
+ * @property {string} end - Window end, "HH:MM" local time (before start = overnight)
+ * @property {'default'|'delay'|'off'|'suspendAll'} action
+ * @property {number|null} delayMinutes - Default delay while active (action 'delay')
+ * @property {string[]} exemptions - Extra never-suspend patterns while active
+ */
+
+/**
+ * @typedef {Object} WhitelistEntry
+ * @property {string} pattern - URL, domain or whitelist rule (see whitelist-rules.js)
+ * @property {string} comment - Free-form note shown in the options editor
+ * @property {number|null} expiresAt - Time in ms after which the entry stops applying, or null
+ * @property {boolean} enabled - Disabled entries are kept but ignored
+ * @property {'never'|'delay'|'always'} action - Never suspend, use delayMinutes, or suspend as soon as the tab is in the background
+ * @property {number|null} delayMinutes - Suspension delay (action 'delay')
+ */
+
+/**
+ * @typedef {Object} ScrollPosition
+ * @property {number} x - Horizontal scroll offset in px
+ * @property {number} y - Vertical scroll offset in px
+ * @property {string} anchor - Text near the top of the viewport, or '' if none was found
+ * @property {number} anchorOffset - Distance of the anchor text from the top of the viewport in px
  */
 
 export { }; // Make this a module 
\ No newline at end of file
@@ -1,12 +1,14 @@
+import * as Logger from './logger.js';
+
 /**
  * Constructs the URL for the suspended.html page with essential parameters.
  * 
  * @param {chrome.tabs.Tab} tab - The tab object being suspended.
+ * @param {import('./types.js').ScrollPosition|null} [scrollPosition=null] - Scroll position to restore on unsuspend;
+ *   only the offsets go into the URL, as the anchor is page text that would end up in the browser history.
  * @returns {string} The fully constructed suspended.html URL string.
  */
-import * as Logger from './logger.js';
-
-export function buildSuspendedUrl(tab) {
+export function buildSuspendedUrl(tab, scrollPosition = null) {
     if (!tab.url || typeof tab.url !== 'string') throw new Error('Invalid tab.url');
     const suspendedUrlBase = chrome.runtime.getURL("suspended.html");
     const urlObj = new URL(suspendedUrlBase);
@@ -14,6 +16,8 @@ export function buildSuspendedUrl(tab) {
 
     // Add encoded parameters first
     if (tab.title) params.set("title", tab.title);
+    // Scroll position as "x,y"
+    if (scrollPosition) params.set("scroll", `${scrollPosition.x},${scrollPosition.y}`);
 
     // Build the hash with original URL at the end as clear text (not encoded)
     let hashString = params.toString();
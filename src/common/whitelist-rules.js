@@ -0,0 +1,207 @@
+/**
+ * Whitelist rule engine: compiles whitelist entries into matchers once so that checking a URL
+ * does not build regular expressions on every call.
+ * All functions are pure and do not interact with storage directly.
+ *
+ * Supported entry syntax (one per line):
+ *   example.com                    hostname, also matches subdomains
+ *   https://example.com/page       exact URL
+ *   *.example.com, *://x.com/a/*   `*` wildcards (host-only patterns also match the hostname)
+ *   /^https:\/\/.*\.dev\//i        regular expression tested against the full URL
+ *   example.com/docs               path prefix (segment aware: /docs matches /docs/a, not /docsx)
+ *   example.com?tab=inbox&debug    query conditions (key=value, or key alone for "present")
+ *   localhost:3000                 host with a specific port
+ *   !mail.google.com/u/1           exception: never whitelisted, even if another entry matches
+ *   *                              everything
+ */
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+// Lists compiled by findMatchingItem, per array; preference arrays are replaced, not changed, when saved
+const compiledListCache = new WeakMap();
+
+/**
+ * Escapes special regex characters but preserves wildcards (*) for pattern matching
+ * @param {string} str - The string to escape
+ * @returns {string} - The escaped string with wildcards preserved for regex
+ */
+export function escapeRegexButPreserveWildcards(str) {
+    return str.replace(/[\[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+}
+
+/**
+ * Parse "key=value&flag" into query conditions.
+ * @param {string} query
+ * @returns {Array<{key: string, value: string|null}>}
+ */
+function parseQueryConditions(query) {
+    return query.split('&').filter(Boolean).map(part => {
+        const separator = part.indexOf('=');
+        return separator === -1
+            ? { key: decodeURIComponent(part), value: null }
+            : { key: decodeURIComponent(part.slice(0, separator)), value: decodeURIComponent(part.slice(separator + 1)) };
+    });
+}
+
+/**
+ * Compile the body of an entry (without a leading "!") into a matcher.
+ * @param {string} body
+ * @returns {{test: function(string, URL): boolean, host: string|null}|null} Matcher, with `host` set
+ *   for plain hostname entries (used for indexing), or null if the entry is invalid.
+ */
+function compileMatcher(body) {
+    if (!body) return null;
+    if (body === '*') return { test: () => true, host: null };
+
+    // Regular expression: /.../ or /.../i
+    const regexMatch = body.match(/^\/(.+)\/(i?)$/);
+    if (regexMatch) {
+        try {
+            const regex = new RegExp(regexMatch[1], regexMatch[2]);
+            return { test: (url) => regex.test(url), host: null };
+        } catch {
+            return null;
+        }
+    }
+
+    // Wildcards: tested against the full URL, and against the hostname for host-only patterns
+    if (body.includes('*')) {
+        const regex = new RegExp('^' + escapeRegexButPreserveWildcards(body) + '$');
+        const hostOnly = !body.includes('/');
+        return { test: (url, urlObj) => regex.test(url) || (hostOnly && regex.test(urlObj.hostname)), host: null };
+    }
+
+    // host[:port][/path][?query]
+    const match = body.match(/^([a-z0-9.-]+)(?::(\d{1,5}))?(\/[^?#]*)?(?:\?(.*))?$/i);
+    const host = match ? match[1].toLowerCase() : null;
+    if (!host || (host !== 'localhost' && !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host))) {
+        // Anything else that parses as a URL (e.g. https://example.com/page) must match exactly
+        try {
+            new URL(body);
+            return { test: (url) => url === body, host: null };
+        } catch {
+            return null;
+        }
+    }
+    const port = match[2] || null;
+    const path = match[3] && match[3] !== '/' ? match[3] : null;
+    const query = match[4] ? parseQueryConditions(match[4]) : [];
+
+    const hostMatches = (hostname) => hostname === host || hostname.endsWith('.' + host);
+    if (!port && !path && query.length === 0) {
+        return { test: (url, urlObj) => hostMatches(urlObj.hostname), host };
+    }
+
+    const pathPrefix = path && (path.endsWith('/') ? path : path + '/');
+    return {
+        test: (url, urlObj) => {
+            if (!hostMatches(urlObj.hostname)) return false;
+            if (port && (urlObj.port || DEFAULT_PORTS[urlObj.protocol]) !== port) return false;
+            if (path && urlObj.pathname !== path && !urlObj.pathname.startsWith(pathPrefix)) return false;
+            return query.every(({ key, value }) => value === null
+                ? urlObj.searchParams.has(key)
+                : urlObj.searchParams.getAll(key).includes(value));
+        },
+        host: null
+    };
+}
+
+/**
+ * Compile a single whitelist entry.
+ * @param {string} pattern - The entry as written by the user.
+ * @returns {{pattern: string, negated: boolean, test: function(string, URL): boolean, host: string|null}|null}
+ *   The compiled rule, or null if the entry is not valid rule syntax.
+ */
+export function compileWhitelistRule(pattern) {
+    const raw = String(pattern || '').trim();
+    if (!raw) return null;
+    const negated = raw.startsWith('!');
+    const matcher = compileMatcher(negated ? raw.slice(1).trim() : raw);
+    return matcher ? { pattern: raw, negated, ...matcher } : null;
+}
+
+/**
+ * Check whether an entry is valid whitelist rule syntax.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isValidWhitelistRule(pattern) {
+    return compileWhitelistRule(pattern) !== null;
+}
+
+/**
+ * Compile a whole whitelist. Plain hostname entries are indexed by host so a lookup costs
+ * one map probe per hostname label instead of a pass over every entry.
+ * Invalid entries are ignored.
+ * @template {string|{pattern: string}} T
+ * @param {T[]} items - Patterns, or whitelist entries carrying a `pattern`.
+ * @returns {{hostIndex: Map<string, {item: T, order: number}>, rules: Array<object>, exceptions: Array<object>}}
+ */
+export function compileWhitelist(items) {
+    const hostIndex = new Map();
+    const rules = [];
+    const exceptions = [];
+    (Array.isArray(items) ? items : []).forEach((item, order) => {
+        const rule = compileWhitelistRule(typeof item === 'string' ? item : item?.pattern);
+        if (!rule) return;
+        if (rule.negated) {
+            exceptions.push(rule);
+        } else if (rule.host) {
+            if (!hostIndex.has(rule.host)) hostIndex.set(rule.host, { item, order });
+        } else {
+            rules.push({ ...rule, item, order });
+        }
+    });
+    return { hostIndex, rules, exceptions };
+}
+
+/**
+ * Match a URL against a compiled whitelist.
+ * @template T
+ * @param {{hostIndex: Map<string, {item: T, order: number}>, rules: Array<object>, exceptions: Array<object>}} compiled
+ * @param {string} url
+ * @returns {T|null} The earliest matching item (as passed to compileWhitelist), or null if none
+ *   matches or an exception applies.
+ */
+export function matchCompiledWhitelist(compiled, url) {
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch {
+        return null;
+    }
+    if (compiled.exceptions.some(rule => rule.test(url, urlObj))) return null;
+
+    // Walk the hostname's suffixes (a.b.example.com, b.example.com, example.com, com)
+    let best = null;
+    const labels = urlObj.hostname.split('.');
+    for (let i = 0; i < labels.length; i++) {
+        const hit = compiled.hostIndex.get(labels.slice(i).join('.'));
+        if (hit && (!best || hit.order < best.order)) best = hit;
+    }
+
+    for (const rule of compiled.rules) {
+        if (best && rule.order > best.order) break;
+        if (rule.test(url, urlObj)) return rule.item;
+    }
+    return best ? best.item : null;
+}
+
+/**
+ * Find the first item of a list whose pattern matches a URL, using the whitelist syntax. Lets other
+ * pattern lists (per-site delays, schedule exemptions) match exactly like the whitelist does.
+ * Each array is compiled once.
+ * @template {string|{pattern: string}} T
+ * @param {T[]} items - Patterns, or objects carrying a `pattern`.
+ * @param {string} url
+ * @returns {T|null}
+ */
+export function findMatchingItem(items, url) {
+    if (!Array.isArray(items) || items.length === 0) return null;
+    let compiled = compiledListCache.get(items);
+    if (!compiled) {
+        compiled = compileWhitelist(items);
+        compiledListCache.set(items, compiled);
+    }
+    return matchCompiledWhitelist(compiled, url);
+}
@@ -4,13 +4,96 @@
  */
 
 import * as Const from './constants.js';
+import { isValidWhitelistRule } from './whitelist-rules.js';
+
+export const WHITELIST_ACTIONS = ['never', 'delay', 'always'];
+
+/**
+ * Create a whitelist entry with default options.
+ * @param {string} pattern - URL, domain or whitelist rule.
+ * @param {Partial<import('./types.js').WhitelistEntry>} [options]
+ * @returns {import('./types.js').WhitelistEntry}
+ */
+export function createWhitelistEntry(pattern, options = {}) {
+    return {
+        pattern: String(pattern).trim(),
+        comment: '',
+        expiresAt: null,
+        enabled: true,
+        action: 'never',
+        delayMinutes: null,
+        ...options
+    };
+}
+
+/**
+ * Check whether a value is a structurally valid whitelist entry.
+ * @param {any} entry
+ * @returns {boolean}
+ */
+export function isValidWhitelistEntry(entry) {
+    if (!entry || typeof entry !== 'object') return false;
+    if (typeof entry.pattern !== 'string' || !isValidPattern(entry.pattern)) return false;
+    if (typeof entry.comment !== 'string' || typeof entry.enabled !== 'boolean') return false;
+    if (entry.expiresAt !== null && (typeof entry.expiresAt !== 'number' || !Number.isFinite(entry.expiresAt))) return false;
+    if (!WHITELIST_ACTIONS.includes(entry.action)) return false;
+    if (entry.action === 'delay' && (typeof entry.delayMinutes !== 'number' || !Number.isFinite(entry.delayMinutes) || entry.delayMinutes < 1)) return false;
+    return true;
+}
+
+/**
+ * Convert a stored whitelist to the entry schema. Plain string entries (the old format)
+ * become enabled "never suspend" entries; invalid items are dropped.
+ * @param {Array<string|object>} items
+ * @returns {import('./types.js').WhitelistEntry[]}
+ */
+export function migrateWhitelist(items) {
+    if (!Array.isArray(items)) return [];
+    return items
+        .map(item => {
+            if (typeof item === 'string') return createWhitelistEntry(item);
+            if (!item || typeof item !== 'object') return null;
+            return createWhitelistEntry(String(item.pattern || ''), {
+                comment: String(item.comment || ''),
+                expiresAt: item.expiresAt ?? null,
+                enabled: item.enabled !== false,
+                action: item.action || 'never',
+                delayMinutes: item.delayMinutes ?? null
+            });
+        })
+        .filter(isValidWhitelistEntry);
+}
+
+/**
+ * Check whether an entry currently applies (enabled and not expired).
+ * @param {import('./types.js').WhitelistEntry} entry
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function isWhitelistEntryActive(entry, now = Date.now()) {
+    return entry.enabled && (entry.expiresAt === null || entry.expiresAt > now);
+}
+
+/**
+ * Find when the next enabled entry runs out, so tabs it protects can be scheduled again right then.
+ * @param {import('./types.js').WhitelistEntry[]} whitelistArr
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Earliest future expiry time in ms, or null if no entry will expire.
+ */
+export function getNextWhitelistExpiry(whitelistArr, now = Date.now()) {
+    const times = (whitelistArr || [])
+        .filter(entry => isWhitelistEntryActive(entry, now) && entry.expiresAt !== null)
+        .map(entry => entry.expiresAt);
+    return times.length > 0 ? Math.min(...times) : null;
+}
 
 /**
- * Parse a whitelist string (textarea value) into a clean array of entries.
+ * Parse a whitelist string (textarea value) into whitelist entries.
+ * Accepts the plain one-entry-per-line form; text after " # " on a line becomes the entry's comment.
  * Sanitizes input: removes entries with dangerous characters (<, >, ", ', `, ;, etc).
- * Only allows valid domain names or URLs.
+ * Only allows valid domain names, URLs or whitelist rules (see whitelist-rules.js).
  * @param {string} text - Multiline string from textarea.
- * @returns {string[]} Array of trimmed, non-empty, sanitized entries.
+ * @returns {import('./types.js').WhitelistEntry[]} Array of "never suspend" entries.
  */
 export function parseWhitelistText(text) {
     const dangerousPattern = /[<>"'`;]/;
@@ -18,8 +101,35 @@ export function parseWhitelistText(text) {
         .split('\n')
         .map(s => s.trim())
         .filter(Boolean)
-        .filter(entry => !dangerousPattern.test(entry))
-        .filter(entry => isValidDomain(entry) || isValidUrl(entry));
+        .filter(line => !dangerousPattern.test(line))
+        .map(line => {
+            const commentStart = line.search(/\s#\s?/);
+            return commentStart === -1
+                ? createWhitelistEntry(line)
+                : createWhitelistEntry(line.slice(0, commentStart), { comment: line.slice(commentStart).replace(/^\s#\s?/, '').trim() });
+        })
+        .filter(entry => isValidPattern(entry.pattern));
+}
+
+/**
+ * Parse a plain pattern list (one URL, domain or rule per line), as used by the always-suspend list.
+ * Lines with dangerous characters or invalid patterns are dropped, as are duplicates.
+ * @param {string} text - Multiline string from textarea.
+ * @returns {string[]} Patterns in the order given.
+ */
+export function parsePatternListText(text) {
+    const patterns = String(text || '').split('\n').map(s => s.trim()).filter(isValidPattern);
+    return [...new Set(patterns)];
+}
+
+/**
+ * Check whether a string is a valid URL, domain or whitelist rule pattern.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isValidPattern(pattern) {
+    if (typeof pattern !== 'string' || pattern === '' || /[<>"'`;]/.test(pattern)) return false;
+    return isValidDomain(pattern) || isValidUrl(pattern) || isValidWhitelistRule(pattern);
 }
 
 // Helper: validate domain
@@ -33,34 +143,39 @@ function isValidUrl(url) {
 }
 
 /**
- * Add an entry (URL or domain) to a whitelist array if not already present.
- * @param {string[]} whitelistArr - Current whitelist array.
- * @param {string} entry - Entry to add.
- * @returns {string[]} New whitelist array with entry added if not present.
+ * Add a "never suspend" entry for a URL or domain if no entry with that pattern exists.
+ * @param {import('./types.js').WhitelistEntry[]} whitelistArr - Current whitelist entries.
+ * @param {string} pattern - URL or domain to add.
+ * @returns {import('./types.js').WhitelistEntry[]} New whitelist array with the entry added if not present.
  */
-export function addToWhitelist(whitelistArr, entry) {
-    if (!entry || whitelistArr.includes(entry)) return whitelistArr.slice();
-    return [...whitelistArr, entry];
+export function addToWhitelist(whitelistArr, pattern) {
+    if (!pattern || isWhitelisted(whitelistArr, pattern)) return whitelistArr.slice();
+    return [...whitelistArr, createWhitelistEntry(pattern)];
 }
 
 /**
- * Remove an entry (URL or domain) from a whitelist array.
- * @param {string[]} whitelistArr - Current whitelist array.
- * @param {string} entry - Entry to remove.
- * @returns {string[]} New whitelist array with entry removed.
+ * Remove the entry with the given pattern from a whitelist array.
+ * @param {import('./types.js').WhitelistEntry[]} whitelistArr - Current whitelist entries.
+ * @param {string} pattern - URL or domain to remove.
+ * @returns {import('./types.js').WhitelistEntry[]} New whitelist array with the entry removed.
  */
-export function removeFromWhitelist(whitelistArr, entry) {
-    return whitelistArr.filter(item => item !== entry);
+export function removeFromWhitelist(whitelistArr, pattern) {
+    return whitelistArr.filter(item => entryPattern(item) !== pattern);
 }
 
 /**
- * Check if an entry (URL or domain) is in the whitelist array.
- * @param {string[]} whitelistArr - Current whitelist array.
- * @param {string} entry - Entry to check.
- * @returns {boolean} True if entry is present.
+ * Check if the whitelist has an entry with the given pattern.
+ * @param {import('./types.js').WhitelistEntry[]} whitelistArr - Current whitelist entries.
+ * @param {string} pattern - URL or domain to check.
+ * @returns {boolean} True if an entry with this pattern is present.
  */
-export function isWhitelisted(whitelistArr, entry) {
-    return whitelistArr.includes(entry);
+export function isWhitelisted(whitelistArr, pattern) {
+    return whitelistArr.some(item => entryPattern(item) === pattern);
+}
+
+// Helper: pattern of an entry, tolerating old string entries
+function entryPattern(item) {
+    return typeof item === 'string' ? item : item?.pattern;
 }
 
 /**
@@ -0,0 +1,138 @@
+// form-preserve.js - Saves unsaved form contents before suspension and puts them back on unsuspend
+import * as Logger from '../common/logger.js';
+import * as RestoreData from './restore-data.js';
+
+// Kind of the form contents saved per tab in restore-data.js
+const FORM_DATA_KIND = 'form';
+
+/**
+ * @typedef {Object} FormFieldSnapshot
+ * @property {string} id - Element id, or ''
+ * @property {string} name - Element name, or ''
+ * @property {number} nameIndex - Position among fields with the same name
+ * @property {number} index - Position among all fields in the frame
+ * @property {string} type - Input type, or 'textarea' / 'select'
+ * @property {string} [value] - Text-like fields
+ * @property {boolean} [checked] - Checkboxes and radio buttons
+ * @property {string[]} [selected] - Values of the selected options of a select
+ */
+
+/**
+ * Collect the dirty fields of the current frame. Runs in the page via chrome.scripting.
+ * Passwords and file inputs are never saved.
+ * @returns {{frameUrl: string, fields: FormFieldSnapshot[]}|null}
+ */
+function collectDirtyFields() {
+    const skippedTypes = ['hidden', 'button', 'submit', 'reset', 'image', 'file', 'password'];
+    const nameCounts = new Map();
+    const fields = [];
+    document.querySelectorAll('input, textarea, select').forEach((el, index) => {
+        const name = el.name || '';
+        const nameIndex = nameCounts.get(name) || 0;
+        nameCounts.set(name, nameIndex + 1);
+
+        const type = el.tagName === 'INPUT' ? (el.type || 'text') : el.tagName.toLowerCase();
+        if (el.disabled || el.readOnly || skippedTypes.includes(type)) return;
+        const key = { id: el.id || '', name, nameIndex, index, type };
+
+        if (type === 'checkbox' || type === 'radio') {
+            if (el.checked !== el.defaultChecked) fields.push({ ...key, checked: el.checked });
+        } else if (type === 'select') {
+            const options = Array.from(el.options);
+            // A single select without a default-selected option starts on its first option
+            const dirty = el.multiple
+                ? options.some(o => o.selected !== o.defaultSelected)
+                : el.selectedIndex !== Math.max(0, options.findLastIndex(o => o.defaultSelected));
+            if (dirty) fields.push({ ...key, selected: options.filter(o => o.selected).map(o => o.value) });
+        } else if (el.value !== el.defaultValue) {
+            fields.push({ ...key, value: el.value });
+        }
+    });
+    return fields.length > 0 ? { frameUrl: location.href, fields } : null;
+}
+
+/**
+ * Put saved field values back into the current frame. Runs in the page via chrome.scripting.
+ * Fields are found by id, then by name and position, then by overall position, and are only
+ * filled if their type still matches. Input and change events are fired so page scripts notice.
+ * @param {Array<{frameUrl: string, fields: FormFieldSnapshot[]}>} frames
+ * @returns {number} Number of fields restored in this frame
+ */
+function fillSavedFields(frames) {
+    const snapshot = frames.find(frame => frame.frameUrl === location.href);
+    if (!snapshot) return 0;
+
+    const all = Array.from(document.querySelectorAll('input, textarea, select'));
+    let restored = 0;
+    for (const field of snapshot.fields) {
+        let el = field.id ? document.getElementById(field.id) : null;
+        if (!el || !all.includes(el)) {
+            el = field.name ? all.filter(e => (e.name || '') === field.name)[field.nameIndex] : all[field.index];
+        }
+        if (!el) continue;
+        const type = el.tagName === 'INPUT' ? (el.type || 'text') : el.tagName.toLowerCase();
+        if (type !== field.type || el.disabled || el.readOnly) continue;
+
+        if (field.checked !== undefined) {
+            el.checked = field.checked;
+        } else if (field.selected !== undefined) {
+            for (const option of el.options) option.selected = field.selected.includes(option.value);
+        } else {
+            el.value = field.value;
+        }
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        restored++;
+    }
+    return restored;
+}
+
+/**
+ * Save the unsaved form contents of every frame of a tab, for the page the tab shows.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<number>} Number of fields saved (0 if nothing could be saved)
+ */
+export async function saveFormData(tab) {
+    try {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tab.id, allFrames: true },
+            func: collectDirtyFields
+        });
+        const frames = results.map(r => r?.result).filter(Boolean);
+        const fieldCount = frames.reduce((sum, frame) => sum + frame.fields.length, 0);
+        if (fieldCount === 0) return 0;
+
+        await RestoreData.saveTabData(tab.id, FORM_DATA_KIND, tab.url, frames);
+        Logger.log(`saveFormData: Saved ${fieldCount} fields in ${frames.length} frames of tab ${tab.id}`);
+        return fieldCount;
+    } catch (e) {
+        Logger.detailedLog(`saveFormData: Could not save form data of tab ${tab.id}: ${e.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Fill in the form contents saved for a tab once it has finished loading its original page again.
+ * The saved contents are used up, whether or not every field could be filled.
+ * @param {chrome.tabs.Tab} tab
+ * @param {{url: string}} pending - The tab's pending restore (see RestoreData.takePendingRestore)
+ * @returns {Promise<void>}
+ */
+export async function applyFormRestore(tab, pending) {
+    if (tab.url !== pending.url) return;
+
+    try {
+        const frames = await RestoreData.takeTabData(tab.id, FORM_DATA_KIND, tab.url);
+        if (!frames) return;
+
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tab.id, allFrames: true },
+            args: [frames],
+            func: fillSavedFields
+        });
+        const restored = results.reduce((sum, r) => sum + (r?.result || 0), 0);
+        Logger.log(`applyFormRestore: Restored ${restored} form fields in tab ${tab.id}`);
+    } catch (e) {
+        Logger.detailedLog(`applyFormRestore: Could not restore form data of tab ${tab.id}: ${e.message}`);
+    }
+}
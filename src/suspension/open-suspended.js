@@ -0,0 +1,145 @@
+// open-suspended.js - Opens links as new tabs that start out suspended
+import * as Logger from '../common/logger.js';
+import * as UrlBuilder from '../common/url-builder.js';
+
+// Upper bound for one bulk request, so a huge selection cannot flood the tab strip
+export const MAX_LINKS_PER_REQUEST = 100;
+
+/**
+ * @typedef {Object} LinkToOpen
+ * @property {string} url - Link target
+ * @property {string} [title] - Link text, shown as the suspended page title
+ */
+
+/**
+ * Collect the web links inside the current selection of the frame. Runs in the page via chrome.scripting.
+ * @returns {LinkToOpen[]}
+ */
+function collectSelectedLinks() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed) return [];
+    const links = [];
+    for (const a of document.querySelectorAll('a[href]')) {
+        if (/^https?:/i.test(a.href) && selection.containsNode(a, true)) {
+            links.push({ url: a.href, title: (a.innerText || a.title || '').trim() });
+        }
+    }
+    return links;
+}
+
+/**
+ * Find the text of the first link to a URL in the current frame. Runs in the page via chrome.scripting.
+ * @param {string} url
+ * @returns {string}
+ */
+function findLinkText(url) {
+    const link = Array.from(document.querySelectorAll('a[href]')).find(a => a.href === url);
+    return link ? (link.innerText || link.title || '').trim() : '';
+}
+
+/**
+ * Keep the web links of a list, in order and without duplicates, up to MAX_LINKS_PER_REQUEST.
+ * @param {Array<LinkToOpen>} links
+ * @returns {LinkToOpen[]}
+ */
+export function filterLinksToOpen(links) {
+    const seen = new Set();
+    const result = [];
+    for (const link of Array.isArray(links) ? links : []) {
+        if (!link || typeof link.url !== 'string' || !/^https?:\/\//i.test(link.url) || seen.has(link.url)) continue;
+        seen.add(link.url);
+        result.push({ url: link.url, title: typeof link.title === 'string' ? link.title.trim().substring(0, 200) : '' });
+        if (result.length >= MAX_LINKS_PER_REQUEST) break;
+    }
+    return result;
+}
+
+/**
+ * Open links in new background tabs that point at the suspended page, so they are not loaded
+ * until each tab is first activated and restored. The tabs are placed after the opener tab,
+ * in the order given.
+ * @param {LinkToOpen[]} links
+ * @param {chrome.tabs.Tab} [openerTab] - Tab the links were opened from.
+ * @returns {Promise<number>} Number of tabs opened.
+ */
+export async function openLinksAsSuspended(links, openerTab) {
+    const toOpen = filterLinksToOpen(links);
+    const hasOpener = openerTab && openerTab.id != null && openerTab.id !== chrome.tabs.TAB_ID_NONE;
+    let opened = 0;
+
+    for (const link of toOpen) {
+        try {
+            const createProperties = {
+                url: UrlBuilder.buildSuspendedUrl({ url: link.url, title: link.title || link.url }),
+                active: false
+            };
+            if (hasOpener) {
+                createProperties.windowId = openerTab.windowId;
+                createProperties.index = openerTab.index + 1 + opened;
+                createProperties.openerTabId = openerTab.id;
+            }
+            await chrome.tabs.create(createProperties);
+            opened++;
+        } catch (e) {
+            Logger.logError(`openLinksAsSuspended: Failed to open ${link.url.substring(0, 50)}`, e);
+        }
+    }
+
+    Logger.log(`openLinksAsSuspended: Opened ${opened} of ${toOpen.length} links as suspended tabs`);
+    return opened;
+}
+
+/**
+ * Open a single link as a suspended tab.
+ * @param {string} url - Link to open; only http(s) links are opened.
+ * @param {string} [title] - Title shown on the suspended page, e.g. the link text.
+ * @param {chrome.tabs.Tab} [openerTab] - Tab the link was opened from; the new tab is placed after it.
+ * @returns {Promise<boolean>} True if the tab was opened.
+ */
+export async function openLinkAsSuspended(url, title, openerTab) {
+    return (await openLinksAsSuspended([{ url, title }], openerTab)) > 0;
+}
+
+/**
+ * Look up the text of a link in a frame of a tab, for use as the title of its suspended tab.
+ * @param {number} tabId
+ * @param {number} frameId
+ * @param {string} url - Link target
+ * @returns {Promise<string>} The link text, or '' if it could not be found.
+ */
+export async function getLinkText(tabId, frameId, url) {
+    try {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId, frameIds: [frameId || 0] },
+            args: [url],
+            func: findLinkText
+        });
+        return injection?.result || '';
+    } catch (e) {
+        Logger.detailedLog(`getLinkText: Could not read link text in tab ${tabId}: ${e.message}`);
+        return '';
+    }
+}
+
+/**
+ * Open every link inside the selection of a tab (in any frame) as suspended tabs.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<number>} Number of tabs opened.
+ */
+export async function openSelectedLinksAsSuspended(tab) {
+    try {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tab.id, allFrames: true },
+            func: collectSelectedLinks
+        });
+        const links = results.flatMap(r => r?.result || []);
+        if (links.length === 0) {
+            Logger.log(`openSelectedLinksAsSuspended: No links selected in tab ${tab.id}`);
+            return 0;
+        }
+        return await openLinksAsSuspended(links, tab);
+    } catch (e) {
+        Logger.detailedLog(`openSelectedLinksAsSuspended: Could not read the selection of tab ${tab.id}: ${e.message}`);
+        return 0;
+    }
+}
@@ -0,0 +1,122 @@
+// restore-data.js - Per-tab data carried through suspension, and restores waiting for a tab to load its original page again
+import * as Logger from '../common/logger.js';
+import * as SuspensionUtils from './suspension-utils.js';
+
+// chrome.storage.session keys are this prefix plus "<kind>_<tabId>"; cleared when the browser restarts
+const TAB_DATA_KEY_PREFIX = 'TS_tab_restore_data_v1_';
+// Data of tabs the extension did not see closing (e.g. while the service worker was stopped) is dropped after this long
+const TAB_DATA_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// A restore that has not completed within this time (e.g. the page never finished loading) is dropped
+const PENDING_RESTORE_TTL_MS = 60000;
+
+const pendingRestores = new Map(); // tabId -> { url, scroll, expiresAt }
+
+// Helper: storage key of one kind of data saved for a tab
+function getTabDataKey(kind, tabId) {
+    return `${TAB_DATA_KEY_PREFIX}${kind}_${tabId}`;
+}
+
+// Helper: all stored keys of a tab
+async function findTabDataKeys(tabId) {
+    const all = await chrome.storage.session.get(null);
+    return Object.keys(all).filter(key => key.startsWith(TAB_DATA_KEY_PREFIX) && key.endsWith(`_${tabId}`));
+}
+
+/**
+ * Save data for a tab that is about to be suspended, replacing earlier data of the same kind.
+ * Each tab and kind has its own storage key, so saves for different tabs never overwrite each other.
+ * @param {number} tabId
+ * @param {string} kind - What the data is, e.g. 'form' or 'scroll'
+ * @param {string} url - Page the data belongs to; it is only handed back for this URL
+ * @param {*} data
+ * @returns {Promise<void>}
+ */
+export async function saveTabData(tabId, kind, url, data) {
+    const cutoff = Date.now() - TAB_DATA_MAX_AGE_MS;
+    const all = await chrome.storage.session.get(null);
+    const stale = Object.keys(all).filter(key => key.startsWith(TAB_DATA_KEY_PREFIX) && !(all[key]?.savedAt >= cutoff));
+    if (stale.length > 0) await chrome.storage.session.remove(stale);
+    await chrome.storage.session.set({ [getTabDataKey(kind, tabId)]: { url, savedAt: Date.now(), data } });
+}
+
+/**
+ * Read and delete the data saved for a tab, if it belongs to the given page.
+ * @param {number} tabId
+ * @param {string} kind
+ * @param {string} url - Page the tab has loaded; compared without the fragment when ignoreHash is set
+ * @param {boolean} [ignoreHash=false]
+ * @returns {Promise<*|null>} The saved data, or null if there is none for this page
+ */
+export async function takeTabData(tabId, kind, url, ignoreHash = false) {
+    const key = getTabDataKey(kind, tabId);
+    const stored = (await chrome.storage.session.get(key))[key];
+    if (!stored) return null;
+    const samePage = ignoreHash ? stored.url.split('#')[0] === url.split('#')[0] : stored.url === url;
+    if (!samePage) return null;
+    await chrome.storage.session.remove(key);
+    return stored.data;
+}
+
+/**
+ * Move all data saved for a tab to another tab, e.g. to the placeholder that replaces it in the
+ * close & reopen method.
+ * @param {number} fromTabId
+ * @param {number} toTabId
+ * @returns {Promise<void>}
+ */
+export async function moveTabData(fromTabId, toTabId) {
+    try {
+        const keys = await findTabDataKeys(fromTabId);
+        if (keys.length === 0) return;
+        const stored = await chrome.storage.session.get(keys);
+        const moved = {};
+        for (const key of keys) {
+            moved[key.slice(0, -String(fromTabId).length) + toTabId] = stored[key];
+        }
+        await chrome.storage.session.set(moved);
+        await chrome.storage.session.remove(keys);
+    } catch (e) {
+        Logger.detailedLog(`moveTabData: Could not move saved data of tab ${fromTabId} to tab ${toTabId}: ${e.message}`);
+    }
+}
+
+/**
+ * Remember that a suspended tab is being restored, so its saved data is applied once the
+ * original page has loaded.
+ * @param {number} tabId
+ * @param {string} suspendedUrl - URL of the suspended page being restored
+ */
+export function rememberPendingRestore(tabId, suspendedUrl) {
+    const data = SuspensionUtils.getOriginalDataFromUrl(suspendedUrl);
+    if (!data?.url) return;
+    pendingRestores.set(tabId, { url: data.url, scroll: data.scroll || null, expiresAt: Date.now() + PENDING_RESTORE_TTL_MS });
+}
+
+/**
+ * Take the pending restore of a tab that has finished loading. It is consumed by the first
+ * completed load of anything other than the suspended page, whatever page that is.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {{url: string, scroll: import('../common/types.js').ScrollPosition|null}|null} Null if there is
+ *   none or it has expired
+ */
+export function takePendingRestore(tab) {
+    const pending = pendingRestores.get(tab.id);
+    if (!pending || !tab.url || SuspensionUtils.isSuspendedPageUrl(tab.url)) return null;
+    pendingRestores.delete(tab.id);
+    return pending.expiresAt < Date.now() ? null : pending;
+}
+
+/**
+ * Drop everything kept for a tab that was closed.
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+export async function forgetTab(tabId) {
+    pendingRestores.delete(tabId);
+    try {
+        const keys = await findTabDataKeys(tabId);
+        if (keys.length > 0) await chrome.storage.session.remove(keys);
+    } catch (e) {
+        Logger.detailedLog(`forgetTab: Could not remove saved data of tab ${tabId}: ${e.message}`);
+    }
+}
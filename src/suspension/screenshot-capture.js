@@ -0,0 +1,100 @@
+// screenshot-capture.js - Captures page preview thumbnails for the suspended page
+import * as Logger from '../common/logger.js';
+import * as Prefs from '../common/prefs.js';
+import * as TabClassifier from '../common/tab-classifier.js';
+import * as ScreenshotStore from '../common/screenshot-store.js';
+
+const THUMBNAIL_MAX_WIDTH = 800;
+// chrome.tabs.captureVisibleTab allows at most 2 calls per second
+const MIN_CAPTURE_INTERVAL_MS = 600;
+// Give a newly shown page time to render before capturing it
+const ACTIVE_TAB_CAPTURE_DELAY_MS = 1500;
+
+let lastCaptureAt = 0;
+const pendingCaptures = new Map(); // windowId -> timeout ID
+
+/**
+ * Decode a data URL into a Blob without fetch (extension CSP only allows connect-src 'self').
+ * @param {string} dataUrl
+ * @returns {Blob}
+ */
+function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const type = header.match(/^data:([^;]+)/)?.[1] || 'image/jpeg';
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+}
+
+/**
+ * Downscale a captured image into a compressed JPEG thumbnail.
+ * @param {Blob} source
+ * @param {number} quality - JPEG quality, 10-100
+ * @returns {Promise<Blob>}
+ */
+async function createThumbnail(source, quality) {
+    const bitmap = await createImageBitmap(source);
+    try {
+        const scale = Math.min(1, THUMBNAIL_MAX_WIDTH / bitmap.width);
+        const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        return await canvas.convertToBlob({ type: 'image/jpeg', quality: quality / 100 });
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Capture the visible viewport of a tab and store it as the preview for its URL.
+ * Only the active tab of a window can be captured; other tabs keep their last capture.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<boolean>} Whether a thumbnail was stored
+ */
+export async function captureTabScreenshot(tab) {
+    if (!Prefs.prefs.screenshotsEnabled || !tab || !tab.active || !TabClassifier.isAllowedProtocol(tab.url)) {
+        return false;
+    }
+    try {
+        const wait = lastCaptureAt + MIN_CAPTURE_INTERVAL_MS - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        lastCaptureAt = Date.now();
+
+        // The tab may have been switched away from or navigated while waiting
+        const current = await chrome.tabs.get(tab.id);
+        if (!current.active || current.url !== tab.url || current.status !== 'complete') return false;
+
+        const quality = Prefs.prefs.screenshotQuality;
+        const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality });
+        const thumbnail = await createThumbnail(dataUrlToBlob(dataUrl), quality);
+        await ScreenshotStore.saveScreenshot(tab.url, thumbnail);
+
+        const removed = await ScreenshotStore.evictToLimit(Prefs.prefs.screenshotMaxStorageMB * 1024 * 1024);
+        Logger.detailedLog(`Captured preview for tab ${tab.id} (${Math.round(thumbnail.size / 1024)} KB)${removed > 0 ? `, evicted ${removed} old previews` : ''}`, Logger.LogComponent.SUSPENSION);
+        return true;
+    } catch (e) {
+        // Minimised windows, protected pages and missing permissions are expected failures
+        Logger.detailedLog(`Could not capture preview for tab ${tab.id}: ${e.message}`, Logger.LogComponent.SUSPENSION);
+        return false;
+    }
+}
+
+/**
+ * Capture the active tab of a window shortly after it is shown, so background tabs
+ * already have a recent preview by the time they are suspended.
+ * Repeated calls for the same window are collapsed into one capture.
+ * @param {number} windowId
+ */
+export function scheduleActiveTabCapture(windowId) {
+    if (!Prefs.prefs.screenshotsEnabled) return;
+    clearTimeout(pendingCaptures.get(windowId));
+    pendingCaptures.set(windowId, setTimeout(async () => {
+        pendingCaptures.delete(windowId);
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, windowId });
+            if (tab) await captureTabScreenshot(tab);
+        } catch (e) {
+            Logger.detailedLog(`Active tab capture for window ${windowId} failed: ${e.message}`, Logger.LogComponent.SUSPENSION);
+        }
+    }, ACTIVE_TAB_CAPTURE_DELAY_MS));
+}
@@ -0,0 +1,103 @@
+// scroll-position.js - Carries a page's scroll position through suspension and back
+import * as Logger from '../common/logger.js';
+
+import * as RestoreData from './restore-data.js';
+
+const ANCHOR_MAX_LENGTH = 80;
+// Kind of the anchor text saved per tab in restore-data.js
+const SCROLL_DATA_KIND = 'scroll';
+
+/**
+ * Read the scroll position of a tab's main frame, plus a short snippet of the text at the
+ * top of the viewport that can be searched for if the layout has changed by restore time.
+ * The snippet is page content, so it is kept in session storage for the tab rather than in the
+ * suspended page URL (which ends up in the browser history).
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<import('../common/types.js').ScrollPosition|null>} Null if the page is not scrolled or cannot be scripted
+ */
+export async function captureScrollPosition(tab) {
+    const tabId = tab.id;
+    try {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId },
+            args: [ANCHOR_MAX_LENGTH],
+            func: (maxLength) => {
+                const x = Math.round(window.scrollX);
+                const y = Math.round(window.scrollY);
+                if (x === 0 && y === 0) return null;
+
+                let anchor = '';
+                let anchorOffset = 0;
+                const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+                while (walker.nextNode()) {
+                    const text = walker.currentNode.textContent.replace(/\s+/g, ' ').trim();
+                    if (text.length < 20) continue;
+                    const range = document.createRange();
+                    range.selectNodeContents(walker.currentNode);
+                    const rect = range.getBoundingClientRect();
+                    if (rect.height > 0 && rect.top >= 0 && rect.top < window.innerHeight / 2) {
+                        anchor = text.slice(0, maxLength);
+                        anchorOffset = Math.round(rect.top);
+                        break;
+                    }
+                }
+                return { x, y, anchor, anchorOffset };
+            }
+        });
+        const position = injection?.result || null;
+        if (position?.anchor) {
+            await RestoreData.saveTabData(tabId, SCROLL_DATA_KIND, tab.url, { anchor: position.anchor, anchorOffset: position.anchorOffset });
+        }
+        return position;
+    } catch (e) {
+        Logger.detailedLog(`captureScrollPosition: Could not read scroll position of tab ${tabId}: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Scroll a tab that has finished loading its original page again back to where it was.
+ * Only applied if the tab loaded the original page (ignoring the fragment) and the user has not already scrolled.
+ * @param {chrome.tabs.Tab} tab
+ * @param {{url: string, scroll: import('../common/types.js').ScrollPosition|null}} pending - The tab's pending
+ *   restore (see RestoreData.takePendingRestore)
+ * @returns {Promise<void>}
+ */
+export async function applyScrollRestore(tab, pending) {
+    if (!pending.scroll || tab.url.split('#')[0] !== pending.url.split('#')[0]) return;
+    // Suspended page URLs from older versions still carry the anchor themselves
+    const savedAnchor = await RestoreData.takeTabData(tab.id, SCROLL_DATA_KIND, tab.url, true);
+    const scroll = savedAnchor ? { ...pending.scroll, ...savedAnchor } : pending.scroll;
+
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            args: [scroll],
+            func: ({ x, y, anchor, anchorOffset }) => {
+                if (window.scrollX !== 0 || window.scrollY !== 0) return;
+
+                // Prefer the occurrence of the anchor text closest to the saved offset, as late-loading
+                // content may have moved it; fall back to the raw coordinates
+                let target = null;
+                if (anchor) {
+                    let bestDistance = Infinity;
+                    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+                    while (walker.nextNode()) {
+                        if (!walker.currentNode.textContent.replace(/\s+/g, ' ').includes(anchor)) continue;
+                        const range = document.createRange();
+                        range.selectNodeContents(walker.currentNode);
+                        const top = range.getBoundingClientRect().top + window.scrollY - anchorOffset;
+                        if (Math.abs(top - y) < bestDistance) {
+                            bestDistance = Math.abs(top - y);
+                            target = top;
+                        }
+                    }
+                }
+                window.scrollTo(x, target === null ? y : Math.max(0, target));
+            }
+        });
+        Logger.detailedLog(`Restored scroll position of tab ${tab.id} to ${scroll.x},${scroll.y}`);
+    } catch (e) {
+        Logger.detailedLog(`applyScrollRestore: Could not restore scroll position of tab ${tab.id}: ${e.message}`);
+    }
+}
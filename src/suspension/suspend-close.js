@@ -2,14 +2,17 @@
 import * as Logger from '../common/logger.js'; // Import shared logger with error handling
 import * as UrlBuilder from '../common/url-builder.js';
 
+import * as RestoreData from './restore-data.js';
+
 /**
  * Suspends a tab using the close & reopen method.
  * Creates a new placeholder tab and then removes the original tab.
  * Assumes that original tab data has ALREADY been saved to State by the caller (e.g., suspension.js).
  * @param {chrome.tabs.Tab} tab - The tab to suspend.
+ * @param {import('../common/types.js').ScrollPosition|null} [scrollPosition=null] - Scroll position captured before closing.
  * @returns {Promise<boolean>} Success status.
  */
-export async function suspendClose(tab) {
+export async function suspendClose(tab, scrollPosition = null) {
     const context = `suspendClose(${tab?.id})`;
 
     if (!tab || !tab.id) {
@@ -20,7 +23,7 @@ export async function suspendClose(tab) {
 
     Logger.log(`${context}: Using "close & reopen" method for tab ${tab.id} (${tab.url?.substring(0, 50)}...)`);
 
-    const suspendedPageUrl = UrlBuilder.buildSuspendedUrl(tab);
+    const suspendedPageUrl = UrlBuilder.buildSuspendedUrl(tab, scrollPosition);
     Logger.detailedLog(`${context}: Built suspended page URL: ${suspendedPageUrl}`);
 
     // Step 1: Create the placeholder tab first.
@@ -37,6 +40,8 @@ export async function suspendClose(tab) {
         throw new Error("Failed to create placeholder tab - chrome.tabs.create returned invalid tab object.");
     }
     Logger.detailedLog(`${context}: Placeholder tab ${newTab.id} created successfully at index ${newTab.index}.`);
+    // Saved form contents and scroll data follow the page to its placeholder
+    await RestoreData.moveTabData(tab.id, newTab.id);
 
     // Step 2: Remove the original tab *after* the new one is confirmed created.
     try {
@@ -48,6 +53,7 @@ export async function suspendClose(tab) {
         // we should cancel suspension and remove the placeholder
         if (removeError.message?.includes("Cannot close tab, user cancelled")) {
             Logger.log(`${context}: User cancelled tab closure due to unsaved changes. Removing placeholder.`);
+            await RestoreData.moveTabData(newTab.id, tab.id);
 
             try {
                 await chrome.tabs.remove(newTab.id);
@@ -59,6 +65,7 @@ export async function suspendClose(tab) {
         }
 
         Logger.logError(context, `Error removing original tab ${tab.id}: ${removeError.message}. Attempting to clean up placeholder ${newTab.id}.`);
+        await RestoreData.moveTabData(newTab.id, tab.id);
         // If removing the original tab fails for other reasons, we should try to clean up the placeholder
         try {
             await chrome.tabs.remove(newTab.id);
@@ -0,0 +1,86 @@
+// suspend-discard.js
+import * as Logger from '../common/logger.js';
+import * as ExistenceUtils from '../common/existence-utils.js';
+
+import * as SuspensionUtils from './suspension-utils.js';
+
+/**
+ * Pick the tab to show instead of a tab that is about to be discarded: the nearest tab that is not
+ * suspended (to the right when tied, as the browser does when a tab closes), so switching does not
+ * reload a suspended page; the nearest tab of any kind if all others are suspended.
+ * @param {chrome.tabs.Tab[]} windowTabs - Tabs of the tab's window.
+ * @param {chrome.tabs.Tab} tab - The tab being discarded.
+ * @returns {chrome.tabs.Tab|null} Null if the tab is alone in its window.
+ */
+export function pickNeighbourTab(windowTabs, tab) {
+    const byDistance = windowTabs
+        .filter(t => t.id !== tab.id)
+        .sort((a, b) => Math.abs(a.index - tab.index) - Math.abs(b.index - tab.index) || b.index - a.index);
+    return byDistance.find(t => !SuspensionUtils.isTabSuspended(t)) || byDistance[0] || null;
+}
+
+/**
+ * Switch the window of a tab to a neighbouring tab, so the browser lets the tab be discarded.
+ * @param {chrome.tabs.Tab} tab - The active tab.
+ * @returns {Promise<boolean>} False if there is no other tab to switch to.
+ */
+export async function activateNeighbourTab(tab) {
+    const context = `activateNeighbourTab(${tab?.id})`;
+    try {
+        const neighbour = pickNeighbourTab(await chrome.tabs.query({ windowId: tab.windowId }), tab);
+        if (!neighbour) return false;
+        await chrome.tabs.update(neighbour.id, { active: true });
+        Logger.detailedLog(`${context}: Switched to tab ${neighbour.id} so tab ${tab.id} can be discarded.`);
+        return true;
+    } catch (e) {
+        Logger.detailedLog(`${context}: Could not switch away from tab ${tab.id}: ${e.message}`);
+        return false;
+    }
+}
+
+/**
+ * Suspends a tab using the "Discard Only" method.
+ * The tab is only discarded from memory: it keeps its real URL, title and favicon in the tab strip,
+ * and the browser reloads it natively when it is focused again.
+ * @param {chrome.tabs.Tab} tab - The tab to suspend.
+ * @returns {Promise<boolean>} True if the tab was discarded.
+ */
+export async function suspendDiscard(tab) {
+    const context = `suspendDiscard(${tab?.id})`;
+
+    if (!tab || !tab.id) {
+        Logger.logError(context, "Invalid tab object passed");
+        return false;
+    }
+
+    if (tab.active) {
+        // The browser refuses to discard the tab that is being shown; see activateNeighbourTab
+        Logger.detailedLog(`${context}: Cannot discard the active tab of a window.`);
+        return false;
+    }
+
+    if (!await ExistenceUtils.tabExists(tab.id, `${context} (before discard)`)) {
+        Logger.detailedLog(`${context}: Tab ${tab.id} is already gone before discard.`);
+        return false;
+    }
+
+    try {
+        const discardedTab = await chrome.tabs.discard(tab.id);
+        if (!discardedTab) {
+            Logger.detailedLog(`${context}: Browser declined to discard tab ${tab.id}.`);
+            return false;
+        }
+        if (discardedTab.id !== tab.id) {
+            Logger.log(`${context}: Tab ID changed from ${tab.id} to ${discardedTab.id} after discard`);
+        }
+        Logger.log(`${context}: Discarded tab ${tab.id} (${tab.url?.substring(0, 50)}...)`);
+        return true;
+    } catch (discardError) {
+        if (discardError.message && discardError.message.includes("No tab with id")) {
+            Logger.detailedLog(`${context}: Tab ${tab.id} disappeared during discard attempt.`);
+        } else {
+            Logger.logError(context, `Error discarding tab ${tab.id}: ${discardError.message}`);
+        }
+        return false;
+    }
+}
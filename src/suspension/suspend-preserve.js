@@ -9,9 +9,10 @@ import * as ExistenceUtils from '../common/existence-utils.js';
  * then navigating it to the suspended.html placeholder page.
  * @param {chrome.tabs.Tab} originalTab - The full tab object to suspend.
  * @param {boolean} [hasUnsavedData=false] - Whether the tab has unsaved form data.
+ * @param {import('../common/types.js').ScrollPosition|null} [scrollPosition=null] - Scroll position captured before discarding.
  * @returns {Promise<boolean>} True if suspension was successful.
  */
-export async function suspendTabPreserveHistory(originalTab, hasUnsavedData = false) {
+export async function suspendTabPreserveHistory(originalTab, hasUnsavedData = false, scrollPosition = null) {
     const context = `suspendTabPreserveHistory(${originalTab.id})`;
     Logger.detailedLog(`${context}: Attempting to suspend with history preservation. Has unsaved data: ${hasUnsavedData}`);
 
@@ -55,7 +56,7 @@ export async function suspendTabPreserveHistory(originalTab, hasUnsavedData = fa
     }
 
     // Build the suspended page URL using the originalTab's information, as that's what the user expects to see
-    const suspendedPageUrl = UrlBuilder.buildSuspendedUrl(originalTab);
+    const suspendedPageUrl = UrlBuilder.buildSuspendedUrl(originalTab, scrollPosition);
     const shouldActivate = hasUnsavedData; // Only activate if prompting for unsaved data
 
     // Update the target tab (which might be the new tab from discard, or the original) with our suspended URL
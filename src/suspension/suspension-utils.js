@@ -1,10 +1,44 @@
 import * as Logger from '../common/logger.js';
+import * as Const from '../common/constants.js';
 
+/**
+ * Check whether a URL is the extension's suspended page.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isSuspendedPageUrl(url) {
+    return typeof url === 'string' && url.startsWith(chrome.runtime.getURL(Const.SUSPENDED_PAGE_PATH));
+}
+
+/**
+ * Check whether a tab counts as suspended: either showing the suspended page, or a web page the
+ * browser has discarded from memory (discard-only mode, or discarded by the browser itself).
+ * @param {chrome.tabs.Tab} tab
+ * @returns {boolean}
+ */
+export function isTabSuspended(tab) {
+    if (!tab) return false;
+    return isSuspendedPageUrl(tab.url) || (!!tab.discarded && /^https?:\/\//.test(tab.url || ''));
+}
+
+/**
+ * Parse the scroll parameter of a suspended page hash: "x,y", or "x,y,anchorOffset,anchor text" in
+ * URLs from older versions, which kept the anchor in the URL.
+ * @param {string|null} value
+ * @returns {import('../common/types.js').ScrollPosition|null}
+ */
+export function parseScrollParam(value) {
+    if (!value) return null;
+    const [x, y, anchorOffset, ...anchorParts] = value.split(',');
+    const position = { x: parseInt(x, 10), y: parseInt(y, 10), anchor: anchorParts.join(','), anchorOffset: parseInt(anchorOffset, 10) || 0 };
+    if (!Number.isFinite(position.x) || !Number.isFinite(position.y) || position.x < 0 || position.y < 0) return null;
+    return position;
+}
 
 /**
  * Utility to extract original tab data from suspended page URL
  * @param {string} suspendedUrl - The URL of the suspended page
- * @returns {Object|null} The original tab data or null
+ * @returns {{url: string, scroll?: import('../common/types.js').ScrollPosition}|null} The original tab data or null
  */
 export function getOriginalDataFromUrl(suspendedUrl) {
     try {
@@ -18,7 +52,8 @@ export function getOriginalDataFromUrl(suspendedUrl) {
             
             // Check if the URL is valid as-is (current format)
             if (url && /^https?:\/\//.test(url)) {
-                return { url };
+                const scroll = parseScrollParam(new URLSearchParams(hash.slice(0, urlMatch.index)).get('scroll'));
+                return scroll ? { url, scroll } : { url };
             }
             
             // Backward compatibility: try to decode URL-encoded URLs from old system
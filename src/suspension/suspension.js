@@ -6,10 +6,16 @@ import * as ExistenceUtils from '../common/existence-utils.js';
 import * as Const from '../common/constants.js'
 import * as FaviconUtils from '../common/favicon-utils.js';
 import * as State from '../common/state.js';
+import * as GlobalPause from '../common/global-pause.js';
 
 import * as SuspendClose from './suspend-close.js';
 import * as SuspendPreserve from './suspend-preserve.js';
+import * as SuspendDiscard from './suspend-discard.js';
 import * as SuspensionUtils from './suspension-utils.js';
+import * as ScreenshotCapture from './screenshot-capture.js';
+import * as ScrollPosition from './scroll-position.js';
+import * as FormPreserve from './form-preserve.js';
+import * as RestoreData from './restore-data.js';
 
 /**
  * Checks if a tab has unsaved form data in any frame (main frame or iframes).
@@ -62,6 +68,15 @@ async function checkForUnsavedFormData(tabId) {
                         if ((el.type === 'checkbox' || el.type === 'radio') && el.checked !== el.defaultChecked) {
                             return true;
                         }
+                        // Selects have no defaultValue; compare each option with its default instead
+                        if (el.tagName === 'SELECT') {
+                            const options = Array.from(el.options);
+                            if (el.multiple ? options.some(o => o.selected !== o.defaultSelected)
+                                : el.selectedIndex !== Math.max(0, options.findLastIndex(o => o.defaultSelected))) {
+                                return true;
+                            }
+                            continue;
+                        }
                         if (el.type !== 'checkbox' && el.type !== 'radio' && el.value !== el.defaultValue) {
                             return true;
                         }
@@ -131,7 +146,7 @@ export async function suspendTab(tabId, isManual = false) {
         FaviconUtils.saveFaviconForUrl(tabToSuspend.url, tabToSuspend.favIconUrl);
     }
 
-    if (tabToSuspend.url && tabToSuspend.url.startsWith(chrome.runtime.getURL("suspended.html"))) {
+    if (SuspensionUtils.isTabSuspended(tabToSuspend)) {
         Logger.detailedLog(`${context}: Tab is already suspended.`);
         return true; // Considered successful as the goal is achieved.
     }
@@ -144,6 +159,11 @@ export async function suspendTab(tabId, isManual = false) {
     let hasUnsavedData = false;
     Logger.log(`${context}: prefs.unsavedFormHandling=${Prefs.prefs.unsavedFormHandling}`);
     if (!isManual) {
+        // Checked here rather than in shouldSkipTab, which would also drop the frozen countdowns
+        if (GlobalPause.isPaused()) {
+            Logger.detailedLog(`${context}: Auto-suspend is paused.`);
+            return false;
+        }
         const tabCheckResult = await TabClassifier.shouldSkipTab(tabToSuspend, true);
         if (tabCheckResult) {
             Logger.detailedLog(`${context}: Tab should be skipped: ${tabCheckResult}`);
@@ -168,6 +188,18 @@ export async function suspendTab(tabId, isManual = false) {
                         // Do NOT proceed with suspension here; wait for user action in content script
                         return false; // Indicate that suspension is pending user action
                     }
+                    if (Prefs.prefs.unsavedFormHandling === 'preserve' && Prefs.prefs.nativeDiscardOnly) {
+                        // The browser keeps form contents of discarded tabs and refills them when reloading
+                        hasUnsavedData = false;
+                    } else if (Prefs.prefs.unsavedFormHandling === 'preserve') {
+                        // Pages whose unsaved state is not in form fields (e.g. only a beforeunload handler) are left alone
+                        if (await FormPreserve.saveFormData(tabToSuspend) === 0) {
+                            Logger.log(`${context}: Skipping suspension, unsaved data could not be saved`);
+                            return false;
+                        }
+                        // The contents are saved, so the page can be discarded without a beforeunload prompt
+                        hasUnsavedData = false;
+                    }
                 }
             } catch (formCheckError) {
                 Logger.logError(`${context}: Error checking for unsaved form data`, formCheckError);
@@ -176,17 +208,47 @@ export async function suspendTab(tabId, isManual = false) {
         }
     }
 
+    // Manual suspension skips the unsaved data check, but in preserve mode any form contents are still kept
+    if (isManual && Prefs.prefs.unsavedFormHandling === 'preserve' && !Prefs.prefs.nativeDiscardOnly) {
+        await FormPreserve.saveFormData(tabToSuspend);
+    }
+
     Logger.log(`suspendTab: Tab ${tabId} - ${tabToSuspend.url} is allowed to be suspended. Manual: ${isManual}, DetectedUnsaved: ${hasUnsavedData}`);
 
+    // Refresh the preview while the page is still visible; background tabs keep their last capture
+    if (Prefs.prefs.screenshotsEnabled && tabToSuspend.active && !Prefs.prefs.nativeDiscardOnly) {
+        await ScreenshotCapture.captureTabScreenshot(tabToSuspend);
+    }
+
+    if (Prefs.prefs.nativeDiscardOnly) {
+        // The browser restores the scroll position itself when it reloads a discarded tab
+        Logger.detailedLog(`${context}: Using 'nativeDiscardOnly' method.`);
+        if (!tabToSuspend.active || !isManual) {
+            return await SuspendDiscard.suspendDiscard(tabToSuspend);
+        }
+        // The shown tab cannot be discarded: a manual suspend first switches to a neighbouring tab
+        if (await SuspendDiscard.activateNeighbourTab(tabToSuspend)) {
+            return await SuspendDiscard.suspendDiscard({ ...tabToSuspend, active: false });
+        }
+        // Alone in its window: use the suspended page instead, which does not need the tab to be hidden
+        Logger.log(`${context}: No other tab to switch to, suspending to the suspended page instead of discarding.`);
+        if (Prefs.prefs.unsavedFormHandling === 'preserve') {
+            await FormPreserve.saveFormData(tabToSuspend);
+        }
+    }
+
+    // Read the scroll position before the page is discarded or closed so it can be restored later
+    const scrollPosition = tabToSuspend.discarded ? null : await ScrollPosition.captureScrollPosition(tabToSuspend);
+
     try {
         let result;
         if (Prefs.prefs.preserveHistory) {
             Logger.detailedLog(`${context}: Using 'preserveHistory' method.`);
-            result = await SuspendPreserve.suspendTabPreserveHistory(tabToSuspend, hasUnsavedData);
+            result = await SuspendPreserve.suspendTabPreserveHistory(tabToSuspend, hasUnsavedData, scrollPosition);
         } else {
             // For "Close & Reopen" method
             Logger.detailedLog(`${context}: Using 'closeAndReopen' method.`);
-            result = await SuspendClose.suspendClose(tabToSuspend);
+            result = await SuspendClose.suspendClose(tabToSuspend, scrollPosition);
         }
 
         return result;
@@ -212,11 +274,18 @@ export async function unsuspendTab(tabId) {
             return false; // Tab doesn't exist
         }
 
-        if (!tab.url || !tab.url.startsWith(chrome.runtime.getURL("suspended.html"))) {
+        if (!SuspensionUtils.isTabSuspended(tab)) {
             Logger.detailedLog(`${context}: Tab is not a suspended tab, cannot unsuspend.`);
             return false;
         }
 
+        // Discarded tabs keep their real URL; reloading them brings the page back natively
+        if (!SuspensionUtils.isSuspendedPageUrl(tab.url)) {
+            await chrome.tabs.reload(tabId);
+            Logger.log(`Tab ${tabId} reloaded from discarded state.`);
+            return true;
+        }
+
         try {
             const originalData = SuspensionUtils.getOriginalDataFromUrl(tab.url);
             if (!originalData || !originalData.url) {
@@ -229,6 +298,9 @@ export async function unsuspendTab(tabId) {
                 return false;
             }
 
+            // Scroll back to where the page was once it has loaded again
+            RestoreData.rememberPendingRestore(tabId, tab.url);
+
             // Update tab to original URL
             await chrome.tabs.update(tabId, {
                 url: originalData.url,
@@ -263,7 +335,7 @@ export async function unsuspendTab(tabId) {
  * @param {string} operationName - Name for logging/monitoring
  * @returns {Promise<{success: number, skipped: number, errors: number, duration: number}>}
  */
-async function processTabsWithConcurrency(tabIds, op, concurrency = 5, operationName = 'TabOperation') {
+export async function processTabsWithConcurrency(tabIds, op, concurrency = 5, operationName = 'TabOperation') {
     const startTime = Date.now();
     let success = 0;
     let skipped = 0;
@@ -357,8 +429,7 @@ export async function unsuspendAllTabsInWindow(windowId) {
         return;
     }
     try {
-        const suspendedUrlPattern = chrome.runtime.getURL("suspended.html") + "*";
-        const tabsInWindow = await chrome.tabs.query({ windowId, url: suspendedUrlPattern });
+        const tabsInWindow = (await chrome.tabs.query({ windowId })).filter(SuspensionUtils.isTabSuspended);
         Logger.log(`${context}: Found ${tabsInWindow.length} suspended tabs in window.`);
         const tabIds = tabsInWindow.filter(tab => tab.id).map(tab => tab.id);
         const results = await processTabsWithConcurrency(
@@ -9,6 +9,8 @@
 	const LOG_COMPONENT = "CS";
 	const LOG_PREFIX = "TheOneSuspender";
 	const MSG_SUSPEND_TAB = 'MSG_suspendTab';
+	const MSG_OPEN_LINKS_SUSPENDED = 'MSG_openLinksSuspended';
+	const PREFS_KEY = 'prefs';
 
 	function log(message, ...args) {
 		console.log(`[${LOG_PREFIX} ${LOG_COMPONENT}]`, message, ...args);
@@ -41,5 +43,41 @@
 	} else {
 		logWarning('chrome.runtime.onMessage.addListener is not available. Content script message listener not registered.');
 	}
+
+	// Open links as suspended tabs when clicked with the modifier keys chosen in the options
+	let suspendedLinkModifier = 'none';
+
+	function matchesLinkModifier(event) {
+		if (event.button !== 0 || event.ctrlKey || event.metaKey || !event.altKey) return false;
+		if (suspendedLinkModifier === 'alt') return !event.shiftKey;
+		if (suspendedLinkModifier === 'altShift') return event.shiftKey;
+		return false;
+	}
+
+	function handleLinkClick(event) {
+		if (suspendedLinkModifier === 'none' || !matchesLinkModifier(event)) return;
+		const link = event.composedPath().find(el => el.tagName === 'A' && el.href);
+		if (!link || !/^https?:/i.test(link.href)) return;
+
+		// Also stops the browser's own Alt+click action (downloading the link)
+		event.preventDefault();
+		event.stopPropagation();
+		const title = (link.innerText || link.title || '').trim();
+		chrome.runtime.sendMessage({ type: MSG_OPEN_LINKS_SUSPENDED, links: [{ url: link.href, title }] }, () => {
+			if (chrome.runtime.lastError) logWarning('Could not open link as suspended tab', chrome.runtime.lastError.message);
+		});
+	}
+
+	if (chrome && chrome.storage && chrome.storage.local) {
+		chrome.storage.local.get(PREFS_KEY).then(result => {
+			suspendedLinkModifier = result[PREFS_KEY]?.suspendedLinkModifier || 'none';
+		}).catch(e => logError('Error reading link preferences', e));
+		chrome.storage.onChanged.addListener((changes, areaName) => {
+			if (areaName === 'local' && changes[PREFS_KEY]) {
+				suspendedLinkModifier = changes[PREFS_KEY].newValue?.suspendedLinkModifier || 'none';
+			}
+		});
+		document.addEventListener('click', handleLinkClick, true);
+	}
 	// Note: We intentionally avoid injecting any styled DOM to comply with strict page CSP.
 })();
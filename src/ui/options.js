@@ -3,8 +3,16 @@ import * as Prefs from '../common/prefs.js'; // Import PREFS_KEY and WHITELIST_K
 import * as Logger from '../common/logger.js';
 import * as Const from '../common/constants.js';
 import * as WhitelistUtils from '../common/whitelist-utils.js';
+import * as SiteRulesUtils from '../common/site-rules-utils.js';
+import * as Policies from '../common/policies.js';
+import * as GroupRulesUtils from '../common/group-rules-utils.js';
+import * as ExternalApiUtils from '../common/external-api-utils.js';
 import * as Theme from '../common/theme.js';
 import * as SessionManager from '../common/session-manager.js';
+import * as SessionUtils from '../common/session-utils.js';
+import * as ScreenshotStore from '../common/screenshot-store.js';
+import * as SuspensionUtils from '../suspension/suspension-utils.js';
+import * as UrlBuilder from '../common/url-builder.js';
 import { initializeTabNavigation } from './tab-navigation.js';
 
 document.addEventListener("DOMContentLoaded", async () => {
@@ -26,20 +34,51 @@ document.addEventListener("DOMContentLoaded", async () => {
 	}
 
 	const preserveHistoryInput = document.getElementById("preserveHistory");
+	const nativeDiscardOnlyInput = document.getElementById("nativeDiscardOnly");
 	const neverSuspendPinnedInput = document.getElementById("neverSuspendPinned");
 	const neverSuspendAudioInput = document.getElementById("neverSuspendAudio");
 	const neverSuspendActiveInput = document.getElementById("neverSuspendActive");
 	const neverSuspendLastWindowInput = document.getElementById("neverSuspendLastWindow");
 	const neverSuspendOfflineInput = document.getElementById("neverSuspendOffline");
 	const whitelistTextarea = document.getElementById("whitelist");
+	const whitelistRows = document.getElementById("whitelist-rows");
+	const whitelistEmpty = document.getElementById("whitelist-empty");
+	const whitelistAddRowBtn = document.getElementById("whitelist-add-row");
+	const whitelistAddTextBtn = document.getElementById("whitelist-add-text");
+	const siteTimeoutRulesTextarea = document.getElementById("siteTimeoutRules");
+	const alwaysSuspendSitesTextarea = document.getElementById("alwaysSuspendSites");
+	const alwaysSuspendDelaySecondsInput = document.getElementById("alwaysSuspendDelaySeconds");
+	const externalApiAllowlistTextarea = document.getElementById("externalApiAllowlist");
+	const suspensionPoliciesTextarea = document.getElementById("suspensionPolicies");
+	const activePolicyStatus = document.getElementById("active-policy-status");
+	const tabGroupRulesTextarea = document.getElementById("tabGroupRules");
+	const suspendGroupOnCollapseInput = document.getElementById("suspendGroupOnCollapse");
 	const saveStatus = document.getElementById("save-status");
 	const saveStatusAppearance = document.getElementById("save-status-appearance");
 	const themeInput = document.getElementById("theme");
 	const themePreviews = document.querySelectorAll('.theme-preview');
 
 	const unsavedFormHandlingRadios = document.querySelectorAll('input[name="unsavedFormHandling"]');
+	const suspensionStrategyRadios = document.querySelectorAll('input[name="suspensionStrategy"]');
+	const memoryPressureThresholdInput = document.getElementById("memoryPressureThreshold");
+	const maxLiveTabsInput = document.getElementById("maxLiveTabs");
+	const maxLiveTabsScopeRadios = document.querySelectorAll('input[name="maxLiveTabsScope"]');
 	const saveButton = document.getElementById("save-settings");
 	const autoSuspendEnabledInput = document.getElementById("autoSuspendEnabled");
+	const pauseWhileActiveElsewhereInput = document.getElementById("pauseWhileActiveElsewhere");
+	const suspendOnSystemIdleInput = document.getElementById("suspendOnSystemIdle");
+	const systemIdleMinutesInput = document.getElementById("systemIdleMinutes");
+	const suspendOnScreenLockInput = document.getElementById("suspendOnScreenLock");
+	const unsuspendOnFocusInput = document.getElementById("unsuspendOnFocus");
+	const unsuspendOnFocusDelayMsInput = document.getElementById("unsuspendOnFocusDelayMs");
+	const suspendedLinkModifierSelect = document.getElementById("suspendedLinkModifier");
+	const badgeModeSelect = document.getElementById("badgeMode");
+	const badgeReasonIconInput = document.getElementById("badgeReasonIcon");
+	const screenshotsEnabledInput = document.getElementById("screenshotsEnabled");
+	const screenshotQualityInput = document.getElementById("screenshotQuality");
+	const screenshotMaxStorageMBInput = document.getElementById("screenshotMaxStorageMB");
+	const clearScreenshotsBtn = document.getElementById("clear-screenshots");
+	const screenshotUsageEl = document.getElementById("screenshot-usage");
 
 	// Logging control elements
 	const enableStandardLogsInput = document.getElementById("enableStandardLogs");
@@ -64,6 +103,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 	const statSuspendedEl = document.getElementById('stat-suspended');
 	const statScheduledEl = document.getElementById('stat-scheduled');
 	const statSkippedEl = document.getElementById('stat-skipped');
+	const statInactiveHourEl = document.getElementById('stat-inactive-hour');
 
 	function setFaviconToolsStatus(msg, type = 'info') {
 		if (!faviconToolsStatus) return;
@@ -80,6 +120,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 			if (statTotalEl) statTotalEl.textContent = String(resp.total);
 			if (statSuspendedEl) statSuspendedEl.textContent = String(resp.suspended);
 			if (statScheduledEl) statScheduledEl.textContent = String(resp.scheduled);
+			if (statInactiveHourEl) statInactiveHourEl.textContent = String(resp.inactiveHour ?? '-');
 			if (statSkippedEl) {
 				statSkippedEl.textContent = String(resp.total - resp.suspended - resp.scheduled);
 				statSkippedEl.onclick = () => { window.open('skipped.html', '_blank'); };
@@ -95,10 +136,13 @@ document.addEventListener("DOMContentLoaded", async () => {
 	const sessionAutoSaveEnabledCheckbox = document.getElementById("sessionAutoSaveEnabled");
 	const clearAllSessionsBtn = document.getElementById("clear-all-sessions");
 	const sessionSortSelect = document.getElementById("session-sort");
+	const sessionSearchInput = document.getElementById("session-search");
 	const sessionStatus = document.getElementById("session-status");
 	const sessionsLoading = document.getElementById("sessions-loading");
 	const sessionsEmpty = document.getElementById("sessions-empty");
 	const sessionsList = document.getElementById("sessions-list");
+	const sessionStorageMeter = document.getElementById("session-storage-meter");
+	const sessionStorageText = document.getElementById("session-storage-text");
 
 	// Session Configuration elements (now part of main form)
 	const sessionMaxSessionsInput = document.getElementById("sessionMaxSessions");
@@ -165,6 +209,19 @@ document.addEventListener("DOMContentLoaded", async () => {
 		inactivityMinutesInput.disabled = !autoSuspendEnabledInput.checked;
 	});
 
+	suspendOnSystemIdleInput.addEventListener('change', () => {
+		systemIdleMinutesInput.disabled = !suspendOnSystemIdleInput.checked;
+	});
+
+	unsuspendOnFocusInput.addEventListener('change', () => {
+		unsuspendOnFocusDelayMsInput.disabled = !unsuspendOnFocusInput.checked;
+	});
+
+	// Discard-only mode never navigates, so the history option does not apply
+	nativeDiscardOnlyInput.addEventListener('change', () => {
+		preserveHistoryInput.disabled = nativeDiscardOnlyInput.checked;
+	});
+
 	// Set up theme preview click handlers
 	themePreviews.forEach(preview => {
 		preview.addEventListener('click', () => {
@@ -192,6 +249,27 @@ document.addEventListener("DOMContentLoaded", async () => {
 		});
 	}
 
+	// --- Page preview storage ---
+	async function refreshScreenshotUsage() {
+		try {
+			const { count, bytes } = await ScreenshotStore.getStorageUsage();
+			screenshotUsageEl.textContent = `${count} screenshots, ${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+		} catch (e) {
+			screenshotUsageEl.textContent = '';
+			Logger.logError('Failed to read screenshot storage usage', e, Logger.LogComponent.OPTIONS);
+		}
+	}
+
+	clearScreenshotsBtn.addEventListener('click', async () => {
+		try {
+			await ScreenshotStore.clearScreenshots();
+		} catch (e) {
+			Logger.logError('Failed to clear screenshots', e, Logger.LogComponent.OPTIONS);
+		}
+		await refreshScreenshotUsage();
+	});
+	refreshScreenshotUsage();
+
 	// Listen for favicon refresh progress from background
 	chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 		if (message.type === Const.MSG_FAVICON_REFRESH_PROGRESS) {
@@ -223,6 +301,132 @@ document.addEventListener("DOMContentLoaded", async () => {
 	}
 
 
+	// Schedule policies: show which policy (as currently typed) is in force right now
+	function updateActivePolicyStatus() {
+		if (!activePolicyStatus) return;
+		const policies = Policies.parsePoliciesText(suspensionPoliciesTextarea.value);
+		if (policies.length === 0) {
+			activePolicyStatus.textContent = '';
+			return;
+		}
+		const active = Policies.getActivePolicy(policies);
+		activePolicyStatus.textContent = active
+			? `Policy in force: ${Policies.describePolicy(active.policy)}`
+			: 'Policy in force: none (normal settings apply)';
+	}
+	suspensionPoliciesTextarea.addEventListener('input', updateActivePolicyStatus);
+	setInterval(updateActivePolicyStatus, 60 * 1000);
+
+	// --- Whitelist table editor ---
+	function renderWhitelistTable(entries) {
+		whitelistRows.innerHTML = '';
+		entries.forEach(entry => whitelistRows.appendChild(createWhitelistRow(entry)));
+		updateWhitelistEmpty();
+	}
+
+	function updateWhitelistEmpty() {
+		whitelistEmpty.classList.toggle('hidden', whitelistRows.children.length > 0);
+	}
+
+	function createWhitelistRow(entry) {
+		const row = document.createElement('tr');
+		row.innerHTML = `
+			<td><input type="checkbox" class="whitelist-enabled" aria-label="Enabled"></td>
+			<td><input type="text" class="whitelist-pattern" aria-label="Pattern" placeholder="example.com"></td>
+			<td>
+				<select class="whitelist-action" aria-label="Action">
+					<option value="never">Never suspend</option>
+					<option value="delay">Custom delay</option>
+					<option value="always">Always suspend</option>
+				</select>
+			</td>
+			<td><input type="number" class="whitelist-delay" min="1" step="1" aria-label="Delay in minutes"></td>
+			<td><input type="date" class="whitelist-expires" aria-label="Expires"></td>
+			<td><input type="text" class="whitelist-comment" aria-label="Comment"></td>
+			<td><button type="button" class="md-button text compact danger whitelist-remove">Remove</button></td>
+		`;
+		const enabledInput = row.querySelector('.whitelist-enabled');
+		const actionSelect = row.querySelector('.whitelist-action');
+		const delayInput = row.querySelector('.whitelist-delay');
+
+		enabledInput.checked = entry.enabled;
+		row.querySelector('.whitelist-pattern').value = entry.pattern;
+		actionSelect.value = entry.action;
+		delayInput.value = entry.delayMinutes ?? '';
+		row.querySelector('.whitelist-expires').value = entry.expiresAt !== null ? formatDateInput(entry.expiresAt) : '';
+		row.querySelector('.whitelist-comment').value = entry.comment;
+
+		const updateRowState = () => {
+			delayInput.disabled = actionSelect.value !== 'delay';
+			row.classList.toggle('disabled-entry', !enabledInput.checked);
+		};
+		actionSelect.addEventListener('change', updateRowState);
+		enabledInput.addEventListener('change', updateRowState);
+		row.querySelector('.whitelist-remove').addEventListener('click', () => {
+			row.remove();
+			updateWhitelistEmpty();
+		});
+		updateRowState();
+		return row;
+	}
+
+	// Expiry is stored as the end of the chosen local day
+	function formatDateInput(timestamp) {
+		const date = new Date(timestamp);
+		return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+	}
+
+	function parseDateInput(value) {
+		return value ? new Date(`${value}T23:59:59.999`).getTime() : null;
+	}
+
+	/**
+	 * Read the table into whitelist entries. Rows with an empty pattern are ignored;
+	 * invalid rows are highlighted.
+	 * @returns {{entries: Array<object>, invalidCount: number}}
+	 */
+	function readWhitelistTable() {
+		const entries = [];
+		let invalidCount = 0;
+		for (const row of whitelistRows.querySelectorAll('tr')) {
+			const pattern = row.querySelector('.whitelist-pattern').value.trim();
+			const action = row.querySelector('.whitelist-action').value;
+			const entry = WhitelistUtils.createWhitelistEntry(pattern, {
+				comment: row.querySelector('.whitelist-comment').value.trim(),
+				expiresAt: parseDateInput(row.querySelector('.whitelist-expires').value),
+				enabled: row.querySelector('.whitelist-enabled').checked,
+				action,
+				delayMinutes: action === 'delay' ? parseInt(row.querySelector('.whitelist-delay').value, 10) : null
+			});
+			const valid = pattern === '' || WhitelistUtils.isValidWhitelistEntry(entry);
+			row.classList.toggle('invalid', !valid);
+			if (!valid) invalidCount++;
+			else if (pattern !== '') entries.push(entry);
+		}
+		return { entries, invalidCount };
+	}
+
+	// Move entries typed in the text box into the table, skipping patterns already listed
+	function addWhitelistTextToTable() {
+		const { entries } = readWhitelistTable();
+		WhitelistUtils.parseWhitelistText(whitelistTextarea.value)
+			.filter(entry => !WhitelistUtils.isWhitelisted(entries, entry.pattern))
+			.forEach(entry => {
+				entries.push(entry);
+				whitelistRows.appendChild(createWhitelistRow(entry));
+			});
+		whitelistTextarea.value = '';
+		updateWhitelistEmpty();
+	}
+
+	whitelistAddRowBtn.addEventListener('click', () => {
+		const row = createWhitelistRow(WhitelistUtils.createWhitelistEntry(''));
+		whitelistRows.appendChild(row);
+		updateWhitelistEmpty();
+		row.querySelector('.whitelist-pattern').focus();
+	});
+	whitelistAddTextBtn.addEventListener('click', addWhitelistTextToTable);
+
 	// --- Load Settings ---
 	async function loadSettings() {
 		// Populate with defaults first so we always have something
@@ -246,14 +450,39 @@ document.addEventListener("DOMContentLoaded", async () => {
 	function populateForm(settings, whitelistItems) {
 		inactivityMinutesInput.value = settings.suspendAfter > 0 ? settings.suspendAfter : settings.lastPositiveSuspendAfter;
 		preserveHistoryInput.checked = settings.preserveHistory;
+		nativeDiscardOnlyInput.checked = settings.nativeDiscardOnly;
+		preserveHistoryInput.disabled = nativeDiscardOnlyInput.checked;
 		neverSuspendPinnedInput.checked = settings.neverSuspendPinned;
 		neverSuspendAudioInput.checked = settings.neverSuspendAudio;
 		neverSuspendActiveInput.checked = settings.neverSuspendActive;
 		neverSuspendLastWindowInput.checked = settings.neverSuspendLastWindow;
 		neverSuspendOfflineInput.checked = settings.neverSuspendOffline;
-		whitelistTextarea.value = (Array.isArray(whitelistItems) ? whitelistItems : []).join("\n");
+		renderWhitelistTable(WhitelistUtils.migrateWhitelist(whitelistItems));
+		whitelistTextarea.value = "";
+		siteTimeoutRulesTextarea.value = SiteRulesUtils.formatSiteTimeoutRulesText(settings.siteTimeoutRules);
+		alwaysSuspendSitesTextarea.value = (settings.alwaysSuspendSites || []).join("\n");
+		alwaysSuspendDelaySecondsInput.value = settings.alwaysSuspendDelaySeconds;
+		externalApiAllowlistTextarea.value = (settings.externalApiAllowlist || []).join("\n");
+		suspensionPoliciesTextarea.value = Policies.formatPoliciesText(settings.suspensionPolicies);
+		updateActivePolicyStatus();
+		tabGroupRulesTextarea.value = GroupRulesUtils.formatGroupRulesText(settings.tabGroupRules);
+		suspendGroupOnCollapseInput.checked = settings.suspendGroupOnCollapse;
 		autoSuspendEnabledInput.checked = settings.autoSuspendEnabled !== false; // Default to true if not set
 		inactivityMinutesInput.disabled = !autoSuspendEnabledInput.checked;
+		pauseWhileActiveElsewhereInput.checked = settings.pauseWhileActiveElsewhere;
+		suspendOnSystemIdleInput.checked = settings.suspendOnSystemIdle;
+		systemIdleMinutesInput.value = settings.systemIdleMinutes;
+		systemIdleMinutesInput.disabled = !suspendOnSystemIdleInput.checked;
+		suspendOnScreenLockInput.checked = settings.suspendOnScreenLock;
+		unsuspendOnFocusInput.checked = settings.unsuspendOnFocus;
+		unsuspendOnFocusDelayMsInput.value = settings.unsuspendOnFocusDelayMs;
+		unsuspendOnFocusDelayMsInput.disabled = !unsuspendOnFocusInput.checked;
+		suspendedLinkModifierSelect.value = settings.suspendedLinkModifier;
+		badgeModeSelect.value = settings.badgeMode;
+		badgeReasonIconInput.checked = settings.badgeReasonIcon;
+		screenshotsEnabledInput.checked = settings.screenshotsEnabled;
+		screenshotQualityInput.value = settings.screenshotQuality;
+		screenshotMaxStorageMBInput.value = settings.screenshotMaxStorageMB;
 
 		// Update theme selection UI
 		selectTheme(settings.theme || 'gold');
@@ -265,6 +494,16 @@ document.addEventListener("DOMContentLoaded", async () => {
 		// Update session auto-save checkbox (load status from SessionManager)
 		updateAutoSaveStatus();
 
+		// Set suspension strategy radio (defaults to the timer)
+		suspensionStrategyRadios.forEach(radio => {
+			radio.checked = radio.value === (settings.suspensionStrategy || 'timer');
+		});
+		memoryPressureThresholdInput.value = settings.memoryPressureThreshold;
+		maxLiveTabsInput.value = settings.maxLiveTabs;
+		maxLiveTabsScopeRadios.forEach(radio => {
+			radio.checked = radio.value === (settings.maxLiveTabsScope || 'window');
+		});
+
 		// Set unsaved form handling radio
 		let foundRadio = false;
 		unsavedFormHandlingRadios.forEach(radio => {
@@ -377,6 +616,9 @@ document.addEventListener("DOMContentLoaded", async () => {
 		setSaveStatus("Saving...", "info");
 
 		const selectedUnsavedHandling = document.querySelector('input[name="unsavedFormHandling"]:checked');
+		const selectedStrategy = document.querySelector('input[name="suspensionStrategy"]:checked');
+		const memoryThreshold = parseInt(memoryPressureThresholdInput.value, 10);
+		const selectedLiveTabsScope = document.querySelector('input[name="maxLiveTabsScope"]:checked');
 		let suspendAfterValue = parseInt(inactivityMinutesInput.value, 10);
 		if (isNaN(suspendAfterValue) || suspendAfterValue <= 0) {
 			suspendAfterValue = Prefs.defaultPrefs.lastPositiveSuspendAfter > 0 ? Prefs.defaultPrefs.lastPositiveSuspendAfter : 1;
@@ -385,6 +627,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 		const newSettings = {
 			suspendAfter: suspendAfterValue,
 			preserveHistory: preserveHistoryInput.checked,
+			nativeDiscardOnly: nativeDiscardOnlyInput.checked,
 			neverSuspendPinned: neverSuspendPinnedInput.checked,
 			neverSuspendAudio: neverSuspendAudioInput.checked,
 			neverSuspendActive: neverSuspendActiveInput.checked,
@@ -392,6 +635,31 @@ document.addEventListener("DOMContentLoaded", async () => {
 			neverSuspendOffline: neverSuspendOfflineInput.checked,
 			unsavedFormHandling: selectedUnsavedHandling ? selectedUnsavedHandling.value : 'normal',
 			autoSuspendEnabled: autoSuspendEnabledInput.checked,
+			suspensionStrategy: selectedStrategy ? selectedStrategy.value : 'timer',
+			maxLiveTabs: Math.max(0, parseInt(maxLiveTabsInput.value, 10) || 0),
+			maxLiveTabsScope: selectedLiveTabsScope ? selectedLiveTabsScope.value : 'window',
+			memoryPressureThreshold: Number.isFinite(memoryThreshold)
+				? Math.min(99, Math.max(10, memoryThreshold))
+				: Prefs.defaultPrefs.memoryPressureThreshold,
+			pauseWhileActiveElsewhere: pauseWhileActiveElsewhereInput.checked,
+			suspendOnSystemIdle: suspendOnSystemIdleInput.checked,
+			systemIdleMinutes: Math.max(1, parseInt(systemIdleMinutesInput.value, 10) || Prefs.defaultPrefs.systemIdleMinutes),
+			suspendOnScreenLock: suspendOnScreenLockInput.checked,
+			unsuspendOnFocus: unsuspendOnFocusInput.checked,
+			unsuspendOnFocusDelayMs: Math.min(5000, Math.max(0, parseInt(unsuspendOnFocusDelayMsInput.value, 10) || 0)),
+			suspendedLinkModifier: suspendedLinkModifierSelect.value,
+			badgeMode: badgeModeSelect.value,
+			badgeReasonIcon: badgeReasonIconInput.checked,
+			screenshotsEnabled: screenshotsEnabledInput.checked,
+			screenshotQuality: Math.min(100, Math.max(10, parseInt(screenshotQualityInput.value, 10) || Prefs.defaultPrefs.screenshotQuality)),
+			screenshotMaxStorageMB: Math.min(1000, Math.max(5, parseInt(screenshotMaxStorageMBInput.value, 10) || Prefs.defaultPrefs.screenshotMaxStorageMB)),
+			siteTimeoutRules: SiteRulesUtils.parseSiteTimeoutRulesText(siteTimeoutRulesTextarea.value),
+			suspensionPolicies: Policies.parsePoliciesText(suspensionPoliciesTextarea.value),
+			tabGroupRules: GroupRulesUtils.parseGroupRulesText(tabGroupRulesTextarea.value),
+			suspendGroupOnCollapse: suspendGroupOnCollapseInput.checked,
+			alwaysSuspendSites: WhitelistUtils.parsePatternListText(alwaysSuspendSitesTextarea.value),
+			alwaysSuspendDelaySeconds: Math.min(600, Math.max(0, parseInt(alwaysSuspendDelaySecondsInput.value, 10) || 0)),
+			externalApiAllowlist: ExternalApiUtils.parseExtensionIdListText(externalApiAllowlistTextarea.value),
 			theme: themeInput.value,
 			sessionMaxSessions: parseInt(sessionMaxSessionsInput.value, 10),
 			sessionAutoSaveFrequency: parseInt(sessionAutoSaveFrequencyInput.value, 10),
@@ -402,10 +670,13 @@ document.addEventListener("DOMContentLoaded", async () => {
 			enableErrorLogs: enableErrorLogsInput.checked
 		};
 
-		Logger.log(`Value of whitelistTextarea.value before splitting: ${whitelistTextarea.value}`, Logger.LogComponent.OPTIONS);
-
-		const newWhitelist = WhitelistUtils.parseWhitelistText(whitelistTextarea.value);
-		Logger.log(`Constructed newWhitelist array: ${newWhitelist}`, Logger.LogComponent.OPTIONS);
+		addWhitelistTextToTable();
+		const { entries: newWhitelist, invalidCount } = readWhitelistTable();
+		if (invalidCount > 0) {
+			setSaveStatus(`Fix the ${invalidCount} highlighted whitelist entr${invalidCount === 1 ? 'y' : 'ies'} before saving`, "error");
+			return;
+		}
+		Logger.log(`Constructed newWhitelist with ${newWhitelist.length} entries`, Logger.LogComponent.OPTIONS);
 
 		// Save all settings using proper async/await pattern
 		try {
@@ -476,21 +747,24 @@ document.addEventListener("DOMContentLoaded", async () => {
 		setExportImportStatus("Exporting suspended tabs...", "info");
 		try {
 			const windows = await chrome.windows.getAll({ populate: true });
-			const suspendedPagePrefix = chrome.runtime.getURL("suspended.html");
 			const exportData = [];
 			for (const win of windows) {
-				const suspendedTabs = (win.tabs || []).filter(tab => tab.url && tab.url.startsWith(suspendedPagePrefix));
+				const suspendedTabs = (win.tabs || []).filter(SuspensionUtils.isTabSuspended);
 				if (suspendedTabs.length === 0) continue;
 				exportData.push({
 					windowId: win.id,
-					tabs: suspendedTabs.map(tab => ({
-						title: tab.title,
-						url: tab.url,
-						favIconUrl: tab.favIconUrl,
-						pinned: tab.pinned,
-						index: tab.index,
-						suspendedData: tab.url // for now, store the suspended URL
-					}))
+					tabs: suspendedTabs.map(tab => {
+						// Discarded tabs are exported as suspended pages, so importing them does not load every page
+						const suspendedUrl = SuspensionUtils.isSuspendedPageUrl(tab.url) ? tab.url : UrlBuilder.buildSuspendedUrl(tab);
+						return {
+							title: tab.title,
+							url: suspendedUrl,
+							favIconUrl: tab.favIconUrl,
+							pinned: tab.pinned,
+							index: tab.index,
+							suspendedData: suspendedUrl // for now, store the suspended URL
+						};
+					})
 				});
 			}
 			if (exportData.length === 0) {
@@ -628,23 +902,55 @@ document.addEventListener("DOMContentLoaded", async () => {
 		}
 	}
 
+	// Helper: format a byte count as KB or MB
+	function formatStorageSize(bytes) {
+		return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+	}
+
+	async function refreshSessionStorageUsage() {
+		if (!sessionStorageText) return;
+		try {
+			const usage = await SessionManager.getSessionStorageUsage();
+			let text = `Sessions use ${formatStorageSize(usage.sessionBytes)} (${usage.tabs} saved tabs, ${usage.pages} distinct pages stored)`;
+			if (usage.quotaBytes) {
+				sessionStorageMeter.value = Math.min(1, usage.totalBytes / usage.quotaBytes);
+				sessionStorageMeter.classList.remove('hidden');
+				text += ` · ${formatStorageSize(usage.totalBytes)} of ${formatStorageSize(usage.quotaBytes)} local storage used`;
+			} else {
+				sessionStorageMeter.classList.add('hidden');
+			}
+			sessionStorageText.textContent = text;
+		} catch (error) {
+			sessionStorageText.textContent = '';
+			Logger.logError("Failed to read session storage usage", error, Logger.LogComponent.OPTIONS);
+		}
+	}
+
 	async function loadSessions() {
+		refreshSessionStorageUsage();
 		try {
 			sessionsLoading.classList.remove('hidden');
 			sessionsEmpty.classList.add('hidden');
 			sessionsList.innerHTML = '';
 
-			const sessions = await SessionManager.getSavedSessions();
+			const query = sessionSearchInput ? sessionSearchInput.value.trim() : '';
+			const sessions = query ? await SessionManager.searchSessions(query) : await SessionManager.getSavedSessions();
 
 			if (sessions.length === 0) {
 				sessionsLoading.classList.add('hidden');
-				sessionsEmpty.classList.remove('hidden');
+				if (query) {
+					sessionsList.innerHTML = '<p class="sessions-no-match">No sessions match your search.</p>';
+				} else {
+					sessionsEmpty.classList.remove('hidden');
+				}
 				return;
 			}
 
-			// Sort sessions
+			// Sort sessions, keeping pinned (protected) sessions on top
 			const sortBy = sessionSortSelect.value;
 			sortSessions(sessions, sortBy);
+			sessions.sort((a, b) => (b.protected ? 1 : 0) - (a.protected ? 1 : 0));
+			const parsedQuery = SessionUtils.parseSessionQuery(query);
 
 			// Create table structure
 			const table = document.createElement('table');
@@ -667,7 +973,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
 			// Render sessions as table rows
 			sessions.forEach(session => {
-				const sessionFragment = createSessionRow(session);
+				const sessionFragment = createSessionRow(session, parsedQuery);
 				tbody.appendChild(sessionFragment);
 			});
 
@@ -694,14 +1000,18 @@ document.addEventListener("DOMContentLoaded", async () => {
 		}
 	}
 
-	function createSessionRow(session) {
+	function createSessionRow(session, parsedQuery) {
 		const row = document.createElement('tr');
 		row.className = 'session-row';
 		row.setAttribute('data-session-id', session.id);
+		const tagsHtml = (session.tags || []).map(tag => `<span class="session-tag">${escapeHtml(tag)}</span>`).join('');
+		const matchHtml = session.matchingTabs
+			? `<span class="session-match-count">${session.matchingTabs} matching tab${session.matchingTabs > 1 ? 's' : ''}</span>`
+			: '';
 		row.innerHTML = `
 			<td class="session-name">
 				<div class="session-name-container">
-					<span class="session-name-text">${escapeHtml(session.name)} ${session.isAutoSave ? '<span class="session-auto-badge">Auto</span>' : ''}</span>
+					<span class="session-name-text">${escapeHtml(session.name)} ${session.isAutoSave ? '<span class="session-auto-badge">Auto</span>' : ''}${session.protected ? '<span class="session-protected-badge" title="Pinned sessions are never removed automatically">Pinned</span>' : ''}${tagsHtml}${matchHtml}</span>
 					<button type="button" class="session-expand-btn" aria-label="Toggle session details">
 						<span class="expand-icon"></span>
 					</button>
@@ -715,6 +1025,15 @@ document.addEventListener("DOMContentLoaded", async () => {
 				<button type="button" class="md-button text compact restore-session-btn" data-session-id="${session.id}">
 					Restore
 				</button>
+				<button type="button" class="md-button text compact compare-session-btn" data-session-id="${session.id}">
+					Compare
+				</button>
+				<button type="button" class="md-button text compact pin-session-btn" data-session-id="${session.id}">
+					${session.protected ? 'Unpin' : 'Pin'}
+				</button>
+				<button type="button" class="md-button text compact tag-session-btn" data-session-id="${session.id}">
+					Tags
+				</button>
 				<button type="button" class="md-button text compact delete-session-btn" data-session-id="${session.id}">
 					Delete
 				</button>
@@ -727,9 +1046,31 @@ document.addEventListener("DOMContentLoaded", async () => {
 		detailsRow.innerHTML = `
 			<td colspan="6" class="session-details-content">
 				<div class="session-details-container">
+					<div class="session-compare hidden">
+						<div class="session-compare-controls">
+							<label class="sort-label">Compare with:</label>
+							<select class="md-select compact session-compare-select" aria-label="Session to compare with">
+								<option value="">Current browser</option>
+							</select>
+							<button type="button" class="md-button text compact session-compare-run-btn">Compare</button>
+						</div>
+						<div class="session-diff-results"></div>
+					</div>
 					<h4>Session Details</h4>
+					<div class="session-restore-selection">
+						<select class="md-select compact session-restore-state" aria-label="How to restore the tabs">
+							<option value="original">Keep suspended tabs suspended</option>
+							<option value="suspended">Restore all as suspended</option>
+							<option value="unsuspended">Restore all as loaded tabs</option>
+						</select>
+						<label class="session-restore-current-window-label">
+							<input type="checkbox" class="session-restore-current-window">
+							Into current window
+						</label>
+						<button type="button" class="md-button text compact restore-selected-btn">Restore Selected</button>
+					</div>
 					<div class="session-windows-details">
-						${session.data.windows.map((window, index) => createWindowDetails(window, index)).join('')}
+						${session.data.windows.map((window, index) => createWindowDetails(window, index, parsedQuery)).join('')}
 					</div>
 				</div>
 			</td>
@@ -738,10 +1079,46 @@ document.addEventListener("DOMContentLoaded", async () => {
 		// Add event listeners
 		const restoreBtn = row.querySelector('.restore-session-btn');
 		const deleteBtn = row.querySelector('.delete-session-btn');
+		const pinBtn = row.querySelector('.pin-session-btn');
+		const tagBtn = row.querySelector('.tag-session-btn');
+		const compareBtn = row.querySelector('.compare-session-btn');
 		const expandBtn = row.querySelector('.session-expand-btn');
+		const comparePanel = detailsRow.querySelector('.session-compare');
+		const compareSelect = detailsRow.querySelector('.session-compare-select');
+		const compareRunBtn = detailsRow.querySelector('.session-compare-run-btn');
+		const diffResults = detailsRow.querySelector('.session-diff-results');
+		const restoreSelectedBtn = detailsRow.querySelector('.restore-selected-btn');
 
 		restoreBtn.addEventListener('click', () => restoreSession(session.id));
 		deleteBtn.addEventListener('click', () => deleteSession(session.id));
+		pinBtn.addEventListener('click', () => toggleSessionProtected(session));
+		tagBtn.addEventListener('click', () => editSessionTags(session));
+		compareBtn.addEventListener('click', async () => {
+			// Open the details with the compare panel, listing the other sessions the first time
+			detailsRow.classList.remove('hidden');
+			expandBtn.querySelector('.expand-icon').classList.add('expanded');
+			if (comparePanel.classList.contains('hidden')) {
+				comparePanel.classList.remove('hidden');
+				const others = (await SessionManager.getSavedSessions()).filter(s => s.id !== session.id);
+				for (const other of others) {
+					const option = document.createElement('option');
+					option.value = other.id;
+					option.textContent = `${other.name} (${formatDate(other.timestamp)})`;
+					compareSelect.appendChild(option);
+				}
+			}
+			await compareSession(session, compareSelect.value || null, diffResults);
+		});
+		compareRunBtn.addEventListener('click', () => compareSession(session, compareSelect.value || null, diffResults));
+		restoreSelectedBtn.addEventListener('click', () => restoreSelectedFromSession(session, detailsRow));
+		// A window checkbox selects or clears all of its tabs
+		detailsRow.querySelectorAll('.session-window-checkbox').forEach(windowCheckbox => {
+			windowCheckbox.addEventListener('change', () => {
+				windowCheckbox.closest('.window-details').querySelectorAll('.session-tab-checkbox').forEach(tabCheckbox => {
+					tabCheckbox.checked = windowCheckbox.checked;
+				});
+			});
+		});
 		expandBtn.addEventListener('click', (e) => {
 			e.stopPropagation();
 			const isExpanded = !detailsRow.classList.contains('hidden');
@@ -760,17 +1137,25 @@ document.addEventListener("DOMContentLoaded", async () => {
 		return fragment;
 	}
 
-	function createWindowDetails(windowData, windowIndex) {
+	function createWindowDetails(windowData, windowIndex, parsedQuery) {
+		const isMatch = (tab) => {
+			const text = `${tab.title || ''} ${tab.originalUrl || tab.url || ''}`.toLowerCase();
+			return parsedQuery.words.some(word => text.includes(word));
+		};
 		const suspendedCount = windowData.tabs.filter(tab => tab.isSuspended).length;
 		return `
 			<div class="window-details">
 				<div class="window-header">
-					<h5>Window ${windowIndex + 1}</h5>
+					<label class="session-window-select">
+						<input type="checkbox" class="session-window-checkbox" checked aria-label="Select all tabs of window ${windowIndex + 1}">
+						<h5>Window ${windowIndex + 1}</h5>
+					</label>
 					<span class="window-stats">${windowData.tabs.length} tabs (${suspendedCount} suspended)</span>
 				</div>
 				<div class="window-tabs-list">
 					${windowData.tabs.map((tab, tabIndex) => `
-						<div class="tab-item ${tab.isSuspended ? 'suspended' : ''}">
+						<div class="tab-item ${tab.isSuspended ? 'suspended' : ''} ${isMatch(tab) ? 'match' : ''}">
+							<input type="checkbox" class="session-tab-checkbox" checked data-window-index="${windowIndex}" data-tab-index="${tabIndex}" aria-label="Restore tab ${tabIndex + 1}">
 							<span class="tab-index">${tabIndex + 1}.</span>
 							<span class="tab-title">${escapeHtml(tab.title || 'Untitled')}</span>
 							<span class="tab-url">${escapeHtml(tab.originalUrl || tab.url || '')}</span>
@@ -822,6 +1207,128 @@ document.addEventListener("DOMContentLoaded", async () => {
 		}
 	}
 
+	async function compareSession(session, otherSessionId, container) {
+		try {
+			container.innerHTML = '<p class="session-diff-summary">Comparing...</p>';
+			const { before, after, diff } = await SessionManager.diffSessions(session.id, otherSessionId);
+			renderSessionDiff(container, before, after, diff, () => restoreClosedTabs(session, otherSessionId, container));
+		} catch (error) {
+			Logger.logError("Error comparing sessions", error, Logger.LogComponent.OPTIONS);
+			container.innerHTML = '';
+			setSessionStatus("Error comparing sessions: " + error.message, "error");
+		}
+	}
+
+	function renderSessionDiff(container, before, after, diff, onRestoreClosed) {
+		const MAX_LISTED = 100;
+		const tabLine = (tab, note) => `
+			<div class="tab-item">
+				<span class="tab-title">${escapeHtml(tab.title || 'Untitled')}</span>
+				<span class="tab-url">${escapeHtml(SessionUtils.getSessionTabUrl(tab))}</span>
+				${note ? `<span class="session-diff-note">${escapeHtml(note)}</span>` : ''}
+			</div>`;
+		const section = (title, className, items, render) => items.length === 0 ? '' : `
+			<div class="session-diff-section ${className}">
+				<h5>${title} (${items.length})</h5>
+				<div class="window-tabs-list">
+					${items.slice(0, MAX_LISTED).map(render).join('')}
+					${items.length > MAX_LISTED ? `<div class="tab-item">...and ${items.length - MAX_LISTED} more</div>` : ''}
+				</div>
+			</div>`;
+
+		const hasChanges = diff.closed.length + diff.added.length + diff.moved.length + diff.changed.length > 0;
+		container.innerHTML = `
+			<p class="session-diff-summary">
+				From <strong>${escapeHtml(before.name)}</strong> to <strong>${escapeHtml(after.name)}</strong>:
+				${hasChanges
+					? `${diff.closed.length} closed, ${diff.added.length} added, ${diff.moved.length} moved, ${diff.changed.length} changed URL, ${diff.unchanged} unchanged`
+					: `no differences (${diff.unchanged} tabs)`}
+			</p>
+			${diff.closed.length > 0 ? `<button type="button" class="md-button text compact restore-closed-tabs-btn">Restore ${diff.closed.length} closed tab${diff.closed.length > 1 ? 's' : ''}</button>` : ''}
+			${section('Closed', 'closed', diff.closed, entry => tabLine(entry.tab, `window ${entry.windowIndex + 1}`))}
+			${section('Added', 'added', diff.added, entry => tabLine(entry.tab, `window ${entry.windowIndex + 1}`))}
+			${section('Moved', 'moved', diff.moved, entry => tabLine(entry.tab, `window ${entry.fromWindowIndex + 1} → ${entry.toWindowIndex + 1}`))}
+			${section('Changed URL', 'changed', diff.changed, entry => tabLine(entry.after, `was ${SessionUtils.getSessionTabUrl(entry.before)}`))}
+		`;
+
+		const restoreClosedBtn = container.querySelector('.restore-closed-tabs-btn');
+		if (restoreClosedBtn) restoreClosedBtn.addEventListener('click', onRestoreClosed);
+	}
+
+	async function restoreClosedTabs(session, otherSessionId, container) {
+		try {
+			const restoreSuspended = confirm(
+				'Do you want to restore suspended tabs in their suspended state?\n\n' +
+				'Click OK to keep them suspended (faster, preserves memory usage)\n' +
+				'Click Cancel to restore them as active tabs (may use more memory)'
+			);
+			const reopened = await SessionManager.restoreClosedTabs(session.id, otherSessionId, restoreSuspended);
+			showNotification(reopened > 0 ? `Reopened ${reopened} closed tab${reopened > 1 ? 's' : ''}` : 'No closed tabs to reopen', reopened > 0 ? 'success' : 'info');
+			await compareSession(session, otherSessionId, container);
+		} catch (error) {
+			Logger.logError("Error restoring closed tabs", error, Logger.LogComponent.OPTIONS);
+			showNotification('Error restoring closed tabs: ' + error.message, 'error');
+		}
+	}
+
+	async function toggleSessionProtected(session) {
+		try {
+			await SessionManager.updateSession(session.id, { protected: !session.protected });
+			setSessionStatus(session.protected ? "Session unpinned" : "Session pinned; it will not be removed automatically", "success");
+			await loadSessions();
+		} catch (error) {
+			Logger.logError("Error pinning session", error, Logger.LogComponent.OPTIONS);
+			setSessionStatus("Error pinning session: " + error.message, "error");
+		}
+	}
+
+	async function editSessionTags(session) {
+		const input = prompt('Tags for this session, separated by commas:', (session.tags || []).join(', '));
+		if (input === null) return;
+		try {
+			const updated = await SessionManager.updateSession(session.id, { tags: input });
+			setSessionStatus(updated && updated.tags.length ? `Tags saved: ${updated.tags.join(', ')}` : "Tags removed", "success");
+			await loadSessions();
+		} catch (error) {
+			Logger.logError("Error saving session tags", error, Logger.LogComponent.OPTIONS);
+			setSessionStatus("Error saving session tags: " + error.message, "error");
+		}
+	}
+
+	async function restoreSelectedFromSession(session, detailsRow) {
+		// Collect the checked tabs per window
+		const windows = new Map();
+		detailsRow.querySelectorAll('.session-tab-checkbox:checked').forEach(checkbox => {
+			const windowIndex = parseInt(checkbox.dataset.windowIndex, 10);
+			if (!windows.has(windowIndex)) windows.set(windowIndex, []);
+			windows.get(windowIndex).push(parseInt(checkbox.dataset.tabIndex, 10));
+		});
+		if (windows.size === 0) {
+			showNotification('Select at least one tab to restore.', 'warning');
+			return;
+		}
+
+		try {
+			setRestoreLoading(session.id, true);
+			const selection = {
+				windows: [...windows.entries()].map(([windowIndex, tabIndexes]) => ({ windowIndex, tabIndexes })),
+				tabState: detailsRow.querySelector('.session-restore-state').value,
+				intoWindowId: detailsRow.querySelector('.session-restore-current-window').checked ? (await chrome.windows.getCurrent()).id : null
+			};
+			const { restoredTabs, totalTabs } = await SessionManager.restoreSessionSelection(session.id, selection);
+			if (restoredTabs > 0) {
+				showNotification(`Restored ${restoredTabs} of ${totalTabs} selected tabs`, restoredTabs === totalTabs ? 'success' : 'warning');
+			} else {
+				showNotification('Failed to restore the selected tabs. Please try again.', 'error');
+			}
+		} catch (error) {
+			console.error('Error restoring selected tabs:', error);
+			showNotification('Error restoring selected tabs: ' + error.message, 'error');
+		} finally {
+			setRestoreLoading(session.id, false);
+		}
+	}
+
 	async function deleteSession(sessionId) {
 		try {
 			if (!confirm("Are you sure you want to delete this session? This cannot be undone.")) {
@@ -851,7 +1358,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
 	async function clearAllSessions() {
 		try {
-			if (!confirm("This will delete ALL saved sessions. This action cannot be undone. Continue?")) {
+			if (!confirm("This will delete all saved sessions except pinned ones. This action cannot be undone. Continue?")) {
 				return;
 			}
 
@@ -905,6 +1412,13 @@ document.addEventListener("DOMContentLoaded", async () => {
 	if (sessionSortSelect) {
 		sessionSortSelect.addEventListener('change', loadSessions);
 	}
+	if (sessionSearchInput) {
+		let searchTimeout = null;
+		sessionSearchInput.addEventListener('input', () => {
+			clearTimeout(searchTimeout);
+			searchTimeout = setTimeout(loadSessions, 250);
+		});
+	}
 
 
 	// --- Initial Load ---
@@ -1,7 +1,9 @@
 import * as Prefs from '../common/prefs.js';
 import * as Const from '../common/constants.js';
 import * as WhitelistUtils from '../common/whitelist-utils.js';
+import * as GlobalPause from '../common/global-pause.js';
 import * as Theme from '../common/theme.js';
+import * as SuspensionUtils from '../suspension/suspension-utils.js';
 
 document.addEventListener("DOMContentLoaded", async () => {
 	// Initialize theme using common method
@@ -12,11 +14,21 @@ document.addEventListener("DOMContentLoaded", async () => {
 		suspendRestore: document.getElementById("suspend-restore"),
 		whitelistUrl: document.getElementById("whitelist-url"),
 		whitelistDomain: document.getElementById("whitelist-domain"),
+		alwaysSuspendDomain: document.getElementById("always-suspend-domain"),
 		suspendOthersWindow: document.getElementById("suspend-others-window"),
 		suspendOthersAll: document.getElementById("suspend-others-all"),
 		unsuspendAllWindow: document.getElementById("unsuspend-all-window"),
 		unsuspendAllAll: document.getElementById("unsuspend-all-all"),
 		openSettings: document.getElementById("open-settings"),
+		snoozeScope: document.getElementById("snooze-scope"),
+		snooze1h: document.getElementById("snooze-1h"),
+		snooze4h: document.getElementById("snooze-4h"),
+		snoozeRestart: document.getElementById("snooze-restart"),
+		pauseStatus: document.getElementById("pause-status"),
+		pause15m: document.getElementById("pause-15m"),
+		pause1h: document.getElementById("pause-1h"),
+		pauseRestart: document.getElementById("pause-restart"),
+		pauseResume: document.getElementById("pause-resume"),
 		actionFeedback: document.getElementById("action-feedback-message")
 	};
 
@@ -24,6 +36,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 	let currentTab = null;
 	let currentPrefs = {}; // Will be populated with full prefs object from background
 	let currentWhitelist = [];
+	let currentPause = null;
 	let feedbackTimeout = null;
 
 	// --- Initialization ---
@@ -60,7 +73,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 		});
 
 		try {
-			const result = await chrome.storage.local.get([Prefs.PREFS_KEY, Prefs.WHITELIST_KEY]);
+			const result = await chrome.storage.local.get([Prefs.PREFS_KEY, Prefs.WHITELIST_KEY, Const.STORAGE_KEYS.GLOBAL_PAUSE]);
 			const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
 
 			const activeTab = tabs[0];
@@ -72,7 +85,9 @@ document.addEventListener("DOMContentLoaded", async () => {
 
 			currentTab = activeTab;
 			currentPrefs = { ...Prefs.defaultPrefs, ...(result[Prefs.PREFS_KEY] || {}) };
-			currentWhitelist = result[Prefs.WHITELIST_KEY] || [];
+			currentWhitelist = WhitelistUtils.migrateWhitelist(result[Prefs.WHITELIST_KEY] || []);
+			const storedPause = result[Const.STORAGE_KEYS.GLOBAL_PAUSE] || null;
+			currentPause = GlobalPause.isPauseActive(storedPause) ? storedPause : null;
 			updateUI();
 		} catch (error) {
 			showError(error.message || 'Failed to load popup data');
@@ -94,13 +109,20 @@ document.addEventListener("DOMContentLoaded", async () => {
 			return;
 		}
 
-		const isSuspendedPage = currentTab.url && currentTab.url.startsWith(chrome.runtime.getURL("suspended.html"));
+		const isSuspendedPage = SuspensionUtils.isTabSuspended(currentTab);
 		const isSpecialPage = currentTab.url &&
 			(currentTab.url.startsWith('chrome://') ||
 				currentTab.url.startsWith('about:') ||
 				currentTab.url.startsWith('file://') ||
 				!currentTab.url.match(/^https?:\/\//)); // Also consider non http/https as special for suspension
 
+		// Snoozing only makes sense for tabs that could be auto-suspended
+		[elements.snoozeScope, elements.snooze1h, elements.snooze4h, elements.snoozeRestart].forEach(el => {
+			if (el) el.disabled = isSuspendedPage || isSpecialPage;
+		});
+
+		updatePauseControls();
+
 		if (isSuspendedPage) {
 			elements.suspendRestore.textContent = "Restore Tab";
 			elements.suspendRestore.disabled = false;
@@ -116,11 +138,25 @@ document.addEventListener("DOMContentLoaded", async () => {
 		}
 	}
 
+	function updatePauseControls() {
+		const paused = !!currentPause;
+		if (paused) {
+			const untilText = currentPause.until === null
+				? 'until browser restart'
+				: `until ${new Date(currentPause.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+			elements.pauseStatus.textContent = `Paused ${untilText}`;
+		}
+		elements.pauseStatus.classList.toggle('hidden', !paused);
+		elements.pauseResume.classList.toggle('hidden', !paused);
+	}
+
 	function disableWhitelistControls(disabled, title = '') {
 		elements.whitelistUrl.disabled = disabled;
 		elements.whitelistDomain.disabled = disabled;
+		elements.alwaysSuspendDomain.disabled = disabled;
 		elements.whitelistUrl.title = title;
 		elements.whitelistDomain.title = title;
+		elements.alwaysSuspendDomain.title = title;
 	}
 
 	function updateWhitelistControls() {
@@ -136,6 +172,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 			// Use shared utils for whitelist checks
 			const urlWhitelisted = WhitelistUtils.isWhitelisted(currentWhitelist, fullUrl);
 			const domainWhitelisted = WhitelistUtils.isWhitelisted(currentWhitelist, domain);
+			const domainAlwaysSuspended = (currentPrefs.alwaysSuspendSites || []).includes(domain);
 
 			// Update only the text span to preserve the icon structure
 			const urlTextSpan = elements.whitelistUrl.querySelector('.button-text');
@@ -147,6 +184,11 @@ document.addEventListener("DOMContentLoaded", async () => {
 			if (domainTextSpan) {
 				domainTextSpan.textContent = domainWhitelisted ? "Domain Whitelisted ✓" : "Never Suspend Domain";
 			}
+			const alwaysSuspendTextSpan = elements.alwaysSuspendDomain.querySelector('.button-text');
+			if (alwaysSuspendTextSpan) {
+				alwaysSuspendTextSpan.textContent = domainAlwaysSuspended ? "Always Suspended ✓" : "Always Suspend Domain";
+			}
+			elements.alwaysSuspendDomain.classList.toggle('always-suspended', domainAlwaysSuspended);
 
 			// Add visual indication (button style) for both URL and domain
 			if (urlWhitelisted) {
@@ -168,7 +210,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 	// --- Event Handlers ---
 	async function handleSuspendRestore() {
 		if (!currentTab || !currentTab.id) return;
-		const isSuspendedPage = currentTab.url && currentTab.url.startsWith(chrome.runtime.getURL("suspended.html"));
+		const isSuspendedPage = SuspensionUtils.isTabSuspended(currentTab);
 		const action = isSuspendedPage
 			? { type: Const.MSG_UNSUSPEND_TAB, tabId: currentTab.id, shouldFocus: false }
 			: { type: Const.MSG_SUSPEND_TAB, tabId: currentTab.id, isManual: true };
@@ -242,11 +284,69 @@ document.addEventListener("DOMContentLoaded", async () => {
 		);
 	}
 
+	async function handleAlwaysSuspendToggle() {
+		if (!currentTab || !currentTab.url) return;
+		let domain;
+		try {
+			domain = normalizeDomain(new URL(currentTab.url).hostname);
+		} catch (e) {
+			showError('Invalid URL for always-suspend.');
+			return;
+		}
+		if (!isValidDomain(domain)) {
+			showError('Invalid domain for always-suspend.');
+			return;
+		}
+
+		const sites = currentPrefs.alwaysSuspendSites || [];
+		const isAlwaysSuspended = sites.includes(domain);
+		const newSettings = {
+			...currentPrefs,
+			alwaysSuspendSites: isAlwaysSuspended ? sites.filter(site => site !== domain) : [...sites, domain]
+		};
+
+		await sendMessageAndFeedback(
+			{ type: Const.MSG_SAVE_SETTINGS, settings: newSettings },
+			isAlwaysSuspended ? 'Removing domain from always-suspend list...' : 'Adding domain to always-suspend list...',
+			() => {
+				currentPrefs = newSettings;
+				updateUI();
+				showFeedback(isAlwaysSuspended ? 'Domain will no longer be suspended immediately' : 'Domain will be suspended as soon as you leave it', false, 2000);
+			}
+		);
+	}
+
+	async function handleSnooze(durationMinutes) {
+		if (!currentTab || !currentTab.id) return;
+		const snoozeType = elements.snoozeScope.value;
+		const durationText = durationMinutes === null ? 'until restart' : `for ${durationMinutes / 60}h`;
+		await sendMessageAndFeedback(
+			{ type: Const.MSG_SNOOZE, snoozeType, tabId: currentTab.id, durationMinutes },
+			`Snoozing ${snoozeType} ${durationText}...`
+		);
+	}
+
+	async function handlePause(durationMinutes) {
+		const durationText = durationMinutes === null ? 'until restart' : durationMinutes < 60 ? `for ${durationMinutes} min` : `for ${durationMinutes / 60}h`;
+		await sendMessageAndFeedback(
+			{ type: Const.MSG_PAUSE_AUTO_SUSPEND, durationMinutes },
+			`Pausing auto-suspend ${durationText}...`
+		);
+	}
+
 	function setupEventListeners() {
 		elements.suspendRestore.addEventListener("click", handleSuspendRestore);
 		elements.whitelistUrl.addEventListener("click", () => handleWhitelistToggle('url'));
 		elements.whitelistDomain.addEventListener("click", () => handleWhitelistToggle('domain'));
+		elements.alwaysSuspendDomain.addEventListener("click", handleAlwaysSuspendToggle);
 		elements.openSettings.addEventListener("click", () => { chrome.runtime.openOptionsPage(); window.close(); });
+		elements.snooze1h.addEventListener("click", () => handleSnooze(60));
+		elements.snooze4h.addEventListener("click", () => handleSnooze(240));
+		elements.snoozeRestart.addEventListener("click", () => handleSnooze(null));
+		elements.pause15m.addEventListener("click", () => handlePause(15));
+		elements.pause1h.addEventListener("click", () => handlePause(60));
+		elements.pauseRestart.addEventListener("click", () => handlePause(null));
+		elements.pauseResume.addEventListener("click", () => sendMessageAndFeedback({ type: Const.MSG_RESUME_AUTO_SUSPEND }, "Resuming auto-suspend..."));
 
 		elements.suspendOthersWindow.addEventListener("click", () => {
 			if (currentTab && currentTab.windowId) {
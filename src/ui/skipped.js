@@ -11,6 +11,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     const toggleSpecialUrlBtn = document.getElementById('toggle-special-url');
     const specialUrlContent = document.getElementById('special-url-content');
     const backBtn = document.getElementById('back-to-options');
+    const snoozeSection = document.getElementById('snooze-section');
+    const snoozeList = document.getElementById('snooze-list');
 
     backBtn.addEventListener('click', () => {
         window.location.href = 'options.html';
@@ -129,12 +131,49 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    function renderSnoozes(snoozes) {
+        snoozeList.innerHTML = '';
+        if (!snoozes || snoozes.length === 0) {
+            snoozeSection.classList.add('hidden');
+            return;
+        }
+        snoozeSection.classList.remove('hidden');
+        snoozes.forEach(snooze => {
+            const row = document.createElement('div');
+            row.className = 'skipped-tab-row';
+            row.innerHTML = `
+                <button class="md-button compact cancel-snooze-btn" title="Cancel this snooze">Cancel</button>
+                <div class="skipped-tab-info">
+                    <div class="skipped-tab-title">${escapeHtml(snooze.label)}</div>
+                    <div class="skipped-tab-reason"><strong>${escapeHtml(snooze.type)}</strong> snoozed ${escapeHtml(snooze.expiryText)}</div>
+                </div>
+            `;
+            row.querySelector('.cancel-snooze-btn').addEventListener('click', async (e) => {
+                e.currentTarget.disabled = true;
+                chrome.runtime.sendMessage({ type: Const.MSG_CANCEL_SNOOZE, snoozeId: snooze.id }, () => {
+                    // Reload so the skipped list reflects tabs that are no longer snoozed
+                    window.location.reload();
+                });
+            });
+            snoozeList.appendChild(row);
+        });
+    }
+
     function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
 
+    // Fetch active snoozes from background
+    chrome.runtime.sendMessage({ type: Const.MSG_GET_SNOOZES }, (resp) => {
+        if (chrome.runtime.lastError || !resp || !resp.success) {
+            console.error('Error loading snoozes:', chrome.runtime.lastError || resp);
+            return;
+        }
+        renderSnoozes(resp.snoozes);
+    });
+
     // Fetch skipped tabs from background
     chrome.runtime.sendMessage({ type: Const.MSG_GET_SKIPPED_TABS }, (resp) => {
         if (chrome.runtime.lastError) {
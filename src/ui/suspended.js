@@ -3,6 +3,9 @@ import * as Logger from '../common/logger.js';
 import * as Theme from '../common/theme.js';
 import * as FaviconUtils from '../common/favicon-utils.js';
 import * as SuspensionUtils from '../suspension/suspension-utils.js';
+import * as Prefs from '../common/prefs.js';
+import * as Const from '../common/constants.js';
+import * as ScreenshotStore from '../common/screenshot-store.js';
 
 (async () => {
 	try {
@@ -87,6 +90,8 @@ import * as SuspensionUtils from '../suspension/suspension-utils.js';
 
 				try {
 					new URL(originalUrl); // Validate URL before navigating
+					// Let the background restore the scroll position once the page has loaded
+					chrome.runtime.sendMessage({ type: Const.MSG_RESTORING_SUSPENDED_PAGE }).catch(() => { });
 					location.href = originalUrl;
 				} catch (e) {
 					Logger.logError("restore", `Invalid URL for restore: ${originalUrl}`, Logger.LogComponent.SUSPENDED, e);
@@ -133,7 +138,23 @@ import * as SuspensionUtils from '../suspension/suspension-utils.js';
 			Logger.logError("Error setting up event listeners", eventError, Logger.LogComponent.SUSPENDED);
 		}
 
-		// 4) Favicon - favicon handling with grayscale processing
+		// 4) Page preview, if one was captured and previews are enabled
+		try {
+			const result = await chrome.storage.local.get([Prefs.PREFS_KEY]);
+			if (originalUrl && result[Prefs.PREFS_KEY]?.screenshotsEnabled) {
+				const screenshot = await ScreenshotStore.getScreenshot(originalUrl);
+				const previewSection = document.getElementById("preview-section");
+				const previewImage = document.getElementById("page-preview");
+				if (screenshot && previewSection && previewImage) {
+					previewImage.src = URL.createObjectURL(screenshot.blob);
+					previewSection.hidden = false;
+				}
+			}
+		} catch (previewError) {
+			Logger.logError("Error showing page preview", previewError, Logger.LogComponent.SUSPENDED);
+		}
+
+		// 5) Favicon - favicon handling with grayscale processing
 		try {
 			const faviconLink = document.getElementById("favicon");
 			if (!faviconLink) {
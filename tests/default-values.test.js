@@ -40,7 +40,31 @@ test.describe('Default Values Tests', () => {
         expect(defaultPrefsString).toContain('suspendAfter: 10');
         expect(defaultPrefsString).toContain('lastPositiveSuspendAfter: 10');
         expect(defaultPrefsString).toContain('preserveHistory: true');
+        expect(defaultPrefsString).toContain('nativeDiscardOnly: false');
         expect(defaultPrefsString).toContain('autoSuspendEnabled: true');
+        expect(defaultPrefsString).toContain("suspensionStrategy: 'timer'");
+        expect(defaultPrefsString).toContain('memoryPressureThreshold: 85');
+        expect(defaultPrefsString).toContain('maxLiveTabs: 0');
+        expect(defaultPrefsString).toContain("maxLiveTabsScope: 'window'");
+        expect(defaultPrefsString).toContain('siteTimeoutRules: []');
+        expect(defaultPrefsString).toContain('suspensionPolicies: []');
+        expect(defaultPrefsString).toContain('tabGroupRules: []');
+        expect(defaultPrefsString).toContain('suspendGroupOnCollapse: false');
+        expect(defaultPrefsString).toContain('alwaysSuspendSites: []');
+        expect(defaultPrefsString).toContain('alwaysSuspendDelaySeconds: 0');
+        expect(defaultPrefsString).toContain('screenshotsEnabled: false');
+        expect(defaultPrefsString).toContain('screenshotQuality: 60');
+        expect(defaultPrefsString).toContain('screenshotMaxStorageMB: 50');
+        expect(defaultPrefsString).toContain('pauseWhileActiveElsewhere: false');
+        expect(defaultPrefsString).toContain('suspendOnSystemIdle: false');
+        expect(defaultPrefsString).toContain('systemIdleMinutes: 15');
+        expect(defaultPrefsString).toContain('suspendOnScreenLock: false');
+        expect(defaultPrefsString).toContain('unsuspendOnFocus: false');
+        expect(defaultPrefsString).toContain('unsuspendOnFocusDelayMs: 500');
+        expect(defaultPrefsString).toContain("suspendedLinkModifier: 'none'");
+        expect(defaultPrefsString).toContain("badgeMode: 'off'");
+        expect(defaultPrefsString).toContain('badgeReasonIcon: false');
+        expect(defaultPrefsString).toContain('externalApiAllowlist: []');
 
         // Test never suspend settings
         expect(defaultPrefsString).toContain('neverSuspendPinned: true');
@@ -198,7 +222,7 @@ test.describe('Default Values Tests', () => {
         expect(manifest.incognito).toBe('split');
 
         // Test required permissions
-        const requiredPermissions = ['tabs', 'storage', 'alarms', 'scripting', 'favicon'];
+        const requiredPermissions = ['tabs', 'storage', 'alarms', 'scripting', 'favicon', 'idle', 'system.memory', 'tabGroups'];
         requiredPermissions.forEach(permission => {
             expect(manifest.permissions).toContain(permission);
         });
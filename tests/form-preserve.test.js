@@ -0,0 +1,208 @@
+const { test, expect } = require('./config/node_modules/@playwright/test');
+
+// Same logic as collectDirtyFields / fillSavedFields in src/suspension/form-preserve.js,
+// which run in the page through chrome.scripting
+function collectDirtyFields() {
+    const skippedTypes = ['hidden', 'button', 'submit', 'reset', 'image', 'file', 'password'];
+    const nameCounts = new Map();
+    const fields = [];
+    document.querySelectorAll('input, textarea, select').forEach((el, index) => {
+        const name = el.name || '';
+        const nameIndex = nameCounts.get(name) || 0;
+        nameCounts.set(name, nameIndex + 1);
+
+        const type = el.tagName === 'INPUT' ? (el.type || 'text') : el.tagName.toLowerCase();
+        if (el.disabled || el.readOnly || skippedTypes.includes(type)) return;
+        const key = { id: el.id || '', name, nameIndex, index, type };
+
+        if (type === 'checkbox' || type === 'radio') {
+            if (el.checked !== el.defaultChecked) fields.push({ ...key, checked: el.checked });
+        } else if (type === 'select') {
+            const options = Array.from(el.options);
+            const dirty = el.multiple
+                ? options.some(o => o.selected !== o.defaultSelected)
+                : el.selectedIndex !== Math.max(0, options.findLastIndex(o => o.defaultSelected));
+            if (dirty) fields.push({ ...key, selected: options.filter(o => o.selected).map(o => o.value) });
+        } else if (el.value !== el.defaultValue) {
+            fields.push({ ...key, value: el.value });
+        }
+    });
+    return fields.length > 0 ? { frameUrl: location.href, fields } : null;
+}
+
+function fillSavedFields(frames) {
+    const snapshot = frames.find(frame => frame.frameUrl === location.href);
+    if (!snapshot) return 0;
+
+    const all = Array.from(document.querySelectorAll('input, textarea, select'));
+    let restored = 0;
+    for (const field of snapshot.fields) {
+        let el = field.id ? document.getElementById(field.id) : null;
+        if (!el || !all.includes(el)) {
+            el = field.name ? all.filter(e => (e.name || '') === field.name)[field.nameIndex] : all[field.index];
+        }
+        if (!el) continue;
+        const type = el.tagName === 'INPUT' ? (el.type || 'text') : el.tagName.toLowerCase();
+        if (type !== field.type || el.disabled || el.readOnly) continue;
+
+        if (field.checked !== undefined) {
+            el.checked = field.checked;
+        } else if (field.selected !== undefined) {
+            for (const option of el.options) option.selected = field.selected.includes(option.value);
+        } else {
+            el.value = field.value;
+        }
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        restored++;
+    }
+    return restored;
+}
+
+const FORM_HTML = `
+    <form>
+        <input id="title" type="text" value="Draft">
+        <textarea id="body">Original</textarea>
+        <input id="agree" type="checkbox">
+        <input id="subscribed" type="checkbox" checked>
+        <input type="radio" name="size" value="s" checked>
+        <input type="radio" name="size" value="m">
+        <select id="country"><option value="nl">NL</option><option value="de">DE</option></select>
+        <select id="tags" multiple><option value="a" selected>A</option><option value="b">B</option><option value="c">C</option></select>
+        <input name="line" type="text">
+        <input name="line" type="text">
+        <input id="count" type="number" value="1">
+        <input id="secret" type="password">
+        <input id="token" type="hidden" value="abc">
+        <input id="locked" type="text" value="fixed" disabled>
+        <input id="untouched" type="email" value="a@example.com">
+    </form>`;
+
+async function loadForm(page) {
+    await page.setContent(FORM_HTML);
+    await page.addScriptTag({ content: `${collectDirtyFields.toString()}\n${fillSavedFields.toString()}` });
+}
+
+test.describe('Form Preserve Tests', () => {
+    test('unchanged forms produce no snapshot', async ({ browser }) => {
+        const context = await browser.newContext();
+        const page = await context.newPage();
+
+        try {
+            await loadForm(page);
+            expect(await page.evaluate(() => collectDirtyFields())).toBeNull();
+        } finally {
+            await context.close();
+        }
+    });
+
+    test('each field type is saved only when changed, and secrets are never saved', async ({ browser }) => {
+        const context = await browser.newContext();
+        const page = await context.newPage();
+
+        try {
+            await loadForm(page);
+            await page.fill('#title', 'Final title');
+            await page.fill('#body', 'Line one\nLine two');
+            await page.check('#agree');
+            await page.uncheck('#subscribed');
+            await page.check('input[name="size"][value="m"]');
+            await page.selectOption('#country', 'de');
+            await page.selectOption('#tags', ['b', 'c']);
+            await page.fill('input[name="line"] >> nth=1', 'second line');
+            await page.fill('#count', '42');
+            await page.fill('#secret', 'hunter2');
+
+            const snapshot = await page.evaluate(() => collectDirtyFields());
+            const byKey = Object.fromEntries(snapshot.fields.map(f => [f.id || `${f.name}#${f.nameIndex}`, f]));
+
+            expect(byKey.title).toMatchObject({ type: 'text', value: 'Final title' });
+            expect(byKey.body).toMatchObject({ type: 'textarea', value: 'Line one\nLine two' });
+            expect(byKey.agree).toMatchObject({ type: 'checkbox', checked: true });
+            expect(byKey.subscribed).toMatchObject({ type: 'checkbox', checked: false });
+            // Both radios of the group changed state
+            expect(byKey['size#0']).toMatchObject({ type: 'radio', checked: false });
+            expect(byKey['size#1']).toMatchObject({ type: 'radio', checked: true });
+            expect(byKey.country).toMatchObject({ type: 'select', selected: ['de'] });
+            expect(byKey.tags).toMatchObject({ type: 'select', selected: ['b', 'c'] });
+            expect(byKey['line#1']).toMatchObject({ type: 'text', value: 'second line' });
+            expect(byKey['line#0']).toBeUndefined();
+            expect(byKey.count).toMatchObject({ type: 'number', value: '42' });
+
+            // Passwords, hidden, disabled and untouched fields are left out
+            expect(byKey.secret).toBeUndefined();
+            expect(byKey.token).toBeUndefined();
+            expect(byKey.locked).toBeUndefined();
+            expect(byKey.untouched).toBeUndefined();
+        } finally {
+            await context.close();
+        }
+    });
+
+    test('saved fields are filled back into a freshly loaded page', async ({ browser }) => {
+        const context = await browser.newContext();
+        const page = await context.newPage();
+
+        try {
+            await loadForm(page);
+            await page.fill('#title', 'Final title');
+            await page.check('#agree');
+            await page.check('input[name="size"][value="m"]');
+            await page.selectOption('#country', 'de');
+            await page.selectOption('#tags', ['b', 'c']);
+            await page.fill('input[name="line"] >> nth=1', 'second line');
+            const snapshot = await page.evaluate(() => collectDirtyFields());
+
+            // Simulate the page being reloaded after unsuspend
+            await loadForm(page);
+            await page.evaluate(() => {
+                window.changeEvents = 0;
+                document.addEventListener('change', () => window.changeEvents++);
+            });
+            const restored = await page.evaluate(frames => fillSavedFields(frames), [snapshot]);
+            expect(restored).toBe(snapshot.fields.length);
+
+            const values = await page.evaluate(() => ({
+                title: document.getElementById('title').value,
+                agree: document.getElementById('agree').checked,
+                size: document.querySelector('input[name="size"]:checked').value,
+                country: document.getElementById('country').value,
+                tags: Array.from(document.getElementById('tags').selectedOptions).map(o => o.value),
+                lines: Array.from(document.querySelectorAll('input[name="line"]')).map(el => el.value),
+                changeEvents: window.changeEvents
+            }));
+            expect(values).toEqual({
+                title: 'Final title',
+                agree: true,
+                size: 'm',
+                country: 'de',
+                tags: ['b', 'c'],
+                lines: ['', 'second line'],
+                changeEvents: snapshot.fields.length
+            });
+        } finally {
+            await context.close();
+        }
+    });
+
+    test('fields that changed type or frames with another URL are not filled', async ({ browser }) => {
+        const context = await browser.newContext();
+        const page = await context.newPage();
+
+        try {
+            await loadForm(page);
+            const frameUrl = await page.evaluate(() => location.href);
+            expect(await page.evaluate(frames => fillSavedFields(frames), [
+                { frameUrl: 'https://other.example.com/', fields: [{ id: 'title', name: '', nameIndex: 0, index: 0, type: 'text', value: 'x' }] }
+            ])).toBe(0);
+
+            // #agree is a checkbox now, so a saved text value for it is ignored
+            expect(await page.evaluate(frames => fillSavedFields(frames), [
+                { frameUrl, fields: [{ id: 'agree', name: '', nameIndex: 0, index: 2, type: 'text', value: 'x' }] }
+            ])).toBe(0);
+            expect(await page.evaluate(() => document.getElementById('title').value)).toBe('Draft');
+        } finally {
+            await context.close();
+        }
+    });
+});
@@ -1,4 +1,9 @@
 const { test, expect } = require('./config/node_modules/@playwright/test');
+// Side-effect-free modules are loaded from src (Playwright transpiles them), so these tests check the shipped code
+const SiteRulesUtils = require('../src/common/site-rules-utils.js');
+const Policies = require('../src/common/policies.js');
+const WhitelistRules = require('../src/common/whitelist-rules.js');
+const GlobalPause = require('../src/common/global-pause.js');
 
 test.describe('Tab Suspension Logic Tests', () => {
     test('tab suspension respects conditional exceptions', async () => {
@@ -321,4 +326,1208 @@ test.describe('Tab Suspension Logic Tests', () => {
         expect(allEligibleTabs).toHaveLength(2);
         expect(allEligibleTabs.map(t => t.id)).toEqual([1, 4]);
     });
-}); 
\ No newline at end of file
+
+    test('per-site timeout rules override the global delay', async () => {
+        const globalDelay = 10;
+        const rules = [
+            { pattern: 'docs.google.com', minutes: 120 },
+            { pattern: '*.reddit.com', minutes: 2 },
+            { pattern: 'https://example.com/news/*', minutes: 5 },
+            { pattern: 'example.org/docs', minutes: 45 }
+        ];
+        const getSuspendDelayForUrl = (url) => SiteRulesUtils.findSiteTimeoutRule(rules, url)?.minutes ?? globalDelay;
+
+        expect(getSuspendDelayForUrl('https://docs.google.com/document/d/1')).toBe(120);
+        // Host-only wildcards match the hostname, as in the whitelist
+        expect(getSuspendDelayForUrl('https://www.reddit.com/r/chrome')).toBe(2);
+        expect(getSuspendDelayForUrl('https://old.reddit.com/')).toBe(2);
+        expect(getSuspendDelayForUrl('https://reddit.example.com/')).toBe(globalDelay);
+        expect(getSuspendDelayForUrl('https://example.com/news/today')).toBe(5);
+        expect(getSuspendDelayForUrl('https://example.com/about')).toBe(globalDelay);
+        expect(getSuspendDelayForUrl('https://example.org/docs/intro')).toBe(45);
+        expect(getSuspendDelayForUrl('https://mail.google.com/')).toBe(globalDelay);
+        expect(getSuspendDelayForUrl('not a url')).toBe(globalDelay);
+        // The first matching rule wins
+        expect(SiteRulesUtils.findSiteTimeoutRule([{ pattern: 'reddit.com', minutes: 7 }, ...rules], 'https://old.reddit.com/').minutes).toBe(7);
+    });
+
+    test('per-site timeout rules parse from text', async () => {
+        const rules = SiteRulesUtils.parseSiteTimeoutRulesText(`docs.google.com 120
+*.reddit.com = 2
+
+invalid-line
+zero.example.com 0
+<script> 5`);
+
+        expect(rules).toEqual([
+            { pattern: 'docs.google.com', minutes: 120 },
+            { pattern: '*.reddit.com', minutes: 2 }
+        ]);
+        expect(rules.every(SiteRulesUtils.isValidSiteTimeoutRule)).toBe(true);
+        expect(SiteRulesUtils.parseSiteTimeoutRulesText(SiteRulesUtils.formatSiteTimeoutRulesText(rules))).toEqual(rules);
+    });
+
+    test('schedule policies pick the policy in force by local time', async () => {
+        const policies = [
+            { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', action: 'delay', delayMinutes: 60, exemptions: [] },
+            { days: [5], start: '22:00', end: '06:00', action: 'off', delayMinutes: null, exemptions: [] },
+            { days: [0, 1, 2, 3, 4, 5, 6], start: '00:00', end: '23:59', action: 'default', delayMinutes: null, exemptions: ['example.com'] }
+        ];
+
+        // Wednesday 2024-01-10 10:30 -> weekday working hours
+        expect(Policies.getActivePolicy(policies, new Date(2024, 0, 10, 10, 30)).index).toBe(0);
+        // Friday 23:00 -> overnight policy starting Friday
+        expect(Policies.getActivePolicy(policies, new Date(2024, 0, 12, 23, 0)).index).toBe(1);
+        // Saturday 03:00 -> still the Friday overnight policy
+        expect(Policies.getActivePolicy(policies, new Date(2024, 0, 13, 3, 0)).index).toBe(1);
+        // Saturday 12:00 -> catch-all policy
+        expect(Policies.getActivePolicy(policies, new Date(2024, 0, 13, 12, 0)).index).toBe(2);
+        // No policies -> nothing in force
+        expect(Policies.getActivePolicy([], new Date(2024, 0, 13, 12, 0))).toBeNull();
+    });
+
+    test('schedule policy exemptions match like whitelist patterns', async () => {
+        const [policy] = Policies.parsePoliciesText('mon-fri 09:00-17:00 default except *.example.com,docs.google.com,https://news.example.org/*');
+        expect(policy.exemptions).toEqual(['*.example.com', 'docs.google.com', 'https://news.example.org/*']);
+
+        // Host-only wildcards match the hostname
+        expect(Policies.findPolicyExemption(policy, 'https://jira.example.com/browse/X-1')).toBe('*.example.com');
+        expect(Policies.findPolicyExemption(policy, 'https://a.b.example.com/')).toBe('*.example.com');
+        expect(Policies.findPolicyExemption(policy, 'https://docs.google.com/document/d/1')).toBe('docs.google.com');
+        expect(Policies.findPolicyExemption(policy, 'https://news.example.org/today')).toBe('https://news.example.org/*');
+        expect(Policies.findPolicyExemption(policy, 'https://example.org/')).toBeNull();
+        expect(Policies.findPolicyExemption(policy, 'https://mail.google.com/')).toBeNull();
+        expect(Policies.findPolicyExemption({ ...policy, exemptions: [] }, 'https://jira.example.com/')).toBeNull();
+    });
+
+    test('countdowns pause while the user is active outside the browser', async () => {
+        const MAX_PAUSE_SHIFT_MS = 0.5 * 2 * 60 * 1000;
+        const shouldPause = (prefs, browserFocused, idleState) =>
+            prefs.pauseWhileActiveElsewhere && !browserFocused && idleState === 'active';
+        const shift = (schedules, previousScanAt, now) => {
+            const elapsed = previousScanAt ? Math.min(now - previousScanAt, MAX_PAUSE_SHIFT_MS) : 0;
+            for (const [tabId, info] of schedules.entries()) {
+                schedules.set(tabId, { ...info, scheduledTime: info.scheduledTime + elapsed });
+            }
+        };
+
+        const prefs = { pauseWhileActiveElsewhere: true };
+        expect(shouldPause(prefs, false, 'active')).toBe(true);
+        expect(shouldPause(prefs, true, 'active')).toBe(false);
+        expect(shouldPause(prefs, false, 'idle')).toBe(false);
+        expect(shouldPause(prefs, false, 'locked')).toBe(false);
+        expect(shouldPause({ pauseWhileActiveElsewhere: false }, false, 'active')).toBe(false);
+
+        const schedules = new Map([[1, { scheduledTime: 100000, delayMinutes: 10 }]]);
+        shift(schedules, 1000, 31000);
+        expect(schedules.get(1).scheduledTime).toBe(130000);
+        // A long gap (e.g. laptop sleep) only shifts by the cap
+        shift(schedules, 1000, 1000 + 60 * 60 * 1000);
+        expect(schedules.get(1).scheduledTime).toBe(130000 + MAX_PAUSE_SHIFT_MS);
+        // First scan after a worker restart does not shift
+        shift(schedules, null, 5000);
+        expect(schedules.get(1).scheduledTime).toBe(130000 + MAX_PAUSE_SHIFT_MS);
+    });
+
+    test('memory pressure suspends least-recently-used tabs until below threshold', async () => {
+        const BATCH_SIZE = 3;
+        const MAX_BATCHES = 4;
+        const tabs = [
+            { id: 1, lastAccessed: 5000 },
+            { id: 2, lastAccessed: 1000 },
+            { id: 3, lastAccessed: 3000, pinned: true },
+            { id: 4, lastAccessed: 2000 },
+            { id: 5, lastAccessed: 4000 },
+            { id: 6 }
+        ];
+        // Each suspended tab frees 5% of memory
+        let usage = 92;
+        const threshold = 85;
+        const suspendedOrder = [];
+
+        const candidates = tabs
+            .filter(tab => !tab.pinned)
+            .sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0));
+        for (let batchCount = 0; usage >= threshold && batchCount < MAX_BATCHES && candidates.length > 0; batchCount++) {
+            const batch = candidates.splice(0, BATCH_SIZE);
+            for (const tab of batch) {
+                suspendedOrder.push(tab.id);
+                usage -= 5;
+            }
+        }
+
+        // Oldest first, skipped tabs untouched, stops after the batch that brings usage below the threshold
+        expect(suspendedOrder).toEqual([6, 2, 4]);
+        expect(usage).toBeLessThan(threshold);
+    });
+
+    test('live tab cap evicts least recently activated tabs per window or globally', async () => {
+        const lastActivated = new Map([[1, 100], [2, 500], [3, 300], [4, 200], [5, 400]]);
+        const tabs = [
+            { id: 1, windowId: 10 },
+            { id: 2, windowId: 10, active: true },
+            { id: 3, windowId: 10 },
+            { id: 4, windowId: 20, pinned: true },
+            { id: 5, windowId: 20 },
+            { id: 6, windowId: 20, discarded: true }
+        ];
+        const pickEvictions = (cap, scope) => {
+            const groups = new Map();
+            for (const tab of tabs.filter(t => !t.discarded)) {
+                const key = scope === 'global' ? 'global' : tab.windowId;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(tab);
+            }
+            const evicted = [];
+            for (const groupTabs of groups.values()) {
+                const excess = groupTabs.length - cap;
+                if (excess <= 0) continue;
+                const candidates = groupTabs
+                    .filter(tab => !tab.active && !tab.pinned)
+                    .sort((a, b) => (lastActivated.get(a.id) ?? 0) - (lastActivated.get(b.id) ?? 0));
+                evicted.push(...candidates.slice(0, excess).map(tab => tab.id));
+            }
+            return evicted;
+        };
+
+        // Window 10 has 3 live tabs, window 20 has 2 (the discarded one does not count)
+        expect(pickEvictions(2, 'window')).toEqual([1]);
+        expect(pickEvictions(1, 'window')).toEqual([1, 3, 5]);
+        // 5 live tabs globally: evict the 2 oldest eligible ones
+        expect(pickEvictions(3, 'global')).toEqual([1, 3]);
+        expect(pickEvictions(5, 'global')).toEqual([]);
+    });
+
+    test('tab group rules parse from text and match by title or color', async () => {
+        const COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+        const parseGroupRulesText = (text) => {
+            const rules = [];
+            for (const rawLine of text.split('\n')) {
+                const line = rawLine.trim();
+                if (!line || /[<>"'`;]/.test(line)) continue;
+                const separator = line.lastIndexOf('=');
+                if (separator <= 0) continue;
+                const target = line.slice(0, separator).trim();
+                const actionText = line.slice(separator + 1).trim().toLowerCase();
+                const colorMatch = target.match(/^color:\s*(\w+)$/i);
+                const rule = colorMatch
+                    ? { match: 'color', value: colorMatch[1].toLowerCase(), action: actionText, minutes: null }
+                    : { match: 'title', value: target, action: actionText, minutes: null };
+                if (/^\d+$/.test(actionText)) {
+                    rule.action = 'delay';
+                    rule.minutes = parseInt(actionText, 10);
+                }
+                if (rule.match === 'color' && !COLORS.includes(rule.value)) continue;
+                if (!['never', 'together', 'delay'].includes(rule.action)) continue;
+                if (rule.action === 'delay' && rule.minutes < 1) continue;
+                rules.push(rule);
+            }
+            return rules;
+        };
+        const findGroupRule = (rules, group) => {
+            const title = (group.title || '').trim().toLowerCase();
+            return rules.find(rule => rule.match === 'color'
+                ? rule.value === group.color
+                : title !== '' && rule.value.toLowerCase() === title) || null;
+        };
+
+        const rules = parseGroupRulesText(`Deep Work = never
+color:red = together
+Research = 60
+color:magenta = never
+Misc = sometimes
+Zero = 0`);
+
+        expect(rules).toEqual([
+            { match: 'title', value: 'Deep Work', action: 'never', minutes: null },
+            { match: 'color', value: 'red', action: 'together', minutes: null },
+            { match: 'title', value: 'Research', action: 'delay', minutes: 60 }
+        ]);
+        expect(findGroupRule(rules, { title: 'deep work', color: 'blue' }).action).toBe('never');
+        expect(findGroupRule(rules, { title: '', color: 'red' }).action).toBe('together');
+        expect(findGroupRule(rules, { title: 'Research', color: 'red' }).action).toBe('together');
+        expect(findGroupRule(rules, { title: 'Other', color: 'green' })).toBeNull();
+    });
+
+    test('snoozes match tabs by tab, window or domain and expire', async () => {
+        const now = 1_000_000;
+        const snoozes = [
+            { id: 'a', type: 'tab', target: 7, label: 'Docs', expiresAt: now + 60 * 60 * 1000 },
+            { id: 'b', type: 'window', target: 3, label: 'window 3', expiresAt: null },
+            { id: 'c', type: 'domain', target: 'example.com', label: 'example.com', expiresAt: now + 1000 },
+            { id: 'd', type: 'domain', target: 'expired.com', label: 'expired.com', expiresAt: now - 1 }
+        ];
+        const getActive = (at) => snoozes.filter(s => s.expiresAt === null || s.expiresAt > at);
+        const findSnoozeForTab = (tab, at) => {
+            let hostname = null;
+            try {
+                hostname = new URL(tab.url).hostname.replace(/^www\./i, '').toLowerCase();
+            } catch {
+                // ignore
+            }
+            return getActive(at).find(s =>
+                (s.type === 'tab' && s.target === tab.id) ||
+                (s.type === 'window' && s.target === tab.windowId) ||
+                (s.type === 'domain' && hostname !== null && (hostname === s.target || hostname.endsWith('.' + s.target)))
+            ) || null;
+        };
+
+        expect(findSnoozeForTab({ id: 7, windowId: 1, url: 'https://docs.test/' }, now).id).toBe('a');
+        expect(findSnoozeForTab({ id: 8, windowId: 3, url: 'https://other.test/' }, now).id).toBe('b');
+        expect(findSnoozeForTab({ id: 9, windowId: 1, url: 'https://www.example.com/x' }, now).id).toBe('c');
+        expect(findSnoozeForTab({ id: 9, windowId: 1, url: 'https://mail.example.com/' }, now).id).toBe('c');
+        expect(findSnoozeForTab({ id: 9, windowId: 1, url: 'https://notexample.com/' }, now)).toBeNull();
+        expect(findSnoozeForTab({ id: 10, windowId: 1, url: 'https://expired.com/' }, now)).toBeNull();
+        // After the domain snooze expires only the longer ones remain
+        expect(findSnoozeForTab({ id: 9, windowId: 1, url: 'https://example.com/' }, now + 2000)).toBeNull();
+        expect(getActive(now + 2000).map(s => s.id)).toEqual(['a', 'b']);
+    });
+
+    test('always-suspend sites get a near-immediate delay unless whitelisted', async () => {
+        const IMMEDIATE_SUSPEND_DELAY_MINUTES = 0.1;
+        const prefs = { suspendAfter: 30, alwaysSuspendSites: ['youtube.com', 'grafana.example.com/d'], alwaysSuspendDelaySeconds: 0 };
+        const whitelist = WhitelistRules.compileWhitelist([{ pattern: 'music.youtube.com', action: 'never' }]);
+        // Mirrors getSuspendDelayForUrl in src/common/tab-classifier.js
+        const getSuspendDelay = (url) => {
+            const entry = WhitelistRules.matchCompiledWhitelist(whitelist, url);
+            if (entry && entry.action === 'never') return null; // skipped entirely
+            if (WhitelistRules.findMatchingItem(prefs.alwaysSuspendSites, url)) {
+                return Math.max(prefs.alwaysSuspendDelaySeconds / 60, IMMEDIATE_SUSPEND_DELAY_MINUTES);
+            }
+            return prefs.suspendAfter;
+        };
+
+        expect(getSuspendDelay('https://www.youtube.com/watch?v=1')).toBe(IMMEDIATE_SUSPEND_DELAY_MINUTES);
+        expect(getSuspendDelay('https://grafana.example.com/d/abc')).toBe(IMMEDIATE_SUSPEND_DELAY_MINUTES);
+        expect(getSuspendDelay('https://grafana.example.com/login')).toBe(30);
+        expect(getSuspendDelay('https://music.youtube.com/')).toBeNull();
+        expect(getSuspendDelay('https://example.org/')).toBe(30);
+
+        // A grace period longer than the minimum is used as-is
+        prefs.alwaysSuspendDelaySeconds = 120;
+        expect(getSuspendDelay('https://youtube.com/')).toBe(2);
+    });
+
+    test('preview storage evicts least recently used screenshots beyond the size limit', async () => {
+        const records = [
+            { url: 'https://a.com/', size: 400, lastUsed: 1000 },
+            { url: 'https://b.com/', size: 300, lastUsed: 3000 },
+            { url: 'https://c.com/', size: 300, lastUsed: 2000 },
+            { url: 'https://d.com/', size: 200, lastUsed: 4000 }
+        ];
+        const evictToLimit = (store, maxBytes) => {
+            let total = store.reduce((sum, r) => sum + r.size, 0);
+            const removed = [];
+            for (const record of [...store].sort((a, b) => a.lastUsed - b.lastUsed)) {
+                if (total <= maxBytes) break;
+                removed.push(record.url);
+                total -= record.size;
+            }
+            return removed;
+        };
+
+        expect(evictToLimit(records, 2000)).toEqual([]);
+        expect(evictToLimit(records, 1000)).toEqual(['https://a.com/']);
+        expect(evictToLimit(records, 500)).toEqual(['https://a.com/', 'https://c.com/']);
+        // Viewing a preview refreshes it, so another one goes first
+        records[0].lastUsed = 5000;
+        expect(evictToLimit(records, 1000)).toEqual(['https://c.com/']);
+    });
+
+    test('scroll position round-trips through the suspended page hash', async () => {
+        const buildHash = (tab, scroll) => {
+            const params = new URLSearchParams();
+            if (tab.title) params.set('title', tab.title);
+            if (scroll) params.set('scroll', `${scroll.x},${scroll.y}`);
+            return `${params.toString()}&url=${tab.url}`;
+        };
+        const parseScrollParam = (value) => {
+            if (!value) return null;
+            const [x, y, anchorOffset, ...anchorParts] = value.split(',');
+            const position = { x: parseInt(x, 10), y: parseInt(y, 10), anchor: anchorParts.join(','), anchorOffset: parseInt(anchorOffset, 10) || 0 };
+            if (!Number.isFinite(position.x) || !Number.isFinite(position.y) || position.x < 0 || position.y < 0) return null;
+            return position;
+        };
+        const parseHash = (hash) => {
+            const urlMatch = hash.match(/&url=(.+)$/);
+            if (!urlMatch) return null;
+            const scroll = parseScrollParam(new URLSearchParams(hash.slice(0, urlMatch.index)).get('scroll'));
+            return scroll ? { url: urlMatch[1], scroll } : { url: urlMatch[1] };
+        };
+
+        const tab = { title: 'Long & winding article', url: 'https://example.com/read?id=1&url=x#part-2' };
+        const scroll = { x: 0, y: 3400, anchor: 'Chapter 3, in which things & stuff happen', anchorOffset: 42 };
+        // Only the offsets go into the URL; the anchor text is page content and stays out of the history
+        const hash = buildHash(tab, scroll);
+        expect(hash).not.toContain('Chapter');
+        expect(parseHash(hash)).toEqual({ url: tab.url, scroll: { x: 0, y: 3400, anchor: '', anchorOffset: 0 } });
+        // URLs from older versions that carry the anchor still parse
+        expect(parseHash(`scroll=${encodeURIComponent('0,3400,42,' + scroll.anchor)}&url=${tab.url}`)).toEqual({ url: tab.url, scroll });
+
+        // Old suspended URLs without a scroll parameter still parse
+        expect(parseHash(buildHash(tab, null))).toEqual({ url: tab.url });
+        expect(parseScrollParam('abc,12')).toBeNull();
+        expect(parseScrollParam('-5,12')).toBeNull();
+    });
+
+    test('discarded web pages count as suspended alongside the suspended page', async () => {
+        const suspendedPagePrefix = 'chrome-extension://test-extension-id/suspended.html';
+        const isSuspendedPageUrl = (url) => typeof url === 'string' && url.startsWith(suspendedPagePrefix);
+        const isTabSuspended = (tab) => {
+            if (!tab) return false;
+            return isSuspendedPageUrl(tab.url) || (!!tab.discarded && /^https?:\/\//.test(tab.url || ''));
+        };
+
+        const tabs = [
+            { id: 1, url: `${suspendedPagePrefix}#title=Docs&url=https://docs.example.com/`, discarded: false },
+            { id: 2, url: 'https://news.example.com/', discarded: true },
+            { id: 3, url: 'https://mail.example.com/', discarded: false },
+            { id: 4, url: 'chrome://settings/', discarded: true },
+            { id: 5, url: undefined, discarded: true }
+        ];
+        expect(tabs.filter(isTabSuspended).map(t => t.id)).toEqual([1, 2]);
+        expect(isTabSuspended(null)).toBe(false);
+
+        // Unsuspending a discarded tab reloads it instead of navigating away from a placeholder
+        const unsuspendAction = (tab) => !isTabSuspended(tab) ? 'none' : isSuspendedPageUrl(tab.url) ? 'navigate' : 'reload';
+        expect(tabs.map(unsuspendAction)).toEqual(['navigate', 'reload', 'none', 'none', 'none']);
+    });
+
+    test('unsuspend on focus waits for the grace delay and ignores quick tab cycling', async () => {
+        const TAB_CYCLING_INTERVAL_MS = 700;
+        // Replays tab activations ({tabId, at}) and returns the tabs that would be restored
+        const simulate = (activations, graceDelayMs) => {
+            const restored = [];
+            let pending = null;
+            let lastSwitchAt = -Infinity;
+            for (const { tabId, at } of activations) {
+                if (pending && pending.fireAt <= at) restored.push(pending.tabId);
+                const isCycling = at - lastSwitchAt < TAB_CYCLING_INTERVAL_MS;
+                lastSwitchAt = at;
+                pending = { tabId, fireAt: at + Math.max(graceDelayMs, isCycling ? TAB_CYCLING_INTERVAL_MS : 0) };
+            }
+            if (pending) restored.push(pending.tabId);
+            return restored;
+        };
+
+        // A single switch restores the tab
+        expect(simulate([{ tabId: 1, at: 0 }], 500)).toEqual([1]);
+        // Switching away within the grace delay cancels the restore of the first tab
+        expect(simulate([{ tabId: 1, at: 0 }, { tabId: 2, at: 300 }], 500)).toEqual([2]);
+        // Holding Ctrl+Tab through ten tabs only restores the one the user stops on
+        const cycling = Array.from({ length: 10 }, (_, i) => ({ tabId: i + 1, at: i * 100 }));
+        expect(simulate(cycling, 500)).toEqual([10]);
+        // Without a grace delay the first tab cannot be told apart from a single switch, but the rest still wait
+        expect(simulate(cycling, 0)).toEqual([1, 10]);
+        // Deliberate switches a while apart each restore their tab
+        expect(simulate([{ tabId: 1, at: 0 }, { tabId: 2, at: 5000 }], 0)).toEqual([1, 2]);
+    });
+
+    test('external API serves only allowlisted extensions and returns structured errors', async () => {
+        const EXTERNAL_API_VERSION = 1;
+        const errorResponse = (code, message) => ({ ok: false, error: { code, message } });
+        const isValidExtensionId = (id) => typeof id === 'string' && /^[a-p]{32}$/.test(id);
+        const checkExternalRequest = (request, sender, allowlist, actions) => {
+            if (!sender || !sender.id || !Array.isArray(allowlist) || !allowlist.includes(sender.id)) {
+                return errorResponse('NOT_ALLOWED', 'This extension is not allowed to use the API');
+            }
+            if (!request || typeof request !== 'object') return errorResponse('INVALID_ARGUMENT', 'Request must be an object');
+            if (request.apiVersion !== EXTERNAL_API_VERSION) return errorResponse('UNSUPPORTED_VERSION', 'Unsupported apiVersion');
+            if (typeof request.action !== 'string' || !actions.includes(request.action)) {
+                return errorResponse('UNKNOWN_ACTION', `Unknown action: ${request.action}`);
+            }
+            return null;
+        };
+
+        // Dispatches like handleExternalMessage, with stubbed actions standing in for Suspension calls
+        const calls = [];
+        const actions = {
+            suspendTab: async (request) => {
+                if (!Number.isInteger(request.tabId)) throw Object.assign(new Error('tabId must be a non-negative integer'), { code: 'INVALID_ARGUMENT' });
+                if (request.tabId !== 7) throw Object.assign(new Error(`No tab with id ${request.tabId}`), { code: 'NOT_FOUND' });
+                calls.push(['suspendTab', request.tabId]);
+                return { suspended: true };
+            },
+            getSchedule: async () => { throw new Error('storage unavailable'); }
+        };
+        const allowed = 'abcdefghijklmnopabcdefghijklmnop';
+        const handle = (request, sender) => new Promise(resolve => {
+            (async () => {
+                const rejection = checkExternalRequest(request, sender, [allowed], Object.keys(actions));
+                if (rejection) return rejection;
+                return { ok: true, result: await actions[request.action](request) };
+            })().then(resolve).catch(error => resolve(errorResponse(error.code || 'INTERNAL_ERROR', error.message)));
+        });
+
+        const stubSender = { id: allowed, url: undefined, tab: undefined };
+        expect(await handle({ apiVersion: 1, action: 'suspendTab', tabId: 7 }, stubSender)).toEqual({ ok: true, result: { suspended: true } });
+        expect(calls).toEqual([['suspendTab', 7]]);
+
+        const codeOf = async (request, sender = stubSender) => (await handle(request, sender)).error?.code;
+        expect(await codeOf({ apiVersion: 1, action: 'suspendTab', tabId: 7 }, { id: 'ponmlkjihgfedcbaponmlkjihgfedcba' })).toBe('NOT_ALLOWED');
+        expect(await codeOf({ apiVersion: 1, action: 'suspendTab', tabId: 7 }, {})).toBe('NOT_ALLOWED');
+        expect(await codeOf({ apiVersion: 2, action: 'suspendTab', tabId: 7 })).toBe('UNSUPPORTED_VERSION');
+        expect(await codeOf({ action: 'suspendTab', tabId: 7 })).toBe('UNSUPPORTED_VERSION');
+        expect(await codeOf({ apiVersion: 1, action: 'toString' })).toBe('UNKNOWN_ACTION');
+        expect(await codeOf('suspend')).toBe('INVALID_ARGUMENT');
+        expect(await codeOf({ apiVersion: 1, action: 'suspendTab', tabId: '7' })).toBe('INVALID_ARGUMENT');
+        expect(await codeOf({ apiVersion: 1, action: 'suspendTab', tabId: 8 })).toBe('NOT_FOUND');
+        expect(await codeOf({ apiVersion: 1, action: 'getSchedule' })).toBe('INTERNAL_ERROR');
+        // Rejected requests never reach the actions
+        expect(calls).toHaveLength(1);
+
+        expect(isValidExtensionId(allowed)).toBe(true);
+        expect(isValidExtensionId('ABCDEFGHIJKLMNOPABCDEFGHIJKLMNOP')).toBe(false);
+        expect(isValidExtensionId('abcdefghijklmnopqrstuvwxyzabcdef')).toBe(false);
+    });
+
+    test('context menu picks tabs to the left or right and the domain of suspended pages', async () => {
+        const suspendedPagePrefix = 'chrome-extension://test-extension-id/suspended.html';
+        const resolveTabUrl = (tab) => tab.url.startsWith(suspendedPagePrefix)
+            ? new URLSearchParams(tab.url.split('#')[1] || '').get('url')
+            : tab.url;
+        const domainOf = (tab) => {
+            const url = resolveTabUrl(tab);
+            return url && /^https?:/.test(url) ? new URL(url).hostname.replace(/^www\./i, '').toLowerCase() : null;
+        };
+        const tabsBeside = (windowTabs, tab, toLeft) => windowTabs
+            .filter(t => toLeft ? t.index < tab.index : t.index > tab.index)
+            .map(t => t.id);
+
+        const windowTabs = [
+            { id: 11, index: 0, url: 'https://WWW.Example.com/a' },
+            { id: 12, index: 1, url: `${suspendedPagePrefix}#title=Docs&url=https://docs.example.org/page` },
+            { id: 13, index: 2, url: 'chrome://settings/' },
+            { id: 14, index: 3, url: 'https://news.example.net/' }
+        ];
+        expect(tabsBeside(windowTabs, windowTabs[1], true)).toEqual([11]);
+        expect(tabsBeside(windowTabs, windowTabs[1], false)).toEqual([13, 14]);
+        expect(tabsBeside(windowTabs, windowTabs[0], true)).toEqual([]);
+
+        expect(domainOf(windowTabs[0])).toBe('example.com');
+        // The suspended page resolves to the page it stands in for
+        expect(domainOf(windowTabs[1])).toBe('docs.example.org');
+        expect(domainOf(windowTabs[2])).toBeNull();
+    });
+
+    test('links opened as suspended tabs keep their order and skip duplicates and non-web links', async () => {
+        const MAX_LINKS_PER_REQUEST = 100;
+        const filterLinksToOpen = (links) => {
+            const seen = new Set();
+            const result = [];
+            for (const link of Array.isArray(links) ? links : []) {
+                if (!link || typeof link.url !== 'string' || !/^https?:\/\//i.test(link.url) || seen.has(link.url)) continue;
+                seen.add(link.url);
+                result.push({ url: link.url, title: typeof link.title === 'string' ? link.title.trim().substring(0, 200) : '' });
+                if (result.length >= MAX_LINKS_PER_REQUEST) break;
+            }
+            return result;
+        };
+        // Same placement as openLinksAsSuspended: right after the opener, in the order given
+        const openerTab = { id: 5, index: 3, windowId: 1 };
+        const plan = (links) => filterLinksToOpen(links).map((link, i) => ({
+            url: `chrome-extension://test-extension-id/suspended.html#${new URLSearchParams({ title: link.title || link.url })}&url=${link.url}`,
+            index: openerTab.index + 1 + i,
+            active: false
+        }));
+
+        const tabs = plan([
+            { url: 'https://github.com/org/repo/issues/1', title: '  Crash on start ' },
+            { url: 'javascript:alert(1)', title: 'Bad' },
+            { url: 'https://github.com/org/repo/issues/2', title: '' },
+            { url: 'https://github.com/org/repo/issues/1', title: 'Duplicate' },
+            { url: 'mailto:someone@example.com', title: 'Mail' }
+        ]);
+        expect(tabs.map(t => t.index)).toEqual([4, 5]);
+        expect(tabs[0].url).toContain('#title=Crash+on+start&url=https://github.com/org/repo/issues/1');
+        // Links without text fall back to their URL as title
+        expect(new URLSearchParams(tabs[1].url.split('#')[1]).get('title')).toBe('https://github.com/org/repo/issues/2');
+        expect(tabs.every(t => t.active === false)).toBe(true);
+
+        const many = Array.from({ length: 150 }, (_, i) => ({ url: `https://example.com/result/${i}`, title: `Result ${i}` }));
+        expect(filterLinksToOpen(many)).toHaveLength(MAX_LINKS_PER_REQUEST);
+        expect(filterLinksToOpen(null)).toEqual([]);
+    });
+
+    test('badge shows countdowns and explains why the current tab will not be suspended', async () => {
+        const BADGE_STATE_NAMES = ['whitelisted', 'snoozed', 'paused', 'suspended', 'skipped'];
+        const isBadgeOff = (prefs) => {
+            return (prefs?.badgeMode ?? 'off') === 'off' && !prefs?.badgeReasonIcon;
+        };
+        const classifySkipReason = (reason) => {
+            if (!reason) return null;
+            if (reason === 'already suspended') return 'suspended';
+            if (['tab is null', 'no valid tabId', 'no url', 'special url'].includes(reason)) return null;
+            if (reason.startsWith('URL matches whitelist') || reason.startsWith('tab group') || reason.startsWith('exempt by schedule policy')) {
+                return 'whitelisted';
+            }
+            if (reason.startsWith('snoozed')) return 'snoozed';
+            if (reason.startsWith('auto-suspension off')) return 'paused';
+            return 'skipped';
+        };
+        const formatBadgeDuration = (ms) => {
+            const minutes = Math.ceil(Math.max(0, ms) / 60000);
+            if (minutes < 1) return '<1m';
+            if (minutes < 60) return `${minutes}m`;
+            if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h`;
+            return `${Math.min(99, Math.floor(minutes / (24 * 60)))}d`;
+        };
+
+        expect(classifySkipReason('URL matches whitelist pattern: github.com')).toBe('whitelisted');
+        expect(classifySkipReason('tab group "Work" is set to never suspend')).toBe('whitelisted');
+        expect(classifySkipReason('snoozed (tab: Docs) for 55 more minutes')).toBe('snoozed');
+        expect(classifySkipReason('auto-suspension off by schedule policy: Mon-Fri 09:00-17:00')).toBe('paused');
+        expect(classifySkipReason('pinned tab')).toBe('skipped');
+        expect(classifySkipReason('playing audio')).toBe('skipped');
+        expect(classifySkipReason('already suspended')).toBe('suspended');
+        // Every state has a badge to show
+        for (const reason of ['URL matches whitelist pattern: x', 'snoozed', 'auto-suspension off', 'already suspended', 'pinned tab']) {
+            expect(BADGE_STATE_NAMES).toContain(classifySkipReason(reason));
+        }
+        // Browser pages and suspendable tabs get no indicator
+        expect(classifySkipReason('special url')).toBeNull();
+        expect(classifySkipReason(false)).toBeNull();
+
+        // With neither badge text nor the reason icon, badges are not refreshed at all
+        expect(isBadgeOff({ badgeMode: 'off', badgeReasonIcon: false })).toBe(true);
+        expect(isBadgeOff(undefined)).toBe(true);
+        expect(isBadgeOff({ badgeMode: 'off', badgeReasonIcon: true })).toBe(false);
+        expect(isBadgeOff({ badgeMode: 'countdown', badgeReasonIcon: false })).toBe(false);
+
+        expect(formatBadgeDuration(0)).toBe('<1m');
+        expect(formatBadgeDuration(61 * 1000)).toBe('2m');
+        expect(formatBadgeDuration(59 * 60000)).toBe('59m');
+        expect(formatBadgeDuration(150 * 60000)).toBe('2h');
+        expect(formatBadgeDuration(3 * 24 * 60 * 60000)).toBe('3d');
+        // Badge text is limited to four characters
+        for (const ms of [1, 45 * 60000, 23 * 60 * 60000, 1000 * 24 * 60 * 60000]) {
+            expect(formatBadgeDuration(ms).length).toBeLessThanOrEqual(4);
+        }
+    });
+
+    test('global pause freezes countdowns and resumes them with their remaining time', async () => {
+        const MIN = 60 * 1000;
+        const { isPauseActive, getResumedScheduledTime } = GlobalPause;
+
+        const pausedAt = 1000 * MIN;
+        const timed = { pausedAt, until: pausedAt + 60 * MIN };
+        expect(isPauseActive(timed, pausedAt + 59 * MIN)).toBe(true);
+        expect(isPauseActive(timed, pausedAt + 60 * MIN)).toBe(false);
+        expect(isPauseActive({ pausedAt, until: null }, pausedAt + 10000 * MIN)).toBe(true);
+        expect(isPauseActive(null, pausedAt)).toBe(false);
+
+        // 30 min delay, 20 min elapsed when paused: 10 min left after resuming
+        const running = { scheduledTime: pausedAt + 10 * MIN, delayMinutes: 30 };
+        expect(getResumedScheduledTime(running, timed, timed.until)).toBe(timed.until + 10 * MIN);
+        // Countdown that would have finished during the pause keeps its remaining 5 min
+        const dueDuringPause = { scheduledTime: pausedAt + 5 * MIN, delayMinutes: 15 };
+        expect(getResumedScheduledTime(dueDuringPause, timed, timed.until)).toBe(timed.until + 5 * MIN);
+        // Countdown started during the pause (tab left while paused) starts over at the end of the pause
+        const startedDuringPause = { scheduledTime: pausedAt + 40 * MIN, delayMinutes: 15 };
+        expect(getResumedScheduledTime(startedDuringPause, timed, timed.until)).toBe(timed.until + 15 * MIN);
+        // Resuming early only shifts by the time actually paused
+        expect(getResumedScheduledTime(running, timed, pausedAt + 5 * MIN)).toBe(running.scheduledTime + 5 * MIN);
+        // Legacy entries without a known delay are frozen from the start of the pause
+        expect(getResumedScheduledTime({ scheduledTime: pausedAt + 3 * MIN, delayMinutes: -1 }, timed, timed.until)).toBe(timed.until + 3 * MIN);
+    });
+
+    test('session search matches names, tags, tab titles and URLs, and pinned sessions survive trimming', async () => {
+        const normalizeTags = (input) => {
+            const raw = Array.isArray(input) ? input : String(input || '').split(',');
+            const seen = new Set();
+            const tags = [];
+            for (const value of raw) {
+                const tag = String(value).trim().replace(/\s+/g, ' ').substring(0, 30);
+                if (!tag || seen.has(tag.toLowerCase())) continue;
+                seen.add(tag.toLowerCase());
+                tags.push(tag);
+                if (tags.length >= 10) break;
+            }
+            return tags;
+        };
+        const parseSessionQuery = (query) => {
+            const parsed = { words: [], tags: [] };
+            for (const word of String(query || '').toLowerCase().split(/\s+/)) {
+                if (word.startsWith('tag:') && word.length > 4) parsed.tags.push(word.substring(4));
+                else if (word) parsed.words.push(word);
+            }
+            return parsed;
+        };
+        const matchSession = (session, parsed) => {
+            const tags = (session.tags || []).map(tag => tag.toLowerCase());
+            if (!parsed.tags.every(wanted => tags.some(tag => tag.includes(wanted)))) return { matches: false, matchingTabs: 0 };
+            if (parsed.words.length === 0) return { matches: true, matchingTabs: 0 };
+            const sessionText = `${session.name || ''} ${tags.join(' ')}`.toLowerCase();
+            const tabTexts = (session.data?.windows || []).flatMap(win => win.tabs || [])
+                .map(tab => `${tab.title || ''} ${tab.originalUrl || tab.url || ''}`.toLowerCase());
+            const matches = parsed.words.every(word => sessionText.includes(word) || tabTexts.some(text => text.includes(word)));
+            const matchingTabs = matches ? tabTexts.filter(text => parsed.words.some(word => text.includes(word))).length : 0;
+            return { matches, matchingTabs };
+        };
+        const trimSessionList = (sessions, maxSessions) => {
+            let unprotectedKept = 0;
+            return sessions.filter(session => {
+                if (session.protected) return true;
+                unprotectedKept++;
+                return unprotectedKept <= maxSessions;
+            });
+        };
+
+        expect(normalizeTags(' work, Jira ,work,  , release  notes')).toEqual(['work', 'Jira', 'release notes']);
+        expect(normalizeTags(Array.from({ length: 15 }, (_, i) => `t${i}`))).toHaveLength(10);
+
+        const tuesday = {
+            name: 'Auto-save 3/4/2025 at 10:30', tags: ['Work'],
+            data: { windows: [{ tabs: [
+                { title: 'Sprint board - Jira', url: 'https://jira.example.com/board/12' },
+                { title: 'Suspended', url: 'chrome-extension://abc/suspended.html#url=https://docs.example.com/spec', originalUrl: 'https://docs.example.com/spec' }
+            ] }] }
+        };
+        expect(matchSession(tuesday, parseSessionQuery('jira'))).toEqual({ matches: true, matchingTabs: 1 });
+        // Suspended tabs are searched by their original URL
+        expect(matchSession(tuesday, parseSessionQuery('docs.example.com')).matches).toBe(true);
+        // Words may match different tabs or the session name
+        expect(matchSession(tuesday, parseSessionQuery('Jira spec 10:30')).matches).toBe(true);
+        expect(matchSession(tuesday, parseSessionQuery('jira github')).matches).toBe(false);
+        expect(matchSession(tuesday, parseSessionQuery('tag:work board')).matches).toBe(true);
+        expect(matchSession(tuesday, parseSessionQuery('tag:home')).matches).toBe(false);
+        expect(matchSession(tuesday, parseSessionQuery('')).matches).toBe(true);
+
+        // Newest first; pinned sessions are kept and do not use up the limit
+        const sessions = [
+            { id: 'new' }, { id: 'pinnedNew', protected: true }, { id: 'mid' }, { id: 'old' }, { id: 'pinnedOld', protected: true }
+        ];
+        expect(trimSessionList(sessions, 2).map(s => s.id)).toEqual(['new', 'pinnedNew', 'mid', 'pinnedOld']);
+        expect(trimSessionList(sessions, 0).map(s => s.id)).toEqual(['pinnedNew', 'pinnedOld']);
+    });
+
+    test('session diff finds closed, added, moved and changed tabs between snapshots', async () => {
+        const getSessionTabUrl = (tab) => (tab.isSuspended && tab.originalUrl) || tab.url || '';
+        const diffSessionData = (before, after) => {
+            const flatten = (data) => (data?.windows || []).flatMap((win, windowIndex) =>
+                (win.tabs || []).map(tab => ({ tab, windowIndex, url: getSessionTabUrl(tab) })));
+            const oldTabs = flatten(before);
+            const newTabs = flatten(after);
+            const pairs = [];
+            const pairedNew = new Set();
+
+            // Pass 1: same URL, preferring the same tab ID
+            const newByUrl = new Map();
+            for (const entry of newTabs) {
+                if (!newByUrl.has(entry.url)) newByUrl.set(entry.url, []);
+                newByUrl.get(entry.url).push(entry);
+            }
+            const unpairedOld = [];
+            for (const entry of oldTabs) {
+                const candidates = (newByUrl.get(entry.url) || []).filter(c => !pairedNew.has(c));
+                const match = candidates.find(c => c.tab.id === entry.tab.id) || candidates[0];
+                if (match) {
+                    pairedNew.add(match);
+                    pairs.push({ from: entry, to: match, urlChanged: false });
+                } else {
+                    unpairedOld.push(entry);
+                }
+            }
+
+            // Pass 2: same tab ID with a different URL
+            const closedEntries = [];
+            for (const entry of unpairedOld) {
+                const match = entry.tab.id != null && newTabs.find(c => !pairedNew.has(c) && c.tab.id === entry.tab.id);
+                if (match) {
+                    pairedNew.add(match);
+                    pairs.push({ from: entry, to: match, urlChanged: true });
+                } else {
+                    closedEntries.push(entry);
+                }
+            }
+
+            // Match each old window to the new window that received most of its tabs
+            const votes = new Map(); // old window index -> Map(new window index -> count)
+            for (const { from, to } of pairs) {
+                if (!votes.has(from.windowIndex)) votes.set(from.windowIndex, new Map());
+                const counts = votes.get(from.windowIndex);
+                counts.set(to.windowIndex, (counts.get(to.windowIndex) || 0) + 1);
+            }
+            const windowMap = new Map();
+            for (const [oldIndex, counts] of votes) {
+                windowMap.set(oldIndex, [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0]);
+            }
+
+            const result = { added: [], closed: [], moved: [], changed: [], unchanged: 0 };
+            for (const { from, to, urlChanged } of pairs) {
+                const movedWindow = windowMap.get(from.windowIndex) !== to.windowIndex;
+                if (movedWindow) result.moved.push({ tab: to.tab, fromWindowIndex: from.windowIndex, toWindowIndex: to.windowIndex });
+                if (urlChanged) result.changed.push({ before: from.tab, after: to.tab, windowIndex: to.windowIndex });
+                if (!movedWindow && !urlChanged) result.unchanged++;
+            }
+            for (const entry of closedEntries) {
+                result.closed.push({ tab: entry.tab, windowIndex: entry.windowIndex, targetWindowIndex: windowMap.get(entry.windowIndex) ?? null });
+            }
+            for (const entry of newTabs) {
+                if (!pairedNew.has(entry)) result.added.push({ tab: entry.tab, windowIndex: entry.windowIndex });
+            }
+            return result;
+        };
+
+
+        const before = { windows: [
+            { id: 1, tabs: [
+                { id: 11, url: 'https://mail.example.com/' },
+                { id: 12, url: 'https://jira.example.com/board' },
+                { id: 13, url: 'https://news.example.com/' }
+            ] },
+            { id: 2, tabs: [
+                { id: 21, url: 'https://docs.example.com/a' },
+                { id: 22, url: 'chrome-extension://x/suspended.html#url=https://docs.example.com/b', isSuspended: true, originalUrl: 'https://docs.example.com/b' }
+            ] }
+        ] };
+        // Window 2 was closed by accident; jira moved on to another issue; news was dragged into a new window
+        const after = { windows: [
+            { id: 1, tabs: [
+                { id: 11, url: 'https://mail.example.com/' },
+                { id: 12, url: 'https://jira.example.com/issue/7' },
+                { id: 14, url: 'https://github.com/' }
+            ] },
+            { id: 3, tabs: [{ id: 13, url: 'https://news.example.com/' }] }
+        ] };
+
+        const diff = diffSessionData(before, after);
+        expect(diff.unchanged).toBe(1);
+        expect(diff.closed.map(e => getSessionTabUrl(e.tab))).toEqual(['https://docs.example.com/a', 'https://docs.example.com/b']);
+        // The closed window has no counterpart, so its tabs are reopened in a new window
+        expect(diff.closed.every(e => e.windowIndex === 1 && e.targetWindowIndex === null)).toBe(true);
+        expect(diff.added.map(e => e.tab.url)).toEqual(['https://github.com/']);
+        expect(diff.moved).toEqual([{ tab: after.windows[1].tabs[0], fromWindowIndex: 0, toWindowIndex: 1 }]);
+        expect(diff.changed.map(e => [e.before.url, e.after.url])).toEqual([['https://jira.example.com/board', 'https://jira.example.com/issue/7']]);
+
+        // After a restart tab IDs differ, so tabs are paired by URL (suspended tabs by their original URL)
+        const restarted = { windows: [{ tabs: [
+            { id: 101, url: 'https://docs.example.com/b' },
+            { id: 102, url: 'https://docs.example.com/a' }
+        ] }] };
+        const sameTabs = diffSessionData({ windows: [before.windows[1]] }, restarted);
+        expect(sameTabs.unchanged).toBe(2);
+        expect(sameTabs.closed.length + sameTabs.added.length + sameTabs.moved.length + sameTabs.changed.length).toBe(0);
+    });
+
+    test('selective restore keeps only the chosen windows and tabs in their original order', async () => {
+        const selectSessionWindows = (windows, windowSelection) => {
+            if (!Array.isArray(windowSelection)) {
+                return windows.filter(win => win.tabs && win.tabs.length > 0);
+            }
+            const selectedWindows = new Map();
+            for (const { windowIndex, tabIndexes } of windowSelection) {
+                const win = windows[windowIndex];
+                if (!win || !win.tabs) continue;
+                const previous = selectedWindows.get(windowIndex) || new Set();
+                const indexes = Array.isArray(tabIndexes) ? tabIndexes : win.tabs.map((_, i) => i);
+                indexes.filter(i => Number.isInteger(i) && i >= 0 && i < win.tabs.length).forEach(i => previous.add(i));
+                selectedWindows.set(windowIndex, previous);
+            }
+            return [...selectedWindows.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .map(([windowIndex, indexes]) => ({
+                    ...windows[windowIndex],
+                    tabs: [...indexes].sort((a, b) => a - b).map(i => windows[windowIndex].tabs[i])
+                }))
+                .filter(win => win.tabs.length > 0);
+        };
+
+        const windows = [
+            { id: 1, state: 'maximized', tabs: [{ url: 'https://a.example/' }, { url: 'https://b.example/' }, { url: 'https://c.example/' }] },
+            { id: 2, tabs: [] },
+            { id: 3, tabs: [{ url: 'https://d.example/' }, { url: 'https://e.example/' }] }
+        ];
+        const urls = (selected) => selected.map(win => win.tabs.map(tab => tab.url));
+
+        // No selection: every window that has tabs
+        expect(urls(selectSessionWindows(windows))).toEqual([
+            ['https://a.example/', 'https://b.example/', 'https://c.example/'],
+            ['https://d.example/', 'https://e.example/']
+        ]);
+        // Tabs come back in session order whatever order they were picked in; window properties are kept
+        const picked = selectSessionWindows(windows, [{ windowIndex: 2 }, { windowIndex: 0, tabIndexes: [2, 0, 2] }]);
+        expect(urls(picked)).toEqual([['https://a.example/', 'https://c.example/'], ['https://d.example/', 'https://e.example/']]);
+        expect(picked[0].state).toBe('maximized');
+        // Unknown windows, out-of-range tabs and empty picks are ignored
+        expect(selectSessionWindows(windows, [{ windowIndex: 7 }, { windowIndex: 0, tabIndexes: [5, -1] }, { windowIndex: 1 }])).toEqual([]);
+        // The source session is left untouched
+        expect(windows[0].tabs).toHaveLength(3);
+    });
+
+    test('restored tabs are regrouped by their saved tab groups', async () => {
+        const planTabGroups = (tabs, groups) => {
+            const plans = new Map();
+            tabs.forEach((tab, position) => {
+                const groupId = tab.groupId;
+                if (tab.pinned || groupId == null || groupId === -1 || !groups || !groups[groupId]) return;
+                if (!plans.has(groupId)) plans.set(groupId, { group: groups[groupId], positions: [] });
+                plans.get(groupId).positions.push(position);
+            });
+            return [...plans.values()];
+        };
+
+        // Group keys come back as strings from storage
+        const groups = {
+            '7': { id: 7, title: 'Research', color: 'blue', collapsed: true },
+            '9': { id: 9, title: 'Shopping', color: 'green', collapsed: false }
+        };
+        const tabs = [
+            { url: 'https://mail.example/', pinned: true, groupId: -1 },
+            { url: 'https://paper.example/1', groupId: 7, active: true },
+            { url: 'https://paper.example/2', groupId: 7 },
+            { url: 'https://news.example/', groupId: null },
+            { url: 'https://shop.example/', groupId: 9 },
+            { url: 'https://gone.example/', groupId: 12 }
+        ];
+        const plans = planTabGroups(tabs, groups);
+        expect(plans.map(p => [p.group.title, p.positions])).toEqual([['Research', [1, 2]], ['Shopping', [4]]]);
+        expect(plans[0].group.collapsed).toBe(true);
+        // Selective restore passes only some tabs; positions refer to that list
+        expect(planTabGroups([tabs[2], tabs[4]], groups).map(p => p.positions)).toEqual([[0], [1]]);
+        // Sessions saved without group information restore without groups
+        expect(planTabGroups(tabs, undefined)).toEqual([]);
+    });
+
+    test('sessions share one stored copy of each page and unchanged auto-saves are skipped', async () => {
+        const SESSION_PAGE_FIELDS = ['url', 'title', 'favIconUrl', 'originalUrl'];
+        const hashString = (str) => {
+            let h1 = 0xdeadbeef;
+            let h2 = 0x41c6ce57;
+            for (let i = 0; i < str.length; i++) {
+                const ch = str.charCodeAt(i);
+                h1 = Math.imul(h1 ^ ch, 2654435761);
+                h2 = Math.imul(h2 ^ ch, 1597334677);
+            }
+            h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+            h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+            return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+        };
+        const getPageContent = (tab) => {
+            return SESSION_PAGE_FIELDS.map(field => tab[field] ?? null);
+        };
+        const packSessionData = (data, pages) => {
+            const table = { ...pages };
+            const referenced = new Set();
+            const windows = (data?.windows || []).map(win => ({
+                ...win,
+                tabs: (win.tabs || []).map(tab => {
+                    const content = getPageContent(tab);
+                    const text = JSON.stringify(content);
+                    const hash = hashString(text);
+                    let key = hash;
+                    // On a hash collision, probe with a suffix until the page or a free key is found
+                    for (let n = 1; table[key] && JSON.stringify(getPageContent(table[key])) !== text; n++) {
+                        key = `${hash}_${n}`;
+                    }
+                    if (!table[key]) {
+                        table[key] = { refs: 0 };
+                        SESSION_PAGE_FIELDS.forEach((field, i) => { table[key][field] = content[i]; });
+                    }
+                    referenced.add(key);
+                    const packedTab = { page: key };
+                    for (const [field, value] of Object.entries(tab)) {
+                        if (!SESSION_PAGE_FIELDS.includes(field)) packedTab[field] = value;
+                    }
+                    return packedTab;
+                })
+            }));
+            for (const key of referenced) {
+                table[key] = { ...table[key], refs: table[key].refs + 1 };
+            }
+            return { data: { ...data, windows }, pages: table };
+        };
+        const unpackSessionData = (packedData, pages) => {
+            return {
+                ...packedData,
+                windows: (packedData?.windows || []).map(win => ({
+                    ...win,
+                    tabs: (win.tabs || []).map(({ page, ...tab }) => {
+                        const record = pages[page] || {};
+                        for (const field of SESSION_PAGE_FIELDS) tab[field] = record[field] ?? null;
+                        return tab;
+                    })
+                }))
+            };
+        };
+        const releaseSessionPages = (pages, packedData) => {
+            const table = { ...pages };
+            const keys = new Set((packedData?.windows || []).flatMap(win => (win.tabs || []).map(tab => tab.page)));
+            for (const key of keys) {
+                if (!table[key]) continue;
+                if (table[key].refs > 1) {
+                    table[key] = { ...table[key], refs: table[key].refs - 1 };
+                } else {
+                    delete table[key];
+                }
+            }
+            return table;
+        };
+        const getSessionTabUrl = (tab) => {
+            return (tab.isSuspended && tab.originalUrl) || tab.url || '';
+        };
+        const getSessionFingerprint = (data) => {
+            const layout = (data?.windows || []).map(win => (win.tabs || []).map(tab => {
+                const group = tab.groupId != null && tab.groupId !== -1 ? win.groups?.[tab.groupId] : null;
+                return [getSessionTabUrl(tab), !!tab.pinned, !!tab.isSuspended, group ? [group.title || '', group.color || ''] : null];
+            }));
+            return hashString(JSON.stringify(layout));
+        };
+
+        const windowA = {
+            id: 1, groups: { '4': { id: 4, title: 'Docs', color: 'blue', collapsed: false } },
+            tabs: [
+                { id: 10, index: 0, url: 'https://docs.example/', title: 'Docs', favIconUrl: 'data:image/png;base64,AAAA', pinned: false, groupId: 4, isSuspended: false, originalUrl: null },
+                { id: 11, index: 1, url: 'https://news.example/', title: 'News', favIconUrl: 'data:image/png;base64,AAAA', pinned: true, groupId: null, isSuspended: false, originalUrl: null }
+            ]
+        };
+        const first = { capturedAt: 1, windows: [windowA] };
+        const second = { capturedAt: 2, windows: [{ ...windowA, tabs: [...windowA.tabs, { ...windowA.tabs[1], id: 12, index: 2 }] }] };
+
+        // Pages are stored once however many tabs and sessions show them, and counted per session
+        let packedFirst = packSessionData(first, {});
+        let pages = packedFirst.pages;
+        const packedSecond = packSessionData(second, pages);
+        pages = packedSecond.pages;
+        expect(Object.keys(pages)).toHaveLength(2);
+        expect(Object.values(pages).map(p => p.refs)).toEqual([2, 2]);
+        expect(packedFirst.pages[packedFirst.data.windows[0].tabs[0].page].refs).toBe(1);
+        expect(packedSecond.data.windows[0].tabs[2]).toEqual({ page: packedSecond.data.windows[0].tabs[1].page, id: 12, index: 2, pinned: true, groupId: null, isSuspended: false });
+
+        // Unpacking gives back the captured tabs
+        expect(unpackSessionData(packedSecond.data, pages)).toEqual(second);
+
+        // Deleting a session drops only the pages no other session uses
+        pages = releaseSessionPages(pages, packedSecond.data);
+        expect(Object.values(pages).map(p => p.refs)).toEqual([1, 1]);
+        expect(releaseSessionPages(pages, packedFirst.data)).toEqual({});
+
+        // A hash collision does not merge different pages
+        const key = packedFirst.data.windows[0].tabs[0].page;
+        const collided = packSessionData(first, { [key]: { url: 'https://other.example/', title: 'Other', favIconUrl: null, originalUrl: null, refs: 1 } });
+        expect(collided.data.windows[0].tabs[0].page).toBe(`${key}_1`);
+        expect(unpackSessionData(collided.data, collided.pages)).toEqual(first);
+
+        // Fingerprints ignore titles and focus, but not new tabs, pinning or group changes
+        const fingerprint = getSessionFingerprint(first);
+        expect(getSessionFingerprint({ windows: [{ ...windowA, focused: true, tabs: windowA.tabs.map(t => ({ ...t, title: '(3) ' + t.title })) }] })).toBe(fingerprint);
+        expect(getSessionFingerprint(second)).not.toBe(fingerprint);
+        expect(getSessionFingerprint({ windows: [{ ...windowA, tabs: [windowA.tabs[0], { ...windowA.tabs[1], pinned: false }] }] })).not.toBe(fingerprint);
+        expect(getSessionFingerprint({ windows: [{ ...windowA, groups: { '4': { ...windowA.groups['4'], title: 'Work' } } }] })).not.toBe(fingerprint);
+    });
+
+    test('saved form contents are kept per tab, so tabs showing the same page do not share them', async () => {
+        // In-memory stand-in for chrome.storage.session
+        const store = {};
+        const chrome = {
+            storage: {
+                session: {
+                    get: async (keys) => {
+                        if (keys === null) return { ...store };
+                        return Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, store[key]]));
+                    },
+                    set: async (items) => { Object.assign(store, items); },
+                    remove: async (keys) => { [].concat(keys).forEach(key => delete store[key]); }
+                }
+            }
+        };
+        const TAB_DATA_KEY_PREFIX = 'TS_tab_restore_data_v1_';
+        const TAB_DATA_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+        const getTabDataKey = (kind, tabId) => {
+            return `${TAB_DATA_KEY_PREFIX}${kind}_${tabId}`;
+        };
+        const findTabDataKeys = async (tabId) => {
+            const all = await chrome.storage.session.get(null);
+            return Object.keys(all).filter(key => key.startsWith(TAB_DATA_KEY_PREFIX) && key.endsWith(`_${tabId}`));
+        };
+        const saveTabData = async (tabId, kind, url, data) => {
+            const cutoff = Date.now() - TAB_DATA_MAX_AGE_MS;
+            const all = await chrome.storage.session.get(null);
+            const stale = Object.keys(all).filter(key => key.startsWith(TAB_DATA_KEY_PREFIX) && !(all[key]?.savedAt >= cutoff));
+            if (stale.length > 0) await chrome.storage.session.remove(stale);
+            await chrome.storage.session.set({ [getTabDataKey(kind, tabId)]: { url, savedAt: Date.now(), data } });
+        };
+        const takeTabData = async (tabId, kind, url, ignoreHash = false) => {
+            const key = getTabDataKey(kind, tabId);
+            const stored = (await chrome.storage.session.get(key))[key];
+            if (!stored) return null;
+            const samePage = ignoreHash ? stored.url.split('#')[0] === url.split('#')[0] : stored.url === url;
+            if (!samePage) return null;
+            await chrome.storage.session.remove(key);
+            return stored.data;
+        };
+        const moveTabData = async (fromTabId, toTabId) => {
+            try {
+                const keys = await findTabDataKeys(fromTabId);
+                if (keys.length === 0) return;
+                const stored = await chrome.storage.session.get(keys);
+                const moved = {};
+                for (const key of keys) {
+                    moved[key.slice(0, -String(fromTabId).length) + toTabId] = stored[key];
+                }
+                await chrome.storage.session.set(moved);
+                await chrome.storage.session.remove(keys);
+            } catch (e) {
+                console.log(`moveTabData: Could not move saved data of tab ${fromTabId} to tab ${toTabId}: ${e.message}`);
+            }
+        };
+
+        const url = 'https://mail.example.com/compose';
+        await saveTabData(3, 'form', url, ['draft for Ann']);
+        await saveTabData(13, 'form', url, ['draft for Bob']);
+        await saveTabData(3, 'scroll', url, { anchor: 'Hello', anchorOffset: 4 });
+
+        // Each tab gets its own contents back, once, and only for the page they were saved from
+        expect(await takeTabData(13, 'form', 'https://mail.example.com/inbox')).toBeNull();
+        expect(await takeTabData(13, 'form', url)).toEqual(['draft for Bob']);
+        expect(await takeTabData(13, 'form', url)).toBeNull();
+
+        // Close & reopen moves everything saved for the tab to its placeholder, without touching tab 13 or 33
+        await saveTabData(33, 'form', url, ['draft for Cy']);
+        await moveTabData(3, 40);
+        expect(await takeTabData(3, 'form', url)).toBeNull();
+        expect(await takeTabData(40, 'form', url)).toEqual(['draft for Ann']);
+        expect(await takeTabData(40, 'scroll', url + '#reply', true)).toEqual({ anchor: 'Hello', anchorOffset: 4 });
+        expect(await takeTabData(33, 'form', url)).toEqual(['draft for Cy']);
+
+        // Old data of tabs closed while the extension was not watching is dropped on the next save
+        store[getTabDataKey('form', 99)] = { url, savedAt: Date.now() - TAB_DATA_MAX_AGE_MS - 1, data: [] };
+        await saveTabData(5, 'form', url, ['new']);
+        expect(Object.keys(store)).toEqual([getTabDataKey('form', 5)]);
+    });
+
+    test('manual suspend of the shown tab in discard-only mode switches to a neighbouring tab first', async () => {
+        // Logic copied from src/suspension/suspension-utils.js and src/suspension/suspend-discard.js
+        const isSuspendedPageUrl = (url) => !!url && url.startsWith('chrome-extension://ext-id/suspended.html');
+        const isTabSuspended = (tab) => {
+            if (!tab) return false;
+            return isSuspendedPageUrl(tab.url) || (!!tab.discarded && /^https?:\/\//.test(tab.url || ''));
+        };
+        const pickNeighbourTab = (windowTabs, tab) => {
+            const byDistance = windowTabs
+                .filter(t => t.id !== tab.id)
+                .sort((a, b) => Math.abs(a.index - tab.index) - Math.abs(b.index - tab.index) || b.index - a.index);
+            return byDistance.find(t => !isTabSuspended(t)) || byDistance[0] || null;
+        };
+
+        const makeTab = (id, index, extra = {}) => ({ id, index, windowId: 1, url: `https://site${id}.example/`, ...extra });
+        const active = makeTab(2, 1, { active: true });
+
+        // Nearest tab, to the right when tied, as the browser picks when a tab closes
+        expect(pickNeighbourTab([makeTab(1, 0), active, makeTab(3, 2)], active).id).toBe(3);
+        expect(pickNeighbourTab([makeTab(1, 0), active], active).id).toBe(1);
+
+        // Suspended neighbours are skipped so switching does not reload them
+        const suspendedRight = makeTab(3, 2, { url: 'chrome-extension://ext-id/suspended.html#uri=https://a.example/' });
+        const discardedLeft = makeTab(1, 0, { discarded: true });
+        expect(pickNeighbourTab([discardedLeft, active, suspendedRight, makeTab(4, 3)], active).id).toBe(4);
+
+        // With only suspended tabs left, the nearest one is still better than failing
+        expect(pickNeighbourTab([discardedLeft, active, suspendedRight], active).id).toBe(3);
+
+        // Alone in its window: the suspended page is used instead
+        expect(pickNeighbourTab([active], active)).toBeNull();
+    });
+
+    test('session writes run one at a time, so interleaved saves and deletes keep the shared page table right', async () => {
+        // Logic copied from src/common/session-utils.js and src/common/session-manager.js
+        const SESSION_PAGE_FIELDS = ['url', 'title', 'favIconUrl', 'originalUrl'];
+        const getPageKey = (tab) => SESSION_PAGE_FIELDS.map(field => tab[field] ?? '').join('|');
+        const packSessionData = (data, pages) => {
+            const table = { ...pages };
+            const referenced = new Set();
+            const windows = data.windows.map(win => ({
+                ...win,
+                tabs: win.tabs.map(tab => {
+                    const key = getPageKey(tab);
+                    if (!table[key]) table[key] = { refs: 0, url: tab.url };
+                    referenced.add(key);
+                    return { page: key, id: tab.id };
+                })
+            }));
+            for (const key of referenced) {
+                table[key] = { ...table[key], refs: table[key].refs + 1 };
+            }
+            return { data: { ...data, windows }, pages: table };
+        };
+        const releaseSessionPages = (pages, packedData) => {
+            const table = { ...pages };
+            const keys = new Set((packedData?.windows || []).flatMap(win => (win.tabs || []).map(tab => tab.page)));
+            for (const key of keys) {
+                if (!table[key]) continue;
+                if (table[key].refs > 1) {
+                    table[key] = { ...table[key], refs: table[key].refs - 1 };
+                } else {
+                    delete table[key];
+                }
+            }
+            return table;
+        };
+
+        // chrome.storage.local stand-in that lets other work run between every read and write, as the real one does
+        const store = {};
+        const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+        const storage = {
+            get: async (keys) => { await tick(); return Object.fromEntries(keys.filter(k => k in store).map(k => [k, structuredClone(store[k])])); },
+            set: async (items) => { await tick(); Object.assign(store, structuredClone(items)); },
+            remove: async (keys) => { await tick(); keys.forEach(k => delete store[k]); }
+        };
+
+        // The write steps of saveCurrentSession and deleteSession, reduced to the page table bookkeeping
+        const saveSession = async (id, data) => {
+            const { index = [] } = await storage.get(['index']);
+            const { pages = {} } = await storage.get(['pages']);
+            const packed = packSessionData(data, pages);
+            await storage.set({ [`session_${id}`]: packed.data });
+            await storage.set({ index: [id, ...index], pages: packed.pages });
+        };
+        const deleteSession = async (id) => {
+            const { index = [] } = await storage.get(['index']);
+            const stored = await storage.get([`session_${id}`, 'pages']);
+            await storage.set({ index: index.filter(i => i !== id), pages: releaseSessionPages(stored.pages || {}, stored[`session_${id}`]) });
+            await storage.remove([`session_${id}`]);
+        };
+
+        let sessionWriteQueue = Promise.resolve();
+        const SESSION_WRITES = { save: saveSession, delete: deleteSession };
+        const queueSessionWrite = (operation, args = []) => {
+            const write = SESSION_WRITES[operation];
+            if (!write) return Promise.reject(new Error(`Unknown session write: ${operation}`));
+            const run = sessionWriteQueue.then(() => write(...args));
+            sessionWriteQueue = run.catch(() => { });
+            return run;
+        };
+
+        const tab = (id, url) => ({ id, url, title: url, favIconUrl: null, originalUrl: null });
+        const manual = { windows: [{ id: 1, tabs: [tab(1, 'https://docs.example/'), tab(2, 'https://mail.example/')] }] };
+        const auto = { windows: [{ id: 1, tabs: [tab(1, 'https://docs.example/'), tab(3, 'https://news.example/')] }] };
+        const referencedPages = () => store.index.flatMap(id => store[`session_${id}`].windows.flatMap(w => w.tabs.map(t => t.page)));
+
+        // Unqueued, a save from the options page and an auto-save interleave and the later one undoes the other
+        await Promise.all([saveSession('manual', manual), saveSession('auto', auto)]);
+        expect(store.index).toHaveLength(1);
+        expect(store.pages[getPageKey(tab(1, 'https://docs.example/'))].refs).toBe(1);
+
+        // Queued, every page a session refers to is stored and counted once per session
+        for (const key of Object.keys(store)) delete store[key];
+        await Promise.all([queueSessionWrite('save', ['manual', manual]), queueSessionWrite('save', ['auto', auto])]);
+        expect(store.index).toEqual(['auto', 'manual']);
+        expect(referencedPages().every(page => store.pages[page])).toBe(true);
+        expect(store.pages[getPageKey(tab(1, 'https://docs.example/'))].refs).toBe(2);
+
+        // A delete racing a new save neither keeps pages of the deleted session nor drops pages still in use
+        const later = { windows: [{ id: 1, tabs: [tab(4, 'https://mail.example/')] }] };
+        await Promise.all([queueSessionWrite('delete', ['manual']), queueSessionWrite('save', ['later', later])]);
+        expect(store.index).toEqual(['later', 'auto']);
+        expect(Object.fromEntries(Object.entries(store.pages).map(([key, page]) => [page.url, page.refs]))).toEqual({
+            'https://docs.example/': 1, 'https://news.example/': 1, 'https://mail.example/': 1
+        });
+
+        // A failed write does not block the ones queued after it
+        await expect(queueSessionWrite('rename', [])).rejects.toThrow('Unknown session write: rename');
+        const failing = queueSessionWrite('save', ['broken', null]);
+        await expect(failing).rejects.toThrow();
+        await queueSessionWrite('delete', ['later']);
+        expect(store.index).toEqual(['auto']);
+    });
+});
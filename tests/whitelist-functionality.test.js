@@ -1,4 +1,7 @@
 const { test, expect } = require('./config/node_modules/@playwright/test');
+// Side-effect-free modules are loaded from src (Playwright transpiles them), so these tests check the shipped code
+const WhitelistRules = require('../src/common/whitelist-rules.js');
+const WhitelistUtils = require('../src/common/whitelist-utils.js');
 
 test.describe('Whitelist Functionality Tests', () => {
     test('whitelist supports basic URL and domain formats', async () => {
@@ -259,4 +262,86 @@ mail.google.com`;
             expect(result).toBe(variation.normalized);
         });
     });
-}); 
\ No newline at end of file
+
+    test('whitelist rule engine supports paths, queries, ports, regex and exceptions', async () => {
+        const compiled = WhitelistRules.compileWhitelist([
+            'google.com',
+            '!mail.google.com/u/1',
+            'github.com/myorg',
+            'example.com?tab=inbox&debug',
+            'localhost:3000',
+            '/^https:\\/\\/[^/]+\\.dev\\//i',
+            '*.reddit.com',
+            'https://*.wikipedia.org/wiki/*'
+        ]);
+        const matchUrl = (url) => WhitelistRules.matchCompiledWhitelist(compiled, url);
+
+        expect(matchUrl('https://mail.google.com/u/0/#inbox')).toBe('google.com');
+        expect(matchUrl('https://mail.google.com/u/1/#inbox')).toBeNull();
+        expect(matchUrl('https://github.com/myorg/repo')).toBe('github.com/myorg');
+        expect(matchUrl('https://github.com/myorganisation')).toBeNull();
+        expect(matchUrl('https://example.com/?tab=inbox&debug=1')).toBe('example.com?tab=inbox&debug');
+        expect(matchUrl('https://example.com/?tab=sent&debug')).toBeNull();
+        expect(matchUrl('http://localhost:3000/app')).toBe('localhost:3000');
+        expect(matchUrl('http://localhost:8080/app')).toBeNull();
+        expect(matchUrl('https://web.DEV/page')).toBe('/^https:\\/\\/[^/]+\\.dev\\//i');
+        // Host-only wildcards match the hostname; wildcards with a path match the full URL
+        expect(matchUrl('https://old.reddit.com/r/chrome')).toBe('*.reddit.com');
+        expect(matchUrl('https://en.wikipedia.org/wiki/Chrome')).toBe('https://*.wikipedia.org/wiki/*');
+        expect(matchUrl('https://en.wikipedia.org/w/index.php')).toBeNull();
+        expect(matchUrl('not a url')).toBeNull();
+
+        expect(WhitelistRules.isValidWhitelistRule('/[unclosed/')).toBe(false);
+        // Other pattern lists match the same way, returning the first matching item
+        const rules = [{ pattern: '*.reddit.com', minutes: 2 }, { pattern: 'reddit.com', minutes: 5 }];
+        expect(WhitelistRules.findMatchingItem(rules, 'https://www.reddit.com/')).toBe(rules[0]);
+        expect(WhitelistRules.findMatchingItem(rules, 'https://example.com/')).toBeNull();
+        expect(WhitelistRules.findMatchingItem(undefined, 'https://www.reddit.com/')).toBeNull();
+    });
+
+    test('whitelist migrates plain string entries to structured entries', async () => {
+        const createEntry = WhitelistUtils.createWhitelistEntry;
+        const migrated = WhitelistUtils.migrateWhitelist([
+            'google.com',
+            { pattern: 'github.com', action: 'delay', delayMinutes: 90, comment: 'Code review' },
+            { pattern: 'news.example.com', action: 'always', enabled: false },
+            { pattern: 'bad.example.com', action: 'delay' }
+        ]);
+        expect(migrated).toHaveLength(3);
+        expect(migrated[0]).toEqual(createEntry('google.com'));
+        expect(migrated[1].delayMinutes).toBe(90);
+        expect(migrated[1].comment).toBe('Code review');
+        expect(migrated[2].enabled).toBe(false);
+
+        // The old plain-text form still parses, with optional comments
+        const parsed = WhitelistUtils.parseWhitelistText('google.com\nhttps://mail.google.com/ # Work inbox\n');
+        expect(parsed.map(e => e.pattern)).toEqual(['google.com', 'https://mail.google.com/']);
+        expect(parsed[1].comment).toBe('Work inbox');
+        expect(parsed.every(e => e.action === 'never' && e.enabled)).toBeTruthy();
+
+        // Disabled and expired entries do not apply
+        const now = Date.now();
+        expect(WhitelistUtils.isWhitelistEntryActive(createEntry('a.com'), now)).toBe(true);
+        expect(WhitelistUtils.isWhitelistEntryActive(createEntry('a.com', { enabled: false }), now)).toBe(false);
+        expect(WhitelistUtils.isWhitelistEntryActive(createEntry('a.com', { expiresAt: now - 1000 }), now)).toBe(false);
+        expect(WhitelistUtils.isWhitelistEntryActive(createEntry('a.com', { expiresAt: now + 1000 }), now)).toBe(true);
+    });
+
+    test('whitelist expiry alarm targets the next enabled entry to run out', async () => {
+        const now = 1_000_000;
+        const entry = (pattern, options) => WhitelistUtils.createWhitelistEntry(pattern, options);
+        const whitelist = [
+            entry('a.com'),
+            entry('b.com', { expiresAt: now + 60_000 }),
+            entry('c.com', { expiresAt: now + 5_000, enabled: false }),
+            entry('d.com', { expiresAt: now - 5_000 }),
+            entry('e.com', { expiresAt: now + 3_600_000 })
+        ];
+        // Disabled and already expired entries do not set the alarm
+        expect(WhitelistUtils.getNextWhitelistExpiry(whitelist, now)).toBe(now + 60_000);
+        // Once that entry has run out the alarm moves on to the next one
+        expect(WhitelistUtils.getNextWhitelistExpiry(whitelist, now + 60_000)).toBe(now + 3_600_000);
+        expect(WhitelistUtils.getNextWhitelistExpiry([entry('a.com')], now)).toBeNull();
+        expect(WhitelistUtils.getNextWhitelistExpiry(undefined, now)).toBeNull();
+    });
+});